@@ -0,0 +1,77 @@
+// Copyright (c) 2023 The Khronos Group Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// node addSnapshot.js <grammar directory> <name>
+//
+// Bundles a grammar directory (ex. the include/spirv/unified1 directory of a SPIRV-Headers release) as a snapshot
+// the page can decode with. The grammar files are copied into grammar/snapshots/<name>/ with a manifest, and the
+// snapshot is added to grammar/snapshots.json with the SPIR-V version read from spirv.core.grammar.json
+const fs = require('fs');
+const path = require('path');
+const {createManifest} = require('./getManifest.js');
+
+const snapshotsFile = path.join(__dirname, 'snapshots.json');
+
+// Only the files the page loads, the rest of the directory is headers for other languages
+function isGrammarFile(file) {
+    return file == 'spirv.json' || file == 'spirv.core.grammar.json' || /^extinst\..*\.grammar\.json$/.test(file);
+}
+
+// @param grammarPath Directory with the grammar files
+// @param name Name of the snapshot, used in the URL (ex. index.html?grammar=<name>)
+// @return the entry written to grammar/snapshots.json
+function addSnapshot(grammarPath, name) {
+    const core = JSON.parse(fs.readFileSync(path.join(grammarPath, 'spirv.core.grammar.json'), 'utf8'));
+    const files = fs.readdirSync(grammarPath).filter(isGrammarFile);
+    if (!files.includes('spirv.json')) {
+        throw new Error(grammarPath + ' has no spirv.json');
+    }
+
+    const outputPath = path.join(__dirname, 'snapshots', name);
+    fs.mkdirSync(outputPath, {recursive: true});
+    for (const file of files) {
+        fs.copyFileSync(path.join(grammarPath, file), path.join(outputPath, file));
+    }
+    fs.writeFileSync(path.join(outputPath, 'extinst.manifest.json'), JSON.stringify(createManifest(files), null, 4) + '\n');
+
+    const snapshot = {
+        'name': name,
+        'path': 'grammar/snapshots/' + name + '/',
+        'manifest': 'grammar/snapshots/' + name + '/extinst.manifest.json',
+        'version': core.major_version + '.' + core.minor_version,
+    };
+
+    // Adding a snapshot again replaces it, so a release can be updated in place
+    const json = JSON.parse(fs.readFileSync(snapshotsFile, 'utf8'));
+    const index = json.snapshots.findIndex(entry => entry.name == name);
+    if (index == -1) {
+        json.snapshots.push(snapshot);
+    } else {
+        json.snapshots[index] = snapshot;
+    }
+    fs.writeFileSync(snapshotsFile, JSON.stringify(json, null, 4) + '\n');
+    return snapshot;
+}
+
+module.exports = {addSnapshot};
+
+if (require.main === module) {
+    if (process.argv.length < 4) {
+        console.error('Usage: node grammar/addSnapshot.js <grammar directory> <name>');
+        process.exit(1);
+    }
+    const snapshot = addSnapshot(process.argv[2], process.argv[3]);
+    console.log(`Snapshot ${snapshot.name} (SPIR-V ${snapshot.version}) written to ${snapshot.path}`);
+}
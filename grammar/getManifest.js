@@ -0,0 +1,67 @@
+// Copyright (c) 2023 The Khronos Group Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// node getManifest.js [grammar directory] [output file]
+//
+// Finds every extinst.*.grammar.json in the grammar directory (default is the SPIRV-Headers submodule) and writes
+// which name each one is imported with into extinst.manifest.json, which the page uses to know what to load
+const fs = require('fs');
+const path = require('path');
+
+// The file name is lower case, so the exact import names can't always be made from it
+const importNames = {
+    'extinst.debuginfo.grammar.json': 'DebugInfo',
+    'extinst.glsl.std.450.grammar.json': 'GLSL.std.450',
+    'extinst.nonsemantic.clspvreflection.grammar.json': 'NonSemantic.ClspvReflection',
+    'extinst.nonsemantic.debugbreak.grammar.json': 'NonSemantic.DebugBreak',
+    'extinst.nonsemantic.debugprintf.grammar.json': 'NonSemantic.DebugPrintf',
+    'extinst.nonsemantic.shader.debuginfo.100.grammar.json': 'NonSemantic.Shader.DebugInfo.100',
+    'extinst.nonsemantic.vkspreflection.grammar.json': 'NonSemantic.VkspReflection',
+    'extinst.opencl.debuginfo.100.grammar.json': 'OpenCL.DebugInfo.100',
+    'extinst.opencl.std.100.grammar.json': 'OpenCL.std',
+    'extinst.tosa.001000.1.grammar.json': 'TOSA.001000.1',
+    'extinst.arm.motion-engine.100.grammar.json': 'Arm.MotionEngine.100',
+};
+
+// ex. 'extinst.spv-amd-shader-ballot.grammar.json' is imported as 'SPV_AMD_shader_ballot'
+function getImportName(file) {
+    if (importNames[file]) {
+        return importNames[file];
+    }
+    const name = file.replace(/^extinst\./, '').replace(/\.grammar\.json$/, '');
+    if (name.startsWith('spv-')) {
+        const parts = name.split('-');
+        return [parts[0].toUpperCase(), parts[1].toUpperCase()].concat(parts.slice(2)).join('_');
+    }
+    console.warn('Warning: guessing ' + file + ' is imported as ' + name + ', add it to importNames if not');
+    return name;
+}
+
+// @param files Names of the files in the grammar directory
+// @return { extinst : [ { file, name } ] }
+function createManifest(files) {
+    const grammarFiles = files.filter(file => /^extinst\..*\.grammar\.json$/.test(file)).sort();
+    return {'extinst': grammarFiles.map(file => ({'file': file, 'name': getImportName(file)}))};
+}
+
+module.exports = {createManifest};
+
+if (require.main === module) {
+    const grammarPath = process.argv[2] || path.join(__dirname, '..', 'SPIRV-Headers', 'include', 'spirv', 'unified1');
+    const outputFile = process.argv[3] || path.join(__dirname, 'extinst.manifest.json');
+    const manifest = createManifest(fs.readdirSync(grammarPath));
+    fs.writeFileSync(outputFile, JSON.stringify(manifest, null, 4) + '\n');
+    console.log(`${manifest.extinst.length} extended instruction sets written to ${outputFile}`);
+}
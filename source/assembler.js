@@ -18,29 +18,360 @@ This takes a string and turns it into a Uint32Array SPIR-V binary
 
 Details of the layout of a SPIR-V Instruction can be found at
 https://registry.khronos.org/SPIR-V/specs/unified1/SPIRV.html#_physical_layout_of_a_spir_v_module_and_instruction
+
+Problems in the text don't stop the assembling, they are collected as
+{ line, column, token, expected, message }
+where line and column start at 1 and expected is the grammar kind that was wanted (ex. 'StorageClass')
+Things that still make a binary, but likely not the one wanted (ex. an instruction newer than the module version), are
+collected the same way as warnings
+
+Words the grammar doesn't know (ex. from an extension newer than the grammar) can be written as is, same as spirv-as
+    !0x00020011 !1                  - the whole instruction as raw words
+    OpUnknown(4242, 3) !5 !0x1234   - opcode and word count, the rest of the words are raw
+    OpDecorate %1 !42               - a single operand as a raw word
+
+The header comments spirv-dis writes at the top ("; Version: 1.5", "; Generator: ...", "; Bound: 42", "; Schema: 0")
+are used for the module header
 */
-function assemble(spirvText, version) {
-
-    // Check if text is really a encoded uint32_t hex array
-    if (spirvText.trimStart().startsWith('0x07230203')) {
-        let words = [];
-        let input = spirvText.split(',');
-        for (const word of input) {
-            let value = parseInt(word);
-            if (!isNaN(value)) {
-                words.push(value);
-            }
+
+// Tools spirv-dis writes by name in the "; Generator:" comment
+// [ name : tool id ] (from the generator ids in the SPIR-V registry)
+const generatorToolIds = new Map([
+    ['Khronos LLVM/SPIR-V Translator', 6],
+    ['Khronos SPIR-V Tools Assembler', 7],
+    ['Khronos Glslang Reference Front End', 8],
+    ['Google Shaderc over Glslang', 13],
+    ['Google spiregg', 14],
+    ['Khronos SPIR-V Tools Linker', 17],
+    ['Google Clspv', 21],
+    ['Google MLIR SPIR-V Serializer', 22],
+    ['Google Tint Compiler', 23],
+]);
+
+// ex. "1.5" is 0x00010500
+// @return undefined if not a version
+function parseVersionString(text) {
+    const match = /^([0-9]+)\.([0-9]+)$/.exec(text.trim());
+    return match ? (parseInt(match[1]) << 16) | (parseInt(match[2]) << 8) : undefined;
+}
+
+// Generator word from either a number (ex. "0x00080001") or the way spirv-dis writes it (ex. "Google Tint Compiler; 1")
+// @return undefined if the tool is not known
+function parseGeneratorString(text) {
+    text = text.trim();
+    if (/^(0x[0-9a-f]+|[0-9]+)$/i.test(text)) {
+        return Number(text) >>> 0;
+    }
+    const match = /^(.*);\s*([0-9]+)$/.exec(text);
+    if (!match) {
+        return undefined;
+    }
+    const unknown = /^Unknown\(([0-9]+)\)$/.exec(match[1].trim());
+    const tool = unknown ? parseInt(unknown[1]) : generatorToolIds.get(match[1].trim());
+    return (tool == undefined) ? undefined : ((tool << 16) | (parseInt(match[2]) & 0xffff)) >>> 0;
+}
+
+// @param bits BigInt of the value
+// @return the words holding the bits, low order first
+function splitWords(bits, width) {
+    var words = [];
+    for (let i = 0; i < Math.max(1, Math.ceil(width / 32)); i++) {
+        words.push(Number((bits >> BigInt(32 * i)) & 0xffffffffn));
+    }
+    return words;
+}
+
+// Integer literal in decimal or hex (ex. "-5", "0xff") for an integer type
+// Hex is the bit pattern, so it can use all the bits of a signed type
+// Signed types narrower than 32 bits are sign extended, as the spec requires
+// @return the words for the literal, low order first, throws if it is not an integer or doesn't fit the type
+function encodeIntegerLiteral(text, width, signed) {
+    const match = /^([-+]?)(0x[0-9a-f]+|[0-9]+)$/i.exec(text);
+    if (!match) {
+        throw new Error(`Expected an integer, found ${text}`);
+    }
+    const negative = match[1] == '-';
+    const isHex = match[2].length > 2 && match[2][1].toLowerCase() == 'x';
+    const value = negative ? -BigInt(match[2]) : BigInt(match[2]);
+
+    const bigWidth = BigInt(width);
+    const min = signed ? -(1n << (bigWidth - 1n)) : 0n;
+    const max = (signed && !isHex) ? (1n << (bigWidth - 1n)) - 1n : (1n << bigWidth) - 1n;
+    if (negative && !signed) {
+        throw new Error(`${text} is negative, but the type is unsigned`);
+    } else if (value < min || value > max) {
+        throw new Error(`${text} does not fit in a ${width} bit ${signed ? 'signed' : 'unsigned'} integer`);
+    }
+
+    let bits = BigInt.asUintN(width, value);
+    if (signed && width < 32) {
+        bits = BigInt.asUintN(32, BigInt.asIntN(width, bits));
+    }
+    return splitWords(bits, width);
+}
+
+// Float literal the same as spirv-as reads it, decimal (ex. "-0.5", "1e-3"), hex float (ex. "0x1.8p+1"), "inf" or "nan"
+// Hex floats with the max exponent are Inf and NaN, which is how spirv-dis writes them (ex. "0x1.8p+128") to keep the payload
+// @param format entry in floatFormats
+// @return the words for the literal, low order first, throws if it is not a float
+function encodeFloatLiteral(text, width, format) {
+    const bias = Math.pow(2, format.exponent - 1) - 1;
+    const hex = /^([-+]?)0x([0-9a-f]*)(?:\.([0-9a-f]*))?p([-+]?[0-9]+)$/i.exec(text);
+    var value;
+    if (hex && hex[2] + (hex[3] || '') != '') {
+        const fraction = hex[3] || '';
+        const exponent = parseInt(hex[4]);
+        if (format.ieee && hex[2] == '1' && exponent == bias + 1) {
+            // The fraction is the mantissa bits, lined up from the top
+            const fractionBits = BigInt(fraction.length * 4);
+            const mantissaBits = BigInt(format.mantissa);
+            let mantissa = (fraction == '') ? 0n : BigInt('0x' + fraction);
+            mantissa = (fractionBits > mantissaBits) ? mantissa >> (fractionBits - mantissaBits) :
+                                                       mantissa << (mantissaBits - fractionBits);
+            const sign = (hex[1] == '-') ? 1n : 0n;
+            const exponentField = (1n << BigInt(format.exponent)) - 1n;
+            return splitWords((sign << BigInt(width - 1)) | (exponentField << mantissaBits) | mantissa, width);
+        }
+        value = Number(BigInt('0x' + (hex[2] || '0') + fraction)) * Math.pow(2, exponent - 4 * fraction.length);
+        value = (hex[1] == '-') ? -value : value;
+    } else if (/^[-+]?inf(inity)?$/i.test(text)) {
+        value = text.startsWith('-') ? -Infinity : Infinity;
+    } else if (/^[-+]?nan$/i.test(text)) {
+        value = NaN;
+    } else if (/^[-+]?([0-9]+\.?[0-9]*|\.[0-9]+)(e[-+]?[0-9]+)?$/i.test(text)) {
+        value = Number(text);
+    } else {
+        throw new Error(`Expected a float, found ${text}`);
+    }
+
+    let view = new DataView(new ArrayBuffer(8));
+    if (width == 32) {
+        view.setFloat32(0, value);
+        return [view.getUint32(0)];
+    } else if (width == 64) {
+        view.setFloat64(0, value);
+        return [view.getUint32(4), view.getUint32(0)];
+    }
+    // Float16, BFloat16KHR and FP8 are rounded to the nearest value the type can hold
+    return [encodeFloat(value, format)];
+}
+
+// ex. "!0x1234" or "!42"
+// @return the word, throws if it is not a raw word
+function parseRawWord(text) {
+    const match = /^!(0x[0-9a-f]+|[0-9]+)$/i.exec(text);
+    if (!match || Number(match[1]) > 0xffffffff) {
+        throw new Error(`Expected a raw word (ex. !0x1234), found ${text}`);
+    }
+    return Number(match[1]);
+}
+
+// Text encodings of a binary, the magic number (in either byte order) is how they are told apart from the assembly
+//     C uint32_t array   - const uint32_t name[] = { 0x07230203, ... };  (ex. glslang --vn)
+//     C byte array       - unsigned char name[] = { 0x03, 0x02, 0x23, 0x07, ... };  (ex. xxd -i)
+//     Rust array         - const NAME: &[u32] = &[0x0723_0203u32, ...];
+//     word or byte list  - 0x07230203, 0x00010000, ...  (a byte list is in the order of the file)
+//     base64             - AwIjBwAAAQA...
+// @return undefined if the text is none of these, otherwise
+//     { format : name of the one found, words : Uint32Array, error : undefined or { offset, token, message } }
+function decodeTextBinary(text) {
+    const compact = text.replace(/\s/g, '');
+    if (/^[A-Za-z0-9+/]+=*$/.test(compact) && (compact.startsWith('AwIjB') || compact.startsWith('ByMCA'))) {
+        let bytes;
+        try {
+            bytes = Uint8Array.from(atob(compact), character => character.charCodeAt(0));
+        } catch (error) {
+            return {'format': 'base64', 'words': new Uint32Array(0), 'error': {'offset': 0, 'token': '', 'message': error.message}};
+        }
+        return createTextBinary('base64', bytes, 0);
+    }
+
+    // Comments are blanked out instead of removed so the offsets still point into the text
+    const code = text.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, comment => comment.replace(/[^\n]/g, ' '));
+    const array = /=\s*(\{|&?\[)/.exec(code);
+    var start = 0;
+    var end = code.length;
+    var language = 'none';
+    if (array) {
+        start = array.index + array[0].length;
+        end = code.indexOf((array[1] == '{') ? '}' : ']', start);
+        end = (end == -1) ? code.length : end;
+        language = (array[1] == '{') ? 'C' : 'Rust';
+    }
+
+    // Numbers can have a type suffix (ex. 3u, 0x3u8) and Rust allows _ in them
+    const numberPattern = /^(0x[0-9a-f_]+|[0-9][0-9_]*)(u8|u32|ul|ull|u|l)?$/i;
+    var values = [];
+    var tokens = [];
+    const tokenPattern = /[^\s,]+/g;
+    tokenPattern.lastIndex = start;
+    for (let match = tokenPattern.exec(code); match && match.index < end; match = tokenPattern.exec(code)) {
+        const token = match[0].substring(0, end - match.index);
+        const number = numberPattern.exec(token);
+        const value = number ? Number(number[1].replaceAll('_', '')) : NaN;
+        // Until the magic number is found it might not be a list at all, so stop looking right away
+        if (!isTextBinaryStart(values, value)) {
+            return undefined;
+        }
+        values.push(value);
+        tokens.push({'offset': match.index, 'token': token});
+    }
+    if (values.length == 0) {
+        return undefined;
+    }
+
+    const isWords = values[0] == 0x07230203;
+    const max = isWords ? 0xffffffff : 0xff;
+    const format = textBinaryFormats[language][isWords ? 0 : 1];
+    for (let i = 0; i < values.length; i++) {
+        if (isNaN(values[i]) || values[i] > max) {
+            const message = `Expected a ${isWords ? 'word' : 'byte'} in the ${format}, found ${tokens[i].token}`;
+            return {'format': format, 'words': new Uint32Array(0), 'error': Object.assign(tokens[i], {'message': message})};
+        }
+    }
+    return isWords ? {'format': format, 'words': new Uint32Array(values), 'error': undefined} :
+                     createTextBinary(format, Uint8Array.from(values), tokens[tokens.length - 1].offset);
+}
+
+// [ language : [ word format, byte format ] ]
+const textBinaryFormats = {
+    'C': ['C uint32_t array', 'C byte array'],
+    'Rust': ['Rust u32 array', 'Rust u8 array'],
+    'none': ['word list', 'byte list'],
+};
+
+// The list has to start with the magic number, either as a word or as bytes in either order
+// @param values Numbers of the list so far
+// @param value The next number
+function isTextBinaryStart(values, value) {
+    if (values[0] == 0x07230203 || values.length >= 4) {
+        return true;
+    } else if (values.length == 0 && value == 0x07230203) {
+        return true;
+    }
+    const byteOrders = [[0x03, 0x02, 0x23, 0x07], [0x07, 0x23, 0x02, 0x03]];
+    return byteOrders.some(order => values.every((byte, i) => byte == order[i]) && value == order[values.length]);
+}
+
+// Bytes are in the order they are in the file
+// @param endOffset where in the text to point at if the bytes don't make whole words
+function createTextBinary(format, bytes, endOffset) {
+    if (bytes.length % 4 != 0) {
+        const message = `${bytes.length} bytes in the ${format} is not a multiple of 4`;
+        return {'format': format, 'words': new Uint32Array(0), 'error': {'offset': endOffset, 'token': '', 'message': message}};
+    }
+    return {'format': format, 'words': new Uint32Array(bytes.buffer), 'error': undefined};
+}
+
+// Literal String as words, null terminated and padded to a word
+function encodeStringLiteral(text) {
+    const bytes = new TextEncoder().encode(text + '\0');
+    var words = [];
+    // turn Uint8Array to Uint32Array
+    for (let i = 0; i < bytes.length; i += 4) {
+        // Can OOB array index because OR operations with 'undefined' is same as OR with zero
+        words.push(bytes[i + 3] << 24 | bytes[i + 2] << 16 | bytes[i + 1] << 8 | bytes[i + 0]);
+    }
+    return words;
+}
+
+// Reads a quoted Literal String, a backslash escapes the character after it (same as spirv-as)
+// @param text The line the string is in
+// @param start Index of the opening quote
+// @return { value, end : index after the closing quote, -1 if the string is not closed in the text }
+function decodeStringLiteral(text, start) {
+    let value = '';
+    for (let i = start + 1; i < text.length; i++) {
+        if (text[i] == '\\' && i + 1 < text.length) {
+            i++;
+            value += text[i];
+        } else if (text[i] == '"') {
+            return {'value': value, 'end': i + 1};
+        } else {
+            value += text[i];
         }
-        return new Uint32Array(words);
     }
+    return {'value': value, 'end': -1};
+}
 
-    let encoder = new TextEncoder();
+// Instructions that can come before OpName in the module layout, emitted OpName are added after the last of them
+const opNamePrecedingOpcodes = [
+    'OpCapability', 'OpExtension', 'OpExtInstImport', 'OpMemoryModel', 'OpEntryPoint', 'OpExecutionMode', 'OpExecutionModeId',
+    'OpString', 'OpSourceExtension', 'OpSource', 'OpSourceContinued', 'OpName', 'OpMemberName',
+];
+
+// Raw words and OpUnknown can be any instruction, so where emitted OpName go is found from the opcodes in the words
+// @param words Words of the module, starting with the header
+// @return index in words after the last instruction that can come before OpName
+function getOpNameOffset(words) {
+    const precedingOpcodes = opNamePrecedingOpcodes.map(opname => spirv.Enums.Op[opname]);
+    let offset = 5;  // after the header
+    while (offset < words.length) {
+        const wordCount = words[offset] >>> spirv.Meta.WordCountShift;
+        const opcode = words[offset] & spirv.Meta.OpCodeMask;
+        // Raw words might not be a valid instruction, nothing after them is known
+        if (wordCount == 0 || offset + wordCount > words.length || !precedingOpcodes.includes(opcode)) {
+            break;
+        }
+        offset += wordCount;
+    }
+    return offset;
+}
+
+// Same as assembleModule() but only returns the binary, even if there were errors
+function assemble(spirvText, version, options) {
+    return assembleModule(spirvText, version, options).binary;
+}
+
+// @param version Optional, overrides the "; Version:" comment, otherwise SPIR-V 1.0 is used
+// @param options Optional
+//     { preserveNumericIds : %42 is given id 42 (same as spirv-as --preserve-numeric-ids), other names get the ids left over,
+//       emitOpNames : add an OpName for each named id (ex. %myVar) that doesn't have one, so the name isn't lost }
+// @return { binary : Uint32Array, errors : [ problems found, in order of the text ], warnings : [ same as errors ],
+//           wordKinds : [ grammar kind each word of the binary was from (ex. 'IdRef'), the header and opcode words are named ],
+//           format : 'assembly' or the text encoding of a binary from decodeTextBinary() (ex. 'C uint32_t array') }
+function assembleModule(spirvText, version, options) {
+    options = options || {};
+
+    // Check if text is really a encoded binary (ex. a C array)
+    const textBinary = decodeTextBinary(spirvText);
+    if (textBinary) {
+        var textBinaryErrors = [];
+        if (textBinary.error) {
+            const before = spirvText.substring(0, textBinary.error.offset);
+            textBinaryErrors.push({
+                'line': (before.match(/\n/g) || []).length + 1,
+                'column': textBinary.error.offset - before.lastIndexOf('\n'),
+                'token': textBinary.error.token,
+                'expected': undefined,
+                'message': textBinary.error.message,
+            });
+        }
+        return {
+            'binary': textBinary.words,
+            'errors': textBinaryErrors,
+            'warnings': [],
+            'wordKinds': [],
+            'format': textBinary.format,
+        };
+    }
 
     let idMap = new Map();             // map text name to binary ID used [ %stringName, %1 ]
-    let bitWidthIntMap = new Map();    // map [ %stringName, width ] for OpConstants
-    let bitWidthFloatMap = new Map();  // map [ %stringName, width ] for OpConstants
+    let intTypeMap = new Map();        // map [ type ID, { width, signed } ] for literals sized by their type
+    let floatFormatMap = new Map();    // map [ type ID, { width, format } ] for literals sized by their type
+    let idTypeMap = new Map();         // map [ result ID, result type ID ] (ex. to find the type of the OpSwitch selector)
 
     let lastOpExtInst = 0;
+    // Kept apart from spirv.ResultToExtImport, which has the imports of the module decoded by parseModule()
+    let extImports = new Map();        // map [ OpExtInstImport result ID, name its grammar is under ]
+
+    let errors = [];
+    let warnings = [];
+    let declaredExtensions = new Set();   // OpExtension names, so things promoted to core in a later version can be used
+    let declaredBound = 0;
+    let hasRawWords = false;   // can't tell which ids are defined in raw words
+    let definedIds = new Set();   // %stringName that are a result
+    let idFirstUse = new Map();   // map [ %stringName, error location ] for ids used before being defined
 
     // SPIR-V Header
     let words = [
@@ -49,49 +380,122 @@ function assemble(spirvText, version) {
         0x0,  // ID Bounds - update later
         0x0,  // reserved
     ];
+    let wordKinds = ['MagicNumber', 'Version', 'Generator', 'Bound', 'Schema'];
 
     // first ID in SPIR-V is %1 (not %0)
+    let nextId = 1;
     let idsBound = 1;
 
+    // The numbered ids have to be known before any name is given an id, so they are found ahead of time
+    // Strings and comments are removed first so something like "%5" in a OpSource doesn't take an id
+    let numericIds = new Set();
+    if (options.preserveNumericIds) {
+        const text = spirvText.replaceAll('&quot;', '"').replace(/"(?:[^"\\]|\\.)*"/g, '').replace(/;[^\n]*/g, '');
+        for (const match of text.matchAll(/(?:^|\s)(%[1-9][0-9]*)(?=\s|$)/g)) {
+            if (Number(match[1].substring(1)) <= 0xffffffff) {
+                numericIds.add(match[1]);
+            }
+        }
+    }
+
+    // @return the id for a name not seen yet
+    function createId(name) {
+        let id;
+        if (numericIds.has(name)) {
+            id = Number(name.substring(1));
+        } else {
+            while (numericIds.has('%' + nextId)) {
+                nextId++;
+            }
+            id = nextId++;
+        }
+        idMap.set(name, id);
+        idsBound = Math.max(idsBound, id + 1);
+        return id;
+    }
+
+    // @param value text after the ':'
+    // @param column where the value starts
+    function parseHeaderComment(field, value, lineNumber, column) {
+        let word = undefined;
+        if (field == 'Version') {
+            word = parseVersionString(value);
+            // An explicit version wins, but it is still checked to be valid
+            if (word != undefined && version == undefined) {
+                words[1] = word;
+            }
+        } else if (field == 'Generator') {
+            word = parseGeneratorString(value);
+            if (word != undefined) {
+                words[2] = word;
+            }
+        } else if (field == 'Bound' && /^[0-9]+$/.test(value)) {
+            word = declaredBound = parseInt(value);
+        } else if (field == 'Schema' && /^[0-9]+$/.test(value)) {
+            word = words[4] = parseInt(value);
+        }
+        if (word == undefined) {
+            warnings.push({
+                'line': lineNumber,
+                'column': column,
+                'token': value,
+                'expected': field,
+                'message': `Unable to read the ${field} header comment, ${value} is ignored`,
+            });
+        }
+    }
+
+    let namedIds = new Set();   // %stringName that have a OpName in the text
+
     // Make life easy, assume every instruction is a single line
     // (except when there is multi-line debug source)
     const lines = spirvText.split('\n');
     for (let line_index = 0; line_index < lines.length; line_index++) {
         let line = lines[line_index];
+        const lineNumber = line_index + 1;
 
         // If there is a Literal String, capture it to use later
         let literalString = undefined;
         // CTS dumps it shaders with HTML Entities
         line = line.replaceAll('&quot;', '"');
-        const quoteStart = line.indexOf('"')
-        let extraWords = 0;
-        if (quoteStart != -1) {
-            let quoteEnd = line.lastIndexOf('"');
-
-            // If start and end are the same, OR the end quote is escaped (e.g. ...\")
-            // then we likely have a multi-line string or an escaped quote.
-            if (quoteStart === quoteEnd || line[quoteEnd - 1] === '\\') {
-                while (line_index + 1 < lines.length) {
-                    const realQuotes = line.match(/(^|[^\\])"/g) || [];
-                    if (realQuotes.length % 2 === 0) break;
-
-                    line_index++;
-                    line += '\n' + lines[line_index].replaceAll('&quot;', '"');
-                }
-                // Re-calculate quoteEnd after merging lines
-                quoteEnd = line.lastIndexOf('"');
+        const quoteStart = line.indexOf('"');
+        let stringEnd = -1;
+        let sourceLine = line;  // before the string is replaced, used to find where errors are
+        // A quote after a ';' is in a comment
+        const firstComment = line.indexOf(';');
+        if (quoteStart != -1 && (firstComment == -1 || quoteStart < firstComment)) {
+            let string = decodeStringLiteral(line, quoteStart);
+            // Source text can have new lines in it, so the string goes on until the closing quote
+            while (string.end == -1 && line_index + 1 < lines.length) {
+                line_index++;
+                line += '\n' + lines[line_index].replaceAll('&quot;', '"');
+                string = decodeStringLiteral(line, quoteStart);
+            }
+            if (string.end == -1) {
+                errors.push({
+                    'line': lineNumber,
+                    'column': quoteStart + 1,
+                    'token': '"',
+                    'expected': 'LiteralString',
+                    'message': 'String has no closing quote',
+                });
+                string.end = line.length;
             }
 
-            let replaceString = line.substring(quoteStart + 1, quoteEnd);
-            literalString = replaceString + '\0';
-            // Substract 1 because there is already 1 word accounted for the string in line
-            extraWords = Math.ceil(literalString.length / 4) - 1;
+            sourceLine = line;
+            stringEnd = string.end;
+            literalString = string.value;
             // mark the string operand with something that takes 1 index after split()
-            line = line.replace('"' + replaceString + '"', 'REPLACE');
+            line = line.substring(0, quoteStart) + 'REPLACE' + line.substring(stringEnd);
         }
 
         const commentIndex = line.indexOf(';');
         if (commentIndex == 0) {
+            // Only the comments before the first instruction can be the header
+            const header = /^;\s*(Version|Generator|Bound|Schema):(.*)$/.exec(line);
+            if (header && words.length == 5) {
+                parseHeaderComment(header[1], header[2].trim(), lineNumber, line.indexOf(header[2].trim()) + 1);
+            }
             continue;
         } else if (commentIndex !== -1) {
             line = line.substring(0, commentIndex);
@@ -104,70 +508,254 @@ function assemble(spirvText, version) {
             continue;
         }  // empty line
 
+        // Where each token starts and ends in the source line, the string was replaced so it is found by its quotes
+        let tokenOffsets = [];
+        let searchFrom = 0;
+        for (const token of line) {
+            const isString = (token == 'REPLACE' && literalString != undefined);
+            const start = sourceLine.indexOf(isString ? '"' : token, searchFrom);
+            const end = isString ? stringEnd : start + token.length;
+            tokenOffsets.push({'start': start, 'end': end});
+            searchFrom = end;
+        }
+
+        // @param tokenIndex which token in the line, past the last token points at the end of the line
+        // @param expected grammar kind that was wanted, if any
+        function getErrorLocation(tokenIndex, expected) {
+            const offset = (tokenIndex < line.length) ? tokenOffsets[tokenIndex].start : tokenOffsets[line.length - 1].end;
+            // A multi-line string means the token might not be on the first line
+            const before = sourceLine.substring(0, offset);
+            return {
+                'line': lineNumber + (before.match(/\n/g) || []).length,
+                'column': offset - before.lastIndexOf('\n'),
+                'token': (tokenIndex < line.length) ? sourceLine.substring(offset, tokenOffsets[tokenIndex].end) : '',
+                'expected': expected,
+            };
+        }
+
+        function addError(message, tokenIndex, expected) {
+            let error = getErrorLocation(tokenIndex, expected);
+            error.message = message;
+            errors.push(error);
+        }
+
+        // @param grammar instruction or enumerant from the grammar, they have the version they were added in
+        //        and the extensions that allow using them before that version
+        function checkVersion(grammar, name, tokenIndex) {
+            const required = parseVersionString(grammar.version || '');
+            if (required == undefined || required <= words[1]) {
+                return;
+            }
+            if (grammar.extensions && grammar.extensions.some(extension => declaredExtensions.has(extension))) {
+                return;
+            }
+            const moduleVersion = ((words[1] >> 16) & 0xff) + '.' + ((words[1] >> 8) & 0xff);
+            let warning = getErrorLocation(tokenIndex, undefined);
+            warning.message = `${name} needs SPIR-V ${grammar.version}, but the module is ${moduleVersion}`;
+            warnings.push(warning);
+        }
+
+        // OpUnknown(opcode, wordcount) is split by the spaces in it
+        const unknownIndex = (line.length >= 3 && line[1] == '=') ? 2 : 0;
+        if (line[unknownIndex] != undefined && line[unknownIndex].startsWith('OpUnknown(')) {
+            let end = unknownIndex;
+            while (end < line.length - 1 && !line[end].endsWith(')')) {
+                end++;
+            }
+            line.splice(unknownIndex, end + 1 - unknownIndex, line.slice(unknownIndex, end + 1).join(''));
+            tokenOffsets.splice(unknownIndex, end + 1 - unknownIndex,
+                {'start': tokenOffsets[unknownIndex].start, 'end': tokenOffsets[end].end});
+            if (unknownIndex != 0) {
+                addError('OpUnknown can not have a result, it is one of the raw words', 0, 'raw word');
+                continue;
+            }
+        }
+
+        if (line[0].startsWith('!') || line[0].startsWith('OpUnknown(')) {
+            assembleRawInstruction();
+            continue;
+        }
+
+        function assembleRawInstruction() {
+            hasRawWords = true;
+            const instructionStart = words.length;
+            let firstRawToken = 0;
+            let wordCount = undefined;
+            if (line[0].startsWith('OpUnknown(')) {
+                const match = /^OpUnknown\((0x[0-9a-f]+|[0-9]+),(0x[0-9a-f]+|[0-9]+)\)$/i.exec(line[0]);
+                if (!match || Number(match[1]) > spirv.Meta.OpCodeMask || Number(match[2]) > 0xffff) {
+                    addError(`Expected OpUnknown(opcode, wordcount), found ${line[0]}`, 0, 'opcode');
+                    return;
+                }
+                wordCount = Number(match[2]);
+                words.push((wordCount << spirv.Meta.WordCountShift) | Number(match[1]));
+                wordKinds.push('opcode');
+                firstRawToken = 1;
+            }
+            for (let i = firstRawToken; i < line.length; i++) {
+                try {
+                    words.push(parseRawWord(line[i]));
+                } catch (error) {
+                    addError(error.message, i, 'raw word');
+                    words.push(0);
+                }
+                wordKinds.push('raw word');
+            }
+            if (wordCount != undefined && wordCount != words.length - instructionStart) {
+                const count = words.length - instructionStart;
+                addError(`Word count of ${wordCount}, but the instruction has ${count} words`, 0, 'opcode');
+            }
+        }
+
         const hasResult = line.length >= 3 && line[1] == '=';
         if (hasResult) {
             if (idMap.get(line[0]) == undefined) {
-                idMap.set(line[0], idsBound++);
+                createId(line[0]);
+            }
+            if (definedIds.has(line[0])) {
+                addError(`${line[0]} is already defined`, 0, 'IdResult');
             }
+            definedIds.add(line[0]);
         }
 
-        const instructionLength = (hasResult ? line.length - 1 : line.length) + extraWords;
-
         const opname = hasResult ? line[2] : line[0];
         const opcode = spirv.NameToOpcode.get(opname);
-        words.push((instructionLength << spirv.Meta.WordCountShift) | (opcode));
+        if (opcode == undefined) {
+            addError(`Unknown opcode ${opname}`, hasResult ? 2 : 0, 'opcode');
+            continue;
+        }
+        checkVersion(spirv.Instructions.get(opcode), opname, hasResult ? 2 : 0);
+        if (hasResult != spirv.OpcodesWithResult.includes(opcode)) {
+            addError(hasResult ? `${opname} does not have a result` : `${opname} needs a result id`, 0, 'IdResult');
+        }
+        // Word count is filled in once all the operands are added
+        const instructionStart = words.length;
+        words.push(opcode);
+        wordKinds.push('opcode');
 
         let operandIndex = 0;  // Which binary operand at
         let lineIndex = 1;     // Which text word at (default if not Type/Result)
 
-        // When looping operands, can use to easily stop parsing for Wildcard that have zero entries
-        const lastWord = (words.length - 1) + instructionLength;
-
         const hasResultType = spirv.OpcodesWithResultType.includes(opcode);
         if (hasResultType) {
             operandIndex++;
             lineIndex++;
-            const resultType = hasResult ? line[3] : line[1];
-            words.push(idMap.get(resultType));
+            words.push(getId(hasResult ? 3 : 1, 'IdResultType'));
+            wordKinds.push('IdResultType');
+            if (hasResult) {
+                idTypeMap.set(idMap.get(line[0]), words[instructionStart + 1]);
+            }
         }
 
         if (hasResult) {
             operandIndex++;
             lineIndex += 2;
             words.push(idMap.get(line[0]));
+            wordKinds.push('IdResult');
         }
 
+        // A set without a grammar has its operands read as ids, but outside of NonSemantic.* sets some can be literals
+        let extInstLiteralsAllowed = false;
+
         // Special instructions need to track
         if (opname == 'OpExtInstImport') {
-            let importName = literalString.substring(0, literalString.length - 1);  // remove null terminator
-            spirv.setResultToExtImportMap(importName, idMap.get(line[0]));
-        } else if (opname == 'OpExtInst') {
+            spirv.setResultToExtImportMap(literalString, idMap.get(line[0]), extImports);
+        } else if (opname == 'OpExtInst' || opname == 'OpExtInstWithForwardRefsKHR') {
             lastOpExtInst = idMap.get(line[4]);
+            extInstLiteralsAllowed = spirv.getExtInstructions(lastOpExtInst, extImports) == undefined &&
+                !spirv.isNonSemanticExtImport(lastOpExtInst, extImports);
+        } else if (opname == 'OpExtension') {
+            declaredExtensions.add(literalString);
+        } else if (opname == 'OpName') {
+            namedIds.add(line[1]);
         } else if (opname == 'OpTypeInt') {
-            bitWidthIntMap.set(idMap.get(line[0]), line[3]);
+            intTypeMap.set(idMap.get(line[0]), {'width': parseInt(line[3]), 'signed': line[4] == '1'});
         } else if (opname == 'OpTypeFloat') {
-            bitWidthFloatMap.set(idMap.get(line[0]), line[3]);
+            // optional FPEncoding (ex. BFloat16KHR) is after the width
+            const bitWidth = parseInt(line[3]);
+            floatFormatMap.set(idMap.get(line[0]), {'width': bitWidth, 'format': getFloatFormat(bitWidth, line[4])});
         }
 
-        // Some operands need to call a few levels of recursion if they have parameters
-        function GetOperand(kind) {
-            if (kind == 'IdRef' || kind == 'IdScope' || kind == 'IdMemorySemantics') {
-                // Just need the <ID> being used
-                let id = idMap.get(line[lineIndex]);
-                if (id == undefined) {
-                    // Mode Setting / Debug / Annotations
-                    // instructions will not know what id value is given yet
-                    words.push(idsBound);
-                    idMap.set(line[lineIndex], idsBound++);
+        // @return the id number for the token, given a new one if not seen yet
+        function getId(tokenIndex, kind) {
+            const name = line[tokenIndex];
+            if (name == undefined || !name.startsWith('%')) {
+                addError((name == undefined) ? 'Missing id' : `Expected an id, found ${name}`, tokenIndex, kind);
+                return 0;
+            }
+            let id = idMap.get(name);
+            if (id == undefined) {
+                // Mode Setting / Debug / Annotations and control flow (ex. OpSwitch targets)
+                // instructions will not know what id value is given yet
+                id = createId(name);
+                idFirstUse.set(name, getErrorLocation(tokenIndex, kind));
+            }
+            return id;
+        }
+
+        // Just need the <ID> being used
+        function GetIdOperand(kind) {
+            words.push(getId(lineIndex++, kind || 'IdRef'));
+        }
+
+        // @param typeId Optional, int or float type the literal is sized and encoded by (ex. 64-bit takes 2 words)
+        //        otherwise it is a 32-bit integer
+        function GetLiteralNumber(kind, typeId) {
+            const text = line[lineIndex];
+            try {
+                if (text == undefined) {
+                    throw new Error('Missing literal');
+                } else if (intTypeMap.has(typeId)) {
+                    const type = intTypeMap.get(typeId);
+                    words.push(...encodeIntegerLiteral(text, type.width, type.signed));
+                } else if (floatFormatMap.has(typeId)) {
+                    const type = floatFormatMap.get(typeId);
+                    if (type.format == undefined) {
+                        throw new Error(`${type.width} bit float type is not supported`);
+                    }
+                    words.push(...encodeFloatLiteral(text, type.width, type.format));
                 } else {
-                    words.push(id);
+                    words.push(...encodeIntegerLiteral(text, 32, text.startsWith('-')));
                 }
-                lineIndex++
+            } catch (error) {
+                addError(error.message, lineIndex, kind);
+                words.push(0);
+            }
+            lineIndex++;
+        }
+
+        // Records the kind of the words added, nested ones (ex. enumerant parameters) finish first and keep their own kind
+        function GetOperand(kind) {
+            const operandStart = words.length;
+            if (line[lineIndex] != undefined && line[lineIndex].startsWith('!')) {
+                // Takes the place of the operand, even if it would have been more than a word
+                hasRawWords = true;
+                try {
+                    words.push(parseRawWord(line[lineIndex]));
+                } catch (error) {
+                    addError(error.message, lineIndex, kind);
+                    words.push(0);
+                }
+                lineIndex++;
+            } else {
+                GetOperandWords(kind);
+            }
+            for (let i = operandStart; i < words.length; i++) {
+                wordKinds[i] = wordKinds[i] || kind;
+            }
+        }
+
+        // Some operands need to call a few levels of recursion if they have parameters
+        function GetOperandWords(kind) {
+            if (kind == 'IdRef' && extInstLiteralsAllowed && !line[lineIndex].startsWith('%')) {
+                GetLiteralNumber(kind);
+            } else if (kind == 'IdRef' || kind == 'IdScope' || kind == 'IdMemorySemantics') {
+                GetIdOperand(kind);
             } else if (kind == 'LiteralExtInstInteger') {
-                const extInstructionSet = spirv.getExtInstructions(lastOpExtInst);
+                const extInstructionSet = spirv.getExtInstructions(lastOpExtInst, extImports);
                 if (extInstructionSet == undefined) {
                     // There can be custom extended instructions starting with SPIR-V 1.6
-                    words.push(parseInt(line[lineIndex++]));
+                    GetLiteralNumber(kind);
                     return;
                 }
 
@@ -192,12 +780,18 @@ function assemble(spirvText, version) {
                     }
                 }
                 // If not found, likely the value is just the literal, not a string
-                words.push(parseInt(line[lineIndex++]));
+                GetLiteralNumber(kind);
 
             } else if (kind == 'LiteralInteger') {
-                words.push(parseInt(line[lineIndex++]));
+                GetLiteralNumber(kind);
             } else if (kind == 'LiteralSpecConstantOpInteger') {
-                const specOpcode = spirv.NameToOpcode.get('Op' + line[lineIndex++])
+                const specOpcode = spirv.NameToOpcode.get('Op' + line[lineIndex]);
+                if (specOpcode == undefined) {
+                    addError(`Unknown opcode ${line[lineIndex]}`, lineIndex, kind);
+                    lineIndex = line.length;
+                    return;
+                }
+                lineIndex++;
                 words.push(specOpcode);
 
                 const specInstruction = spirv.Instructions.get(specOpcode);
@@ -213,71 +807,35 @@ function assemble(spirvText, version) {
                     GetOperand(specKind);
                 }
             } else if (kind == 'LiteralContextDependentNumber') {
-                const typeId = idMap.get(line[lineIndex - 1])
-                const bitWidthInt = parseInt(bitWidthIntMap.get(typeId));
-                const bitWidthFloat = parseInt(bitWidthFloatMap.get(typeId));
-                if (bitWidthInt == 64) {
-                    const value = BigInt(line[lineIndex++]);
-                    words.push(parseInt(value & BigInt(0xffffffff)));
-                    words.push(parseInt(value >> BigInt(32)));
-                } else if (bitWidthFloat == 32) {
-                    let view = new DataView(new ArrayBuffer(4));
-                    view.setFloat32(0, line[lineIndex++]);
-                    words.push(view.getUint32(0));
-                } else if (bitWidthFloat == 64) {
-                    let view = new DataView(new ArrayBuffer(8));
-                    view.setFloat64(0, line[lineIndex++]);
-                    words.push(view.getUint32(4));
-                    words.push(view.getUint32(0));
-                } else {
-                    words.push(Number(line[lineIndex++]));
-                }
-
-                // TODO - Need a better way to do this
-                // Go back and update length of instruction
-                if (bitWidthInt == 64 || bitWidthFloat == 64) {
-                    let instruction = words[words.length - 5];
-                    words[words.length - 5] = (((instruction >> 16) + 1) << 16) | (instruction & 0xffff);
-                }
+                // OpConstant and OpSpecConstant literals are the result type
+                GetLiteralNumber(kind, words[instructionStart + 1]);
             } else if (kind == 'PairLiteralIntegerIdRef') {
-                words.push(parseInt(line[lineIndex++]));
-                words.push(idMap.get(line[lineIndex++]));
+                // OpSwitch is a control flow instruction and can forward reference a OpLabel
+                // The literals are the same type as the selector
+                GetLiteralNumber(kind, idTypeMap.get(words[instructionStart + 1]));
+                GetIdOperand(kind);
             } else if (kind == 'PairIdRefLiteralInteger') {
-                words.push(idMap.get(line[lineIndex++]));
-                words.push(parseInt(line[lineIndex++]));
+                GetIdOperand(kind);
+                GetLiteralNumber(kind);
             } else if (kind == 'PairIdRefIdRef') {
                 // OpPhi is a control flow instruction and can forward reference a OpLabel
-                let variable_id = idMap.get(line[lineIndex]);
-                if (variable_id == undefined) {
-                    words.push(idsBound);
-                    idMap.set(line[lineIndex], idsBound++);
-                } else {
-                    words.push(variable_id);
-                }
-                lineIndex++;
-
-                let parent_id = idMap.get(line[lineIndex]);
-                if (parent_id == undefined) {
-                    words.push(idsBound);
-                    idMap.set(line[lineIndex], idsBound++);
-                } else {
-                    words.push(parent_id);
-                }
-                lineIndex++;
+                GetIdOperand(kind);
+                GetIdOperand(kind);
             } else if (kind == 'LiteralString') {
-                let bytes = encoder.encode(literalString);
-                // turn Uint8Array to Uint32Array
-                for (let i = 0; i < bytes.length; i += 4) {
-                    // Can OOB array index because OR operations with 'undefined' is same as OR with zero
-                    const word = bytes[i + 3] << 24 | bytes[i + 2] << 16 | bytes[i + 1] << 8 | bytes[i + 0];
-                    words.push(word);
-                }
+                words.push(...encodeStringLiteral(literalString));
                 // all strings are reduced to a single line index
                 lineIndex++;
             } else {
                 const operandInfo = spirv.Operands.get(kind);
-                if (!operandInfo.enumerants) {
-                    console.log('ERROR: Unhandled kind of ' + kind);
+                if (!operandInfo || !operandInfo.enumerants) {
+                    addError(`Unhandled kind of ${kind}`, lineIndex, kind);
+                    words.push(0);
+                    lineIndex++;
+                    return;
+                }
+                if (line[lineIndex] == undefined) {
+                    addError('Missing operand', lineIndex, kind);
+                    return;
                 }
 
                 // If not BitEnum, it is a ValueEnum
@@ -285,9 +843,11 @@ function assemble(spirvText, version) {
                 const value = isBitEnum ? line[lineIndex].split('|') : line[lineIndex];
                 // If BitEnum, need to update value later on
                 const enumValueIndex = words.length;
+                const enumTokenIndex = lineIndex;
                 words.push(0);  // placeholder
                 lineIndex++;
 
+                let found = [];
                 for (let i = 0; i < operandInfo.enumerants.length; i++) {
                     const enumerant = operandInfo.enumerants[i];
                     if (isBitEnum && value.includes(enumerant.enumerant)) {
@@ -297,6 +857,8 @@ function assemble(spirvText, version) {
                     } else {
                         continue;
                     }
+                    found.push(enumerant.enumerant);
+                    checkVersion(enumerant, `${kind} ${enumerant.enumerant}`, enumTokenIndex);
 
                     if (enumerant.parameters) {
                         for (let j = 0; j < enumerant.parameters.length; j++) {
@@ -305,19 +867,23 @@ function assemble(spirvText, version) {
                         }
                     }
                 }
+
+                for (const name of (isBitEnum ? value : [value])) {
+                    if (!found.includes(name)) {
+                        addError(`Unknown ${kind} ${name}`, enumTokenIndex, kind);
+                    }
+                }
             }
         }
 
-        const instructionInfo = spirv.Instructions.get(opcode);
-        if (instructionInfo.operands == undefined) {
-            continue;  // things like OpFunctionEnd
-        }
+        // things like OpFunctionEnd have no operands
+        const grammarOperands = spirv.Instructions.get(opcode).operands || [];
 
-        // Need to go through each operand
+        // Need to go through each operand, stopping once out of text for the optional and wildcard ones
         let isWildcard = false;
         let kind = '';
-        while (operandIndex < instructionInfo.operands.length && (words.length < lastWord)) {
-            const operand = instructionInfo.operands[operandIndex];
+        while (operandIndex < grammarOperands.length && lineIndex < line.length) {
+            const operand = grammarOperands[operandIndex];
             kind = operand.kind;
             isWildcard = operand.quantifier == '*';
             GetOperand(kind);
@@ -325,14 +891,50 @@ function assemble(spirvText, version) {
         }
 
         // If at end with wildcard, need to just reuse the same 'kind' for rest of line
-        while (isWildcard && (words.length < lastWord)) {
+        while (isWildcard && lineIndex < line.length) {
             GetOperand(kind);
             operandIndex++
         }
+
+        if (operandIndex < grammarOperands.length && !grammarOperands[operandIndex].quantifier) {
+            const missingKind = grammarOperands[operandIndex].kind;
+            addError(`Missing operand, ${opname} needs a ${missingKind}`, line.length, missingKind);
+        } else if (lineIndex < line.length) {
+            addError(`Unexpected ${line[lineIndex]}, ${opname} has no more operands`, lineIndex, undefined);
+        }
+
+        words[instructionStart] = ((words.length - instructionStart) << spirv.Meta.WordCountShift) | opcode;
     };
 
-    // update the header
-    words[3] = idsBound;
+    if (options.emitOpNames) {
+        let opNameWords = [];
+        let opNameKinds = [];
+        for (const [name, id] of idMap) {
+            if (definedIds.has(name) && !namedIds.has(name) && !/^%[0-9]+$/.test(name)) {
+                const nameWords = encodeStringLiteral(name.substring(1));
+                opNameWords.push(((nameWords.length + 2) << spirv.Meta.WordCountShift) | spirv.Enums.Op.OpName, id, ...nameWords);
+                opNameKinds.push('opcode', 'IdRef', ...nameWords.map(() => 'LiteralString'));
+            }
+        }
+        // Spreading into splice() would pass every word as an argument, which is too many for a large module
+        const opNameOffset = getOpNameOffset(words);
+        words = words.slice(0, opNameOffset).concat(opNameWords, words.slice(opNameOffset));
+        wordKinds = wordKinds.slice(0, opNameOffset).concat(opNameKinds, wordKinds.slice(opNameOffset));
+    }
+
+    // Ids can be used before they are defined, but they need to be defined somewhere
+    for (const [name, location] of idFirstUse) {
+        if (!definedIds.has(name) && !hasRawWords) {
+            location.message = `${name} is never defined`;
+            errors.push(location);
+        }
+    }
+    errors.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+
+    warnings.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+
+    // update the header, the ids are renumbered unless they are preserved so the bound in the text only matters then
+    words[3] = options.preserveNumericIds ? Math.max(idsBound, declaredBound) : idsBound;
 
-    return new Uint32Array(words);
+    return {'binary': new Uint32Array(words), 'errors': errors, 'warnings': warnings, 'wordKinds': wordKinds, 'format': 'assembly'};
 }
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// Copyright (c) 2021-2023 The Khronos Group Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+//
+// Command line disassembler for when there is no browser (ex. CI build logs)
+//
+// Runs the same scripts as the page, so the output matches what is shown in the visualizer
+// and can be passed back through assemble()
+//
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {createManifest} = require('../grammar/getManifest.js');
+
+const usage = `Usage: node source/cli.js [options] <file.spv>
+       node source/cli.js --verify-roundtrip <file.spv>...
+
+Options:
+  --opnames            Use the OpName of ids instead of the number (same as the "OpNames" checkbox)
+  --insert-constants   Add the value of constants used to the end of each line as a comment
+                       (same as the "Insert Constants" checkbox, but keeps the text able to be assembled)
+  --verify-roundtrip   Check the disassembly assembles back to the same binary, the first word that is
+                       different is printed (exits with 1 if any file is different)
+  --requirements       Print the capabilities, extensions and SPIR-V version the module needs, and any
+                       declarations missing or not needed, instead of the disassembly
+  --grammar <path>     Directory with the grammar files (default: SPIRV-Headers/include/spirv/unified1/)
+  --user-grammar <file>
+                       Grammar file to merge into the grammar (ex. for in-house extensions), can be used more than once.
+                       extinst.<import name>.grammar.json files add to an extended instruction set, any other file
+                       patches the core grammar
+  -o <file>            Write to file instead of stdout
+  -h, --help           Show this message
+`;
+
+function exitWithUsage(message) {
+    if (message) {
+        console.error('Error: ' + message);
+    }
+    console.error(usage);
+    process.exit(message ? 1 : 0);
+}
+
+var options = {'opNames': false, 'insertConstants': false};
+var grammarPath = path.join(__dirname, '..', 'SPIRV-Headers', 'include', 'spirv', 'unified1') + path.sep;
+var inputFiles = [];
+var userGrammars = [];
+var outputFile = undefined;
+var verifyRoundTripMode = false;
+var requirementsMode = false;
+
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg == '--opnames') {
+        options.opNames = true;
+    } else if (arg == '--insert-constants') {
+        options.insertConstants = true;
+    } else if (arg == '--verify-roundtrip') {
+        verifyRoundTripMode = true;
+    } else if (arg == '--requirements') {
+        requirementsMode = true;
+    } else if (arg == '--grammar') {
+        if (++i >= args.length) {
+            exitWithUsage('--grammar needs a path');
+        }
+        grammarPath = args[i].endsWith('/') ? args[i] : args[i] + '/';
+    } else if (arg == '--user-grammar') {
+        if (++i >= args.length) {
+            exitWithUsage('--user-grammar needs a file');
+        }
+        userGrammars.push({'file': args[i]});
+    } else if (arg == '-o') {
+        if (++i >= args.length) {
+            exitWithUsage('-o needs a file');
+        }
+        outputFile = args[i];
+    } else if (arg == '-h' || arg == '--help') {
+        exitWithUsage();
+    } else if (arg.startsWith('-')) {
+        exitWithUsage('Unknown option ' + arg);
+    } else {
+        inputFiles.push(arg);
+    }
+}
+if (inputFiles.length == 0) {
+    exitWithUsage('No input file');
+} else if (inputFiles.length > 1 && !verifyRoundTripMode) {
+    exitWithUsage('Only a single file can be disassembled');
+}
+
+// The scripts are written for the page and expect to share the global scope
+for (const script of ['utils.js', 'spirv.js', 'requirements.js', 'parser.js', 'assembler.js', 'disassembler.js', 'roundtrip.js']) {
+    const filename = path.join(__dirname, script);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), {'filename': filename});
+}
+
+// The manifest is made from the grammar directory, so --grammar can point at any version of the grammar
+const manifestPath = 'manifest';
+
+// No jQuery in NodeJS
+spirv.getJson = function(url, callback, onError) {
+    let json;
+    try {
+        json = (url == manifestPath) ? createManifest(fs.readdirSync(grammarPath)) : JSON.parse(fs.readFileSync(url, 'utf8'));
+    } catch (error) {
+        if (onError) {
+            onError();
+            return;
+        }
+        console.error('Failed to load SPIR-V grammar file ' + url + '\n' + error.message);
+        process.exit(1);
+    }
+    callback(json);
+};
+
+function readBinary(inputFile) {
+    const file = fs.readFileSync(inputFile);
+    // Copy into its own ArrayBuffer as the Buffer can be a view into a larger shared one
+    return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+}
+
+// Every file is checked even after one fails, so a whole directory of modules can be run at once
+function verifyRoundTripFiles() {
+    let differences = 0;
+    for (const inputFile of inputFiles) {
+        let result;
+        try {
+            result = verifyRoundTrip(readBinary(inputFile));
+        } catch (error) {
+            result = {'match': false, 'message': error.message};
+        }
+        if (!result.match) {
+            differences++;
+        }
+        console.log(inputFile + ': ' + (result.message || createRoundTripMessage(result)));
+    }
+    if (inputFiles.length > 1) {
+        console.log(`${inputFiles.length - differences} of ${inputFiles.length} files match`);
+    }
+    process.exit(differences == 0 ? 0 : 1);
+}
+
+// ex. "Capability Int64 is needed but not declared: [12] OpTypeInt 64"
+function createRequirementsText(ir) {
+    const requirements = ir.requirements;
+    const list = names => (names.length > 0) ? names.join(', ') : 'none';
+    var lines = [
+        'SPIR-V: ' + requirements.versionString + ' (module is ' + ir.header.versionString + ')',
+        'Capabilities: ' + list(requirements.capabilities),
+        'Extensions: ' + list(requirements.extensions),
+    ];
+    for (const problem of requirements.problems) {
+        const needs = problem.instructions.map(need => `[${need.instruction}] ${need.name}`);
+        lines.push(problem.message + ': ' + needs.join(', '));
+    }
+    return lines.join('\n') + '\n';
+}
+
+spirv.onReady = function() {
+    if (verifyRoundTripMode) {
+        verifyRoundTripFiles();
+        return;
+    }
+
+    const inputFile = inputFiles[0];
+    const binary = readBinary(inputFile);
+
+    let ir;
+    try {
+        ir = parseModule(binary);
+    } catch (error) {
+        console.error(inputFile + ': ' + error.message);
+        process.exit(1);
+    }
+
+    for (const diagnostic of ir.diagnostics) {
+        console.error(`${inputFile}: [${diagnostic.instruction}] ${diagnostic.message}`);
+    }
+
+    const text = requirementsMode ? createRequirementsText(ir) : disassembleModule(ir, options);
+    if (outputFile) {
+        fs.writeFileSync(outputFile, text);
+    } else {
+        process.stdout.write(text);
+    }
+};
+
+loadSpirv(grammarPath, manifestPath, undefined, userGrammars);
@@ -0,0 +1,142 @@
+// Copyright (c) 2021-2023 The Khronos Group Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+/*
+This takes the IR from parseModule() and turns it back into SPIR-V assembly text that assemble() can read
+
+Nothing in here touches the DOM, it is used for "Copy To Clipboard" and the command line tool (cli.js)
+*/
+
+// @param ir Module IR returned from parseModule()
+// @param options Optional, mirrors the checkboxes in the page
+//     { opNames : ids with an OpName use it instead of the number,
+//       insertConstants : constant values used by the instruction are added as a comment at the end of the line }
+// @return text of the whole module
+function disassembleModule(ir, options) {
+    options = options || {};
+    const idNames = options.opNames ? createIdNames(ir.opNames) : undefined;
+
+    var lines = [
+        '; SPIR-V',
+        '; Version: ' + ir.header.versionString,
+        '; Generator: 0x' + ir.header.generator.toString(16).padStart(8, '0'),
+        '; Bound: ' + ir.header.bound,
+        '; Schema: ' + ir.header.schema,
+    ];
+
+    for (let i = 0; i < ir.instructions.length; i++) {
+        const instruction = ir.instructions[i];
+        var line = createInstructionText(instruction, idNames);
+        if (options.insertConstants) {
+            line += createConstantsComment(instruction, ir.constants);
+        }
+        lines.push(line);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// OpName strings can be anything, so make them into names that are unique and won't be mistaken for a numbered id
+// @param opNames Map of result id to OpName string
+// @return Map of result id to name to use (without the %)
+function createIdNames(opNames) {
+    var idNames = new Map();
+    var usedNames = new Set();
+    opNames.forEach(function(opName, id) {
+        let name = opName.replace(/[^A-Za-z0-9_.]/g, '_');
+        if (/^[0-9]*$/.test(name)) {
+            name = '_' + name;
+        }
+        let uniqueName = name;
+        for (let count = 1; usedNames.has(uniqueName); count++) {
+            uniqueName = name + '_' + count;
+        }
+        usedNames.add(uniqueName);
+        idNames.set(id, uniqueName);
+    });
+    return idNames;
+}
+
+// ex. " ; %21 = 1.5, %22 = 0.0"
+function createConstantsComment(instruction, constants) {
+    var values = [];
+    var seen = new Set();
+    for (let i = 0; i < instruction.operandIdList.length; i++) {
+        const id = instruction.operandIdList[i];
+        if (constants.has(id) && !seen.has(id)) {
+            seen.add(id);
+            values.push('%' + id + ' = ' + constants.get(id));
+        }
+    }
+    return (values.length == 0) ? '' : ' ; ' + values.join(', ');
+}
+
+// ex. "0x00040015 0x00000008 0x00000020 0x00000000"
+function createRawWordsString(words) {
+    return words.map(word => '0x' + word.toString(16).padStart(8, '0')).join(' ');
+}
+
+// Takes an instruction from the IR and creates the text other assemblers will understand
+// ex. "%13 = OpTypeFunction %12"
+// @param idNames Optional Map of id to name to use instead of the number
+function createInstructionText(instruction, idNames) {
+    if (instruction.error) {
+        // Written as raw words so it still assembles to the same binary, with the problem as a comment
+        const rawWords = instruction.words.map(word => '!0x' + word.toString(16).padStart(8, '0'));
+        const wordCount = instruction.words[0] >>> spirv.Meta.WordCountShift;
+        if (!spirv.Instructions.has(instruction.opcode) && wordCount == instruction.words.length) {
+            // ex. an instruction from an extension newer than the grammar
+            rawWords[0] = `OpUnknown(${instruction.opcode}, ${wordCount})`;
+        }
+        return rawWords.join(' ') + ' ; ' + instruction.error;
+    }
+
+    function idText(id) {
+        return '%' + ((idNames && idNames.has(id)) ? idNames.get(id) : id);
+    }
+
+    function operandText(operand) {
+        if (operand.type == 'id') {
+            return idText(operand.value);
+        } else if (operand.type == 'string') {
+            // Escaped the same as spirv-dis, new lines are left in the string
+            return '"' + operand.value.replace(/["\\]/g, '\\$&') + '"';
+        } else if (operand.type == 'enumerant') {
+            // BitEnum are displayed as "A | B" but each operand needs to be a single word
+            return operand.value.replaceAll(' | ', '|');
+        }
+        return operand.value.toString();
+    }
+
+    var text = [];
+    if (instruction.result != undefined) {
+        text.push(idText(instruction.result), '=');
+    }
+    text.push(instruction.opname);
+    if (instruction.resultType != undefined) {
+        text.push(idText(instruction.resultType));
+    }
+    for (let i = 0; i < instruction.operands.length; i++) {
+        const operand = instruction.operands[i];
+        if (operand.type == 'pair') {
+            text.push(operandText(operand.first), operandText(operand.second));
+        } else if (i == 0 && instruction.opcode == spirv.Enums.Op.OpSpecConstantOp) {
+            // The opcode is written without the "Op" prefix
+            text.push(operand.value.substring(2));
+        } else {
+            text.push(operandText(operand));
+        }
+    }
+    return text.join(' ');
+}
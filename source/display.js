@@ -0,0 +1,343 @@
+// Copyright (c) 2021-2023 The Khronos Group Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+//
+// Windowed rendering of the disassembly
+//
+// Modules can have hundreds of thousands of instructions, so only the rows in view of #disassembleDisplayDiv
+// are kept in the DOM. Every row is the same height which lets the scroll position map straight to a row.
+// The rows of each module are kept in its session, see createSession() in main.js
+//
+
+// Height in pixels of every row, measured when the module is rendered
+var displayRowHeight = 0;
+const displayRowHeightFallback = 18;
+// Extra rows rendered above and below the view so scrolling doesn't flash empty rows
+const displayWindowOverscan = 20;
+// Range of session.visibleRows currently in the DOM
+var displayWindowStart = -1;
+var displayWindowEnd = -1;
+
+// How much each basic block will indent by
+const indentMultipler = 10;  // pixel
+
+// Text added to the top of a block for each role it has in the CFG
+const blockTypeNames = {
+    'loopHeader': 'Loop Header',
+    'loopMerge': 'Loop Merge',
+    'loopContinue': 'Loop Continue',
+    'loopBreak': 'Loop Break',
+    'selectionHeader': 'Selection Header',
+    'selectionMerge': 'Selection Merge',
+    'return': 'Return',
+};
+
+// Turns the IR into the flat list of rows to display
+// @param ir Module IR returned from parseModule()
+function buildDisplayRows(ir) {
+    session.displayRows = [];
+    session.instructionToRow = [];
+    session.displaySections = new Map();
+    session.collapsedSections = new Set();
+
+    // all instructions before first function are by themselves in "preFunction" which is broken into 4 sections
+    var sectionKeys = [];
+    var functionKey = undefined;
+    function addSection(key, type, indent, name, parentKeys) {
+        session.displaySections.set(key, {'type': type, 'indent': indent});
+        session.displayRows.push({'type': 'header', 'key': key, 'name': name, 'sections': parentKeys});
+    }
+
+    for (let index = 0; index < ir.instructions.length; index++) {
+        const instruction = ir.instructions[index];
+
+        if (ir.sections.has(index)) {
+            const section = ir.sections.get(index);
+            const key = 'preFunction-' + section;
+            addSection(key, 'preFunction', 0, preFunctionSectionNames[section], []);
+            sectionKeys = [key];
+        }
+
+        switch (instruction.opcode) {
+            case spirv.Enums.Op.OpFunction:
+                functionKey = 'function-' + index;
+                addSection(functionKey, 'function', 0, 'Function ' + index, []);
+                sectionKeys = [functionKey];
+                break;
+            case spirv.Enums.Op.OpFunctionEnd:
+                // Label has ended and need to add last instruction
+                sectionKeys = [functionKey];
+                break;
+            case spirv.Enums.Op.OpLabel: {
+                if (!ir.blocks.has(index)) {
+                    break;  // failed to decode so is not a block
+                }
+                const key = 'label-' + index;
+                const indentSize = (ir.blocks.get(index).indent * indentMultipler) + 5;
+                addSection(key, 'label', indentSize, 'Label ' + index, [functionKey]);
+                sectionKeys = [functionKey, key];
+
+                if (ir.blockTypes.has(index)) {
+                    session.displayRows.push({'type': 'blockType', 'blockTypes': ir.blockTypes.get(index), 'sections': sectionKeys});
+                }
+                break;
+            }
+        }
+
+        session.instructionToRow[index] = session.displayRows.length;
+        session.displayRows.push({'type': 'instruction', 'instruction': index, 'sections': sectionKeys});
+    }
+}
+
+// Creates the empty list in the display div that rows get rendered into
+function createDisplayList() {
+    var listDiv = document.createElement('div');
+    listDiv.id = 'displayList';
+    var windowDiv = document.createElement('div');
+    windowDiv.id = 'displayWindow';
+    listDiv.appendChild(windowDiv);
+    displayDiv.appendChild(listDiv);
+
+    measureDisplayRowHeight();
+    updateVisibleRows();
+    renderDisplayWindow(true);
+}
+
+// Rows can change size with the "Larger Text" setting
+function measureDisplayRowHeight() {
+    const windowDiv = document.getElementById('displayWindow');
+    if (!windowDiv || session.instructionToRow.length == 0) {
+        return;
+    }
+    // Render a single row without a set height to see how tall it naturally is
+    displayRowHeight = 0;
+    windowDiv.innerHTML = createRowHtmlString(session.displayRows[session.instructionToRow[0]]);
+    displayRowHeight = windowDiv.firstChild.offsetHeight || displayRowHeightFallback;
+    windowDiv.innerHTML = '';
+}
+
+function updateVisibleRows() {
+    session.visibleRows = [];
+    for (let i = 0; i < session.displayRows.length; i++) {
+        const sections = session.displayRows[i].sections;
+        let hidden = false;
+        for (let j = 0; j < sections.length; j++) {
+            if (session.collapsedSections.has(sections[j])) {
+                hidden = true;
+                break;
+            }
+        }
+        if (!hidden) {
+            session.visibleRows.push(i);
+        }
+    }
+
+    const listDiv = document.getElementById('displayList');
+    if (listDiv) {
+        listDiv.style.height = (session.visibleRows.length * displayRowHeight) + 'px';
+    }
+}
+
+// Puts the rows currently in view into the DOM
+// @param force Re-render even if the same rows are already in view (ex. a setting changed)
+function renderDisplayWindow(force) {
+    const listDiv = document.getElementById('displayList');
+    if (!listDiv) {
+        return;  // nothing loaded
+    }
+    const windowDiv = document.getElementById('displayWindow');
+
+    const top = displayDiv.scrollTop - listDiv.offsetTop;
+    const first = Math.max(0, Math.floor(top / displayRowHeight) - displayWindowOverscan);
+    const last =
+        Math.min(session.visibleRows.length, Math.ceil((top + displayDiv.clientHeight) / displayRowHeight) + displayWindowOverscan);
+    if (!force && first == displayWindowStart && last == displayWindowEnd) {
+        return;
+    }
+    displayWindowStart = first;
+    displayWindowEnd = last;
+
+    var html = '';
+    for (let i = first; i < last; i++) {
+        html += createRowHtmlString(session.displayRows[session.visibleRows[i]]);
+    }
+    windowDiv.style.top = (first * displayRowHeight) + 'px';
+    windowDiv.innerHTML = html;
+}
+
+function createRowHtmlString(row) {
+    // Wrap the row in each section it is in so the section borders line up across rows
+    var html = '';
+    var closeHtml = '';
+    for (let i = 0; i < row.sections.length; i++) {
+        const section = session.displaySections.get(row.sections[i]);
+        const style = section.indent ? ` style="margin-left: ${section.indent}px"` : '';
+        html += `<div class="${section.type}"${style}>`;
+        closeHtml += '</div>';
+    }
+
+    if (row.type == 'header') {
+        const section = session.displaySections.get(row.key);
+        const style = section.indent ? ` style="margin-left: ${section.indent}px"` : '';
+        const collapsed = session.collapsedSections.has(row.key) ? ' collapsed' : '';
+        html += `<label class="label-toggle label-${section.type}${collapsed}" data-section="${row.key}"${style}>` +
+            row.name + '</label>';
+    } else if (row.type == 'blockType') {
+        // Most recently found role is displayed first
+        let blockTypeHtml = '';
+        let seen = new Set();
+        for (let i = 0; i < row.blockTypes.length; i++) {
+            const blockType = row.blockTypes[i];
+            const key = blockType.type + blockType.header;
+            if (!seen.has(key)) {
+                seen.add(key);
+                blockTypeHtml = `<span class="blockType"> [${blockTypeNames[blockType.type]} ${blockType.header}]</span>` +
+                    blockTypeHtml;
+            }
+        }
+        html += blockTypeHtml;
+    } else {
+        const index = row.instruction;
+        const color = getInstructionHighlight(index);
+        const style = color ? ` style="background-color: ${color}"` : '';
+        html += `<div id="instruction_${index}" class="instruction"${style}>` +
+            createInstructionHtmlString(session.ir.instructions[index], index) + '</div>';
+    }
+
+    const height = displayRowHeight ? ` style="height: ${displayRowHeight}px"` : '';
+    return `<div class="displayRow"${height}>` + html + closeHtml + '</div>';
+}
+
+// @param key Section key (ex. 'function-39')
+function toggleSection(key) {
+    if (session.collapsedSections.has(key)) {
+        session.collapsedSections.delete(key);
+    } else {
+        session.collapsedSections.add(key);
+    }
+    updateVisibleRows();
+    renderDisplayWindow(true);
+}
+
+function collapseAllSections() {
+    session.displaySections.forEach(function(section, key) {
+        session.collapsedSections.add(key);
+    });
+    updateVisibleRows();
+    renderDisplayWindow(true);
+}
+
+function expandAllSections() {
+    session.collapsedSections.clear();
+    updateVisibleRows();
+    renderDisplayWindow(true);
+}
+
+// Uncollapses and scrolls to the instruction so it is in the DOM
+// @param instruction Assumes is already parsed to int
+// @return The instruction div
+function revealInstruction(instruction) {
+    const rowIndex = session.instructionToRow[instruction];
+    const sections = session.displayRows[rowIndex].sections;
+    for (let i = 0; i < sections.length; i++) {
+        session.collapsedSections.delete(sections[i]);
+    }
+    updateVisibleRows();
+
+    // session.visibleRows is sorted, so binary search for where the row is
+    let low = 0;
+    let high = session.visibleRows.length - 1;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (session.visibleRows[middle] < rowIndex) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    const listDiv = document.getElementById('displayList');
+    displayDiv.scrollTop = listDiv.offsetTop + (low * displayRowHeight) - (displayDiv.clientHeight / 2);
+    renderDisplayWindow(true);
+    return document.getElementById('instruction_' + instruction);
+}
+
+// Update a single instruction if it is currently in the DOM
+function updateInstructionHighlight(instruction) {
+    const instructionDiv = document.getElementById('instruction_' + instruction);
+    if (instructionDiv) {
+        instructionDiv.style.backgroundColor = getInstructionHighlight(instruction) || '';
+    }
+}
+
+function idOnClick(event) {
+    // Returns DOMTokenList of all classes
+    let classList = event.target.classList;
+    let parent = event.target.parentElement;
+
+    var id = undefined;
+    // find "idN" where "N" is the SPIR-V ID value
+    // Can't use innerText due to using opName option
+    for (let value of classList.values()) {
+        // make sure not to just grab "id" class
+        if (value.startsWith('id') && (value.length > 2)) {
+            id = parseInt(value.substring(2));
+        }
+    }
+    assert(isNaN(id) == false, 'id was NaN');
+
+    // id will be of "instruction_x"
+    var instruction = parseInt(parent.id.substring(parent.id.indexOf('_') + 1));
+    let hasResult = classList.contains('result');
+
+    if (hasResult) {
+        displayDagResult(id, instruction);
+    } else {
+        // Includes Result Types
+        displayDagOperand(id, instruction);
+    }
+}
+
+function operationOnClick(event) {
+    var opcode = event.target.innerText;
+    let parent = event.target.parentElement;
+    // id will be of "instruction_x"
+    var instruction = parseInt(parent.id.substring(parent.id.indexOf('_') + 1));
+    displayDagOpcode(opcode, instruction);
+}
+
+function debugStringOnClick(event) {
+    let parent = event.target.parentElement;
+    // id will be of "instruction_x"
+    var instruction = parseInt(parent.id.substring(parent.id.indexOf('_') + 1));
+    displayDebugString(instruction);
+}
+
+// Rows are re-created as they scroll into view, so listen from the display div once instead of on each row
+function bindDisplayEvents() {
+    $('#disassembleDisplayDiv').on('click', '.id', idOnClick);
+    $('#disassembleDisplayDiv').on('click', '.operation', operationOnClick);
+    $('#disassembleDisplayDiv').on('click', '.debugString', debugStringOnClick);
+    $('#disassembleDisplayDiv').on('click', '.label-toggle', function() {
+        toggleSection(this.dataset.section);
+    });
+    $('#disassembleDisplayDiv').on('mouseenter mouseleave', '.instruction', instructionHover);
+    $('#disassembleDisplayDiv').on('click', '.diagnosticLink', function() {
+        revealInstruction(parseInt(this.dataset.instruction));
+    });
+    $('#disassembleDisplayDiv').on('scroll', function() {
+        renderDisplayWindow(false);
+    });
+}
@@ -17,38 +17,332 @@
 // Handle all DOM interface input interactions
 //
 
-// Load in file
-function fileSelected(data, filename) {
+// Grammar snapshots the page is able to decode with, from grammar/snapshots.json, the first one is the default
+//   [ { name, path : directory of the grammar files, manifest : from grammar/getManifest.js, version : ex. '1.6' } ]
+var grammarSnapshots = [];
+
+// Grammar files for in-house extensions, from "userGrammars" in grammar/snapshots.json, merged into every snapshot
+//   [ { file, name : optional import name of the extended instruction set } ]
+var userGrammarFiles = [];
+
+// Used if grammar/snapshots.json can't be loaded
+const defaultGrammarSnapshot = {
+    'name': 'unified1',
+    'path': 'SPIRV-Headers/include/spirv/unified1/',
+    'manifest': 'grammar/extinst.manifest.json',
+    'version': '',
+};
+
+// Called from the body onload, the snapshot can be picked in the URL (ex. index.html?grammar=unified1)
+function loadGrammarSnapshots() {
+    spirv.getJson('grammar/snapshots.json', function(json) {
+        grammarSnapshots = json.snapshots;
+        userGrammarFiles = json.userGrammars || [];
+        loadGrammarSnapshot(new URLSearchParams(location.search).get('grammar'));
+    }, function() {
+        console.warn('Warning: Failed to load grammar/snapshots.json, using the SPIRV-Headers submodule');
+        grammarSnapshots = [defaultGrammarSnapshot];
+        loadGrammarSnapshot(undefined);
+    });
+}
+
+// @param name Optional, name of the snapshot to load, otherwise the default one
+function loadGrammarSnapshot(name) {
+    let snapshot = grammarSnapshots.find(snapshot => snapshot.name == name);
+    if (name && !snapshot) {
+        console.warn('Warning: There is no grammar snapshot named ' + name + ', using ' + grammarSnapshots[0].name);
+    }
+    snapshot = snapshot || grammarSnapshots[0];
+
+    const select = document.getElementById('grammarSnapshot');
+    select.innerHTML = grammarSnapshots.map(function(option) {
+        const version = option.version ? ' (SPIR-V ' + option.version + ')' : '';
+        return `<option value="${escapeHtml(option.name)}">${escapeHtml(option.name + version)}</option>`;
+    }).join('');
+    select.value = snapshot.name;
+
+    loadSpirv(snapshot.path, snapshot.manifest, snapshot.name, userGrammarFiles);
+}
+
+// The grammar is used by everything on the page, so picking another snapshot loads the page again with it
+// @param name Name of the snapshot
+// @return URL of the page with the snapshot in it
+function getGrammarSnapshotUrl(name) {
+    const url = new URL(location.href);
+    url.searchParams.set('grammar', name);
+    return url.href;
+}
+
+// ex. '1.6' is 0x00010600, the same as the version in the module header
+function getGrammarSnapshotVersion(snapshot) {
+    const [major, minor] = snapshot.version.split('.').map(Number);
+    return (major << 16) | (minor << 8);
+}
+
+// Modules newer than the grammar can't be decoded, so look for a snapshot that can
+// @param data ArrayBuffer of the module
+// @return snapshot to load instead, undefined if the module isn't newer or no snapshot is new enough
+function findNewerGrammarSnapshot(data) {
+    if (data.byteLength < 8) {
+        return undefined;
+    }
+    let [magic, version] = new Uint32Array(data, 0, 2);
+    if (magic == byteSwap32(spirv.Meta.MagicNumber)) {
+        version = byteSwap32(version);
+    }
+    if (version <= spirv.Meta.Version) {
+        return undefined;
+    }
+    // The loaded snapshot is skipped, its listed version could be newer than the version its grammar has
+    return grammarSnapshots.find(function(snapshot) {
+        return snapshot.name != spirv.GrammarName && snapshot.version && getGrammarSnapshotVersion(snapshot) >= version;
+    });
+}
+
+// Called once all the SPIR-V grammar files are loaded
+function onSpirvJsonReady() {
+    if (TEST_SUITE == true) {
+        // Kick off test suite
+        runTestSuite();
+    } else if (DEBUG == true) {
+        // Debug flow to preload a spirv binary
+        console.log('DEBUG MODE --- ON');
+        var xhr = new XMLHttpRequest();
+        xhr.open('GET', DEBUG_FILE, true);
+        xhr.responseType = 'arraybuffer';
+        xhr.onload = function(e) {
+            // simulate HTML dom change
+            var filename = this.responseURL.replace(/^.*[\\\/]/, '');
+            fileSelected(this.response, filename);
+        };
+        xhr.send();
+    } else {
+        // Prompt user to select file
+        document.getElementById('preLoad').style.display = 'none';
+        document.getElementById('filePrompt').style.visibility = 'visible';
+        document.getElementById('spirvVersion').innerText = spirv.Version;
+    }
+}
+
+// Name of the text file put in the text input, until it is loaded
+var textInputFilename = undefined;
+
+function showLoadedFilename(filename) {
+    document.getElementById('fileSelectName').innerHTML =
+        'Loaded: <span style="color : navajowhite">' + escapeHtml(filename) + '</span>';
+}
+
+// Load in file, each file gets its own tab
+// @param onLoaded Optional, called once the module is displayed or failed to be
+function fileSelected(data, filename, onLoaded) {
     toggleDisassemblyInput(false);
     if (filename == undefined) {
         filename = 'unknown';
     }
-    document.getElementById('fileSelectName').innerHTML = 'Loaded: <span style="color : navajowhite">' + filename + '</span>';
+    showLoadedFilename(filename);
+    textInputFilename = undefined;
 
-    // Toggle div to be displayed
-    // remove the rest as currently not support reloading spir-v without page refresh
+    // The prompt is shown again after "Clear All"
     let preLoad = document.getElementById('preLoad');
-    let filePrompt = document.getElementById('filePrompt');
     if (preLoad) {
         preLoad.remove();
     }
-    if (filePrompt) {
-        filePrompt.remove();
-    }
+    document.getElementById('filePrompt').style.display = 'none';
     assert(data != undefined, 'Failed to read in file');
-    resetSettings();
-    parseBinaryStream(data);
+
+    const newerSnapshot = findNewerGrammarSnapshot(data);
+    if (newerSnapshot) {
+        // Clears the module shown, the message is the only thing left
+        startSession(filename, data);
+        document.getElementById('fileSelectName').innerHTML += '<br><span style="font-size : smaller">' +
+            'The module is newer than grammar ' + escapeHtml(spirv.GrammarName) + ', <a href="' +
+            escapeHtml(getGrammarSnapshotUrl(newerSnapshot.name)) + '">load the page with grammar ' +
+            escapeHtml(newerSnapshot.name) + '</a> to decode it</span>';
+        if (onLoaded) {
+            onLoaded();
+        }
+        return;
+    }
+
+    parseBinaryStreamInWorker(data, filename, function() {
+        // Nothing to add when it failed or was cancelled
+        if (session.ir) {
+            addModuleTab();
+        }
+        if (onLoaded) {
+            onLoaded();
+        }
+    });
 }
 
-const fileSelector = document.getElementById('fileSelector');
-const fileSelectorTop = document.getElementById('fileSelectorTop');
-function fileSelect(event) {
+// Files with these are always text, others are sniffed
+const textFileExtensions = ['.spvasm', '.spvas', '.txt'];
+
+// Binaries start with the magic number (in either byte order), text is anything else without a null byte in it
+// @param data ArrayBuffer of the file
+function isTextFile(data, filename) {
+    if (data.byteLength >= 4) {
+        const magic = new Uint32Array(data, 0, 1)[0];
+        if (magic == spirv.Meta.MagicNumber || magic == byteSwap32(spirv.Meta.MagicNumber)) {
+            return false;
+        }
+    }
+    if (filename && textFileExtensions.some(extension => filename.toLowerCase().endsWith(extension))) {
+        return true;
+    }
+    return !new Uint8Array(data).includes(0);
+}
+
+// Grammar files (ex. 'extinst.acme.grammar.json') are merged into the grammar instead of being loaded as a module
+// Other JSON files can be dropped with them, so it has to look like the SPIRV-Headers grammar files inside as well
+// @param data ArrayBuffer of the file
+function isGrammarFile(data, filename) {
+    if (!isJsonFile(filename)) {
+        return false;
+    }
+    let json = undefined;
+    try {
+        json = JSON.parse(new TextDecoder().decode(data));
+    } catch (error) {
+        return false;
+    }
+    if (json == null || typeof json != 'object') {
+        return false;
+    }
+    // The SPIRV-Headers grammar files have a copyright, the core one has the magic number as well
+    if (json.magic_number != undefined || json.copyright != undefined) {
+        return Array.isArray(json.instructions);
+    }
+    // A patch (ex. 'acme.core.json') only has the instructions and operand kinds it adds
+    const instructions = Array.isArray(json.instructions) ? json.instructions : [];
+    const operandKinds = Array.isArray(json.operand_kinds) ? json.operand_kinds : [];
+    return instructions.length + operandKinds.length > 0 &&
+        instructions.every(instruction => instruction && instruction.opname != undefined && instruction.opcode != undefined) &&
+        operandKinds.every(operandKind => operandKind && operandKind.kind != undefined && operandKind.category != undefined);
+}
+
+function isJsonFile(filename) {
+    return filename != undefined && filename.toLowerCase().endsWith('.json');
+}
+
+// @param data ArrayBuffer of the file
+function loadGrammarFile(data, filename) {
+    let json = undefined;
+    try {
+        json = JSON.parse(new TextDecoder().decode(data));
+    } catch (error) {
+        assert(false, filename + ' is not a valid grammar file: ' + error.message);
+    }
+    spirv.mergeGrammar(filename, json, spirv.getUserGrammarName(filename));
+
+    document.getElementById('alertBox').textContent = 'Merged ' + filename + ' into the grammar, modules loaded after will use it';
+    document.getElementById('alertBox').style.display = 'block';
+    setTimeout(function() {
+        document.getElementById('alertBox').style.display = 'none';
+    }, 3000);
+}
+
+// Binaries are loaded as is, text (ex. a .spvasm file) goes through the assembler
+// @param onLoaded Optional, called once the module is displayed or failed to be
+function loadFile(file, onLoaded) {
     const reader = new FileReader();
     reader.onload = function() {
-        const filename = (event.target.files) ? event.target.files[0].name : undefined;
-        fileSelected(reader.result, filename);
+        const filename = (file) ? file.name : undefined;
+        if (isGrammarFile(reader.result, filename)) {
+            try {
+                loadGrammarFile(reader.result, filename);
+            } finally {
+                // A bad grammar file doesn't stop the rest of the files from loading
+                if (onLoaded) {
+                    onLoaded();
+                }
+            }
+        } else if (isJsonFile(filename)) {
+            // ex. a tests.json dropped with the modules, it is not a module either so it is skipped
+            document.getElementById('alertBox').textContent = filename + ' is not a SPIR-V grammar file, it is skipped';
+            document.getElementById('alertBox').style.display = 'block';
+            setTimeout(function() {
+                document.getElementById('alertBox').style.display = 'none';
+            }, 3000);
+            if (onLoaded) {
+                onLoaded();
+            }
+        } else if (isTextFile(reader.result, filename)) {
+            // Any problems point into the text input, so the text is put there to be fixed
+            deactivateModuleTab();
+            toggleDisassemblyInput(true);
+            clearDagDiv();
+            inputDiv.value = new TextDecoder().decode(reader.result);
+            textInputFilename = filename;
+            fileQueuePaused = !assembleAndLoad(inputDiv.value, filename, onLoaded) && onLoaded != undefined;
+        } else {
+            fileSelected(reader.result, filename, onLoaded);
+        }
     };
-    reader.readAsArrayBuffer(event.target.files[0]);
+    reader.readAsArrayBuffer(file);
+}
+
+// Files waiting to be loaded, they are decoded one at a time
+var fileQueue = [];
+// Set while the text file at the front of the queue has problems, the rest are loaded once it is
+var fileQueuePaused = false;
+
+// Only .json files can be grammar files, so only they are read to look inside
+// @param onFound Called with the files that are grammar files, right away if there are no .json files
+function findGrammarFiles(files, onFound) {
+    const jsonFiles = files.filter(file => isJsonFile(file.name));
+    var grammarFiles = new Set();
+    var remaining = jsonFiles.length;
+    if (remaining == 0) {
+        onFound([]);
+        return;
+    }
+    for (const file of jsonFiles) {
+        const reader = new FileReader();
+        reader.onloadend = function() {
+            if (reader.result && isGrammarFile(reader.result, file.name)) {
+                grammarFiles.add(file);
+            }
+            remaining--;
+            if (remaining == 0) {
+                onFound(files.filter(file => grammarFiles.has(file)));
+            }
+        };
+        reader.readAsArrayBuffer(file);
+    }
+}
+
+// @param files Array of File
+function loadFiles(files) {
+    findGrammarFiles(files, function(grammarFiles) {
+        if (fileQueuePaused) {
+            // New files replace the one waiting to be fixed
+            fileQueuePaused = false;
+            fileQueue.shift();
+        }
+        const idle = (fileQueue.length == 0);
+        // Grammar files go first, so the modules dropped with them are decoded with them
+        fileQueue = fileQueue.concat(grammarFiles, files.filter(file => !grammarFiles.includes(file)));
+        if (idle && fileQueue.length > 0) {
+            loadFile(fileQueue[0], loadNextFile);
+        }
+    });
+}
+
+// Called once the file at the front of the queue is loaded
+function loadNextFile() {
+    fileQueue.shift();
+    if (fileQueue.length > 0) {
+        loadFile(fileQueue[0], loadNextFile);
+    }
+}
+
+const fileSelector = document.getElementById('fileSelector');
+const fileSelectorTop = document.getElementById('fileSelectorTop');
+function fileSelect(event) {
+    loadFiles(Array.from(event.target.files));
+    // Allows selecting the same file again
+    event.target.value = '';
 };
 fileSelector.addEventListener('change', fileSelect, false);
 fileSelectorTop.addEventListener('change', fileSelect, false);
@@ -60,89 +354,116 @@ function dragOverHandler(event) {
     event.dataTransfer.dropEffect = 'copy';  // Explicitly show this is a copy.
 }
 
-// Assume single file
 function dropHandler(event) {
     // Prevent default behavior (Prevent file from being opened)
     event.preventDefault();
-    var file;
+    var files = [];
     if (event.dataTransfer.items) {
         // DataTransferItemList interface
-        assert(event.dataTransfer.items[0].kind === 'file', 'Can only load single files');
-        file = event.dataTransfer.items[0].getAsFile();
+        for (const item of event.dataTransfer.items) {
+            if (item.kind === 'file') {
+                files.push(item.getAsFile());
+            }
+        }
     } else {
         // DataTransfer interface
-        file = event.dataTransfer.files[0];
+        files = Array.from(event.dataTransfer.files);
     }
-    const reader = new FileReader();
-    reader.onload = function() {
-        const filename = (file) ? file.name : undefined;
-        fileSelected(reader.result, filename);
-    };
-    reader.readAsArrayBuffer(file);
+    assert(files.length > 0, 'Can only load files');
+    loadFiles(files);
 }
 const dropArea = document.getElementsByTagName('BODY')[0];
 dropArea.addEventListener('drop', dropHandler, false);
 dropArea.addEventListener('dragover', dragOverHandler, false);
 
-function idOnClick(event) {
-    // Returns DOMTokenList of all classes
-    let classList = event.target.classList;
-    let parent = event.target.parentElement;
-
-    var id = undefined;
-    // find "idN" where "N" is the SPIR-V ID value
-    // Can't use innerText due to using opName option
-    for (let value of classList.values()) {
-        // make sure not to just grab "id" class
-        if (value.startsWith('id') && (value.length > 2)) {
-            id = parseInt(value.substring(2));
-        }
-    }
-    assert(isNaN(id) == false, 'id was NaN');
-
-    // id will be of "instruction_x"
-    var instruction = parseInt(parent.id.substring(parent.id.indexOf('_') + 1));
-    let hasResult = classList.contains('result');
-
-    if (hasResult) {
-        displayDagResult(id, instruction);
+function toggleDisassemblyInput(turnOn) {
+    hideAssemblerErrors();
+    if (turnOn) {
+        displayDiv.style.display = 'none';
+        inputDiv.style.display = 'inline-block';
+        displayDiv.innerHTML = '';
     } else {
-        // Includes Result Types
-        displayDagOperand(id, instruction);
+        displayDiv.style.display = 'inline-block';
+        inputDiv.style.display = 'none';
+        inputDiv.innerHTML = ''
     }
 }
 
-function operationOnClick(event) {
-    var opcode = event.target.innerText;
-    let parent = event.target.parentElement;
-    // id will be of "instruction_x"
-    var instruction = parseInt(parent.id.substring(parent.id.indexOf('_') + 1));
-    displayDagOpcode(opcode, instruction);
-}
+// Set while the warnings for the text are shown, pressing enter again loads it anyway
+var assemblerWarningsShown = false;
 
-function debugStringOnClick(event) {
-    let parent = event.target.parentElement;
-    // id will be of "instruction_x"
-    var instruction = parseInt(parent.id.substring(parent.id.indexOf('_') + 1));
-    displayDebugString(instruction);
+// Lists the problems found by assembleModule() over the text input, each links to where it is in the text
+// @param title Optional, defaults to the number of problems
+function showAssemblerErrors(errors, title) {
+    if (title == undefined) {
+        title = `${errors.length} problem(s) found in the text`;
+    }
+    var html = `<span class="diagnosticsTitle">${title}</span>`;
+    for (const error of errors) {
+        const expected = (error.expected == undefined) ? '' : ` (expected ${error.expected})`;
+        const location = `data-line="${error.line}" data-column="${error.column}" data-length="${error.token.length}"`;
+        const message = escapeHtml(error.message) + expected;
+        html += `<br><a class="diagnosticLink" ${location}>${error.line}:${error.column}</a> ${message}`;
+    }
+    var errorsDiv = document.getElementById('assemblerErrors');
+    errorsDiv.innerHTML = html;
+    errorsDiv.classList.remove('hide');
+    selectInputText(errors[0].line, errors[0].column, errors[0].token.length);
 }
 
-// Some settings are easier to reset than have stateful logic of inputs outside this file
-function resetSettings() {
-    document.getElementById('opNames').checked = false;
-    document.getElementById('insertConstants').checked = false;
+function hideAssemblerErrors() {
+    assemblerWarningsShown = false;
+    var errorsDiv = document.getElementById('assemblerErrors');
+    errorsDiv.classList.add('hide');
+    errorsDiv.innerHTML = '';
 }
 
-function toggleDisassemblyInput(turnOn) {
-    if (turnOn) {
-        displayDiv.style.display = 'none';
-        inputDiv.style.display = 'inline-block';
-        displayDiv.innerHTML = '';
+// Assembles the text, which can also be a binary written as text (ex. a C array), and loads it
+// If there are problems they are listed over the text input instead
+// @param filename Optional, where the text came from
+// @param onLoaded Optional, called once the module is displayed or failed to be
+// @return true if it is loaded
+function assembleAndLoad(text, filename, onLoaded) {
+    const options = {
+        'preserveNumericIds': document.getElementById('preserveNumericIds').checked,
+        'emitOpNames': document.getElementById('emitOpNames').checked,
+    };
+    // Empty is to use the "; Version:" comment in the text
+    const version = document.getElementById('assemblerVersion').value;
+    const result = assembleModule(text, (version == '') ? undefined : parseInt(version), options);
+    if (result.errors.length > 0) {
+        // A binary from text with problems would only show more problems
+        showAssemblerErrors(result.errors.concat(result.warnings));
+        return false;
+    } else if (result.warnings.length > 0 && !assemblerWarningsShown) {
+        showAssemblerErrors(result.warnings, `${result.warnings.length} warning(s), press enter again to load anyway`);
+        assemblerWarningsShown = true;
+        return false;
     } else {
-        displayDiv.style.display = 'inline-block';
-        inputDiv.style.display = 'none';
-        inputDiv.innerHTML = ''
+        // Show which kind of text was found
+        var name = filename || ((result.format == 'assembly') ? 'disassembled text' : 'pasted text');
+        if (result.format != 'assembly') {
+            name += ` (${result.format})`;
+        }
+        fileSelected(result.binary.buffer, name, onLoaded);
+        return true;
+    }
+}
+
+// Selects the text in the input and scrolls to it
+// @param line line number, starts at 1
+// @param column column in the line, starts at 1
+function selectInputText(line, column, length) {
+    const lines = inputDiv.value.split('\n');
+    var start = column - 1;
+    for (let i = 0; i < line - 1 && i < lines.length; i++) {
+        start += lines[i].length + 1;
     }
+    inputDiv.focus();
+    inputDiv.setSelectionRange(start, start + Number(length));
+    // Selecting doesn't scroll in all browsers, so put the line roughly in the middle
+    const lineHeight = inputDiv.scrollHeight / Math.max(lines.length, 1);
+    inputDiv.scrollTop = Math.max(0, (line - 1) * lineHeight - inputDiv.clientHeight / 2);
 }
 
 // Sends all checkboxes out to handlers
@@ -154,94 +475,85 @@ $(document).ready(function() {
         // Prevents shift+enter from starting event
         if (event.which === 13 && !event.shiftKey) {
             event.preventDefault();
-            const spirvBinary = assemble(inputDiv.value);
-            fileSelected(spirvBinary, 'disassembled text')
+            // A text file from the queue with problems, the rest are loaded after it
+            const onLoaded = fileQueuePaused ? loadNextFile : undefined;
+            if (assembleAndLoad(inputDiv.value, textInputFilename, onLoaded)) {
+                fileQueuePaused = false;
+            }
         }
     });
 
+    // The errors are for the text as it was, so they go away once it changes
+    $('#disassembleInputDiv').on('input', hideAssemblerErrors);
+
+    $('#assemblerErrors').on('click', '.diagnosticLink', function() {
+        selectInputText(parseInt(this.dataset.line), parseInt(this.dataset.column), this.dataset.length);
+    });
+
     $('input[type="checkbox"]').click(function() {
-        let box = $(this)[0].name;
-        let checked = $(this).prop('checked');
-
-        // dispatches each type of option to be handled
-        if (box == 'opNames') {
-            useOpNames(checked);
-        } else if (box == 'insertConstants') {
-            insertConstants(checked);
-        } else if (box == 'largerText') {
-            // Doesn't effect the settings text size
-            document.getElementById('moduleData').style.fontSize = (checked) ? 'medium' : 'small';
-        }
+        applySetting($(this)[0].name, $(this).prop('checked'));
+    });
+
+    bindDisplayEvents();
+
+    $('#moduleTabs').on('click', '.moduleTab', function() {
+        showModuleTab(parseInt(this.dataset.tab));
     });
+    $('#moduleTabs').on('click', '.closeTab', function(event) {
+        event.stopPropagation();
+        closeModuleTab(parseInt(this.dataset.tab));
+    });
+
+    $('#grammarSnapshot').on('change', function() {
+        location.href = getGrammarSnapshotUrl(this.value);
+    });
+
+    // Let the UI know when the grammar files are loaded, loadSpirv() is called after this from the body onload
+    spirv.onReady = onSpirvJsonReady;
 });
 
 $('#collapseAll').on('click', function() {
-    let toggle_elements = document.getElementsByClassName('toggle');
-    for (let i = 0; i < toggle_elements.length; i++) {
-        if (toggle_elements[i].checked) {
-            toggle_elements[i].click();
-        }
-    }
+    collapseAllSections();
 });
 
 $('#expandAll').on('click', function() {
-    let toggle_elements = document.getElementsByClassName('toggle');
-    for (let i = 0; i < toggle_elements.length; i++) {
-        if (!toggle_elements[i].checked) {
-            toggle_elements[i].click();
-        }
-    }
+    expandAllSections();
 });
 
 $('#clearAll').on('click', function() {
+    fileQueue = [];
+    fileQueuePaused = false;
+    closeAllModuleTabs();
     toggleDisassemblyInput(true);
-    clearDagDiv();
+    document.getElementById('filePrompt').style.display = '';
 });
 
-$('#copyToClipboard').on('click', function() {
-    // These modifications make it hard to grab spirv that other assemblers will understand
-    let opNamesChecked = document.getElementById('opNames').checked;
-    if (opNamesChecked) {
-        useOpNames(false);
-    }
-    let insertConstantsChecked = document.getElementById('insertConstants').checked;
-    if (insertConstantsChecked) {
-        insertConstants(false);
-    }
-
-    var clipboard = '';
-    let instruction_divs = document.getElementsByClassName("instruction");
-    for (let i = 0; i < instruction_divs.length; i++) {
-        let instruction_div = instruction_divs[i];
-        // strip the [123] number from the front
-        let offset =  instruction_div.innerText.indexOf(']') + 3;
-        let opcode = (instruction_div.childElementCount > 2) ? instruction_div.children[1].innerText : '';
-
-        if (debugStringMap.has(i)) {
-            let instruction_text = instruction_div.innerText.substr(offset);
-            clipboard += instruction_text.replace("click to view", "\"" + debugStringMap.get(i) + "\"\n");
-        } else if (opcode == 'OpSwitch' || opcode == 'OpPhi' || opcode == 'OpGroupMemberDecorate') {
-            // The HTML will look like
-            //      <a/> " (Case " <a/> " : " <a/> ")"
-            // So can rejoin by collecting all the children
-            for (let i = 1; i < instruction_div.childElementCount; i++) {
-                if (i != 1) clipboard += ' ';
-                clipboard += instruction_div.children[i].innerText;
-            }
-            clipboard += '\n';
-        } else {
-            // normal case
-            clipboard += instruction_div.innerText.substr(offset) + '\n';
-        }
-    }
+$('#exportHtml').on('click', function() {
+    exportReport(session.ir, session.name);
+});
 
-    // reset any settings
-    if (opNamesChecked) {
-        useOpNames(true);
+$('#verifyRoundTrip').on('click', function() {
+    if (!session.ir || !session.binary) {
+        return;
     }
-    if (insertConstantsChecked) {
-        insertConstants(true);
+    const result = verifyRoundTrip(session.binary, session.ir);
+    document.getElementById('alertBox').textContent = createRoundTripMessage(result);
+    document.getElementById('alertBox').style.display = 'block';
+    setTimeout(function() {
+        document.getElementById('alertBox').style.display = 'none';
+    }, result.match ? 1000 : 5000);
+    if (!result.match && result.difference.instruction < session.ir.instructions.length) {
+        revealInstruction(result.difference.instruction);
+    }
+});
+
+$('#copyToClipboard').on('click', function() {
+    // Built from the decoded module, as only the rows in view are in the DOM and the
+    // display settings make it hard to grab spirv that other assemblers will understand
+    if (!session.ir) {
+        return;
     }
+    var clipboard = disassembleModule(session.ir);
 
     navigator.clipboard.writeText(clipboard);
     document.getElementById('alertBox').innerHTML = "copied to clipborad!";
@@ -18,842 +18,516 @@
 var displayDiv = document.getElementById('disassembleDisplayDiv');
 var inputDiv = document.getElementById('disassembleInputDiv');
 
-// Main map of all items with instruction index as key
-var instructionMap = new Map();
-// A mapping of the resultID to the instruction index
-var resultToInstructionMap = new Map();
-// 2D array with key being an ID
-//    value is array of all instructions that use it
-var idConsumers = [];
-// Mapping of all results to an OpName string
-var opNameMap = new Map();
-// Mapping of instruction index to an debug instruction (ex OpSource) string
-var debugStringMap = new Map();
-// Mapping of what to display if inserting constant values
-var constantValues = new Map();
-// Mapping of what OpExtInst are non-semantic
-var nonSemanticInstructions = new Map();
-
-// Ensures consecutive loads are cleared
-function resetTracking() {
-    instructionMap = new Map();
-    resultToInstructionMap = new Map();
-    idConsumers = [];
-    opNameMap = new Map();
-    debugStringMap = new Map();
-    constantValues = new Map();
-    nonSemanticInstructions = new Map();
+// Everything that belongs to a single module. A new session is started for each module loaded, so nothing is
+// left over from the one before and loading file after file is the same as loading each into a fresh page.
+// @param name Name of the file the module came from
+// @param binary Optional, ArrayBuffer the module was decoded from, kept to verify the round trip
+function createSession(name, binary) {
+    return {
+        'name': name,
+        'binary': binary,
+        // IR returned from parseModule(), undefined until the module is decoded
+        'ir': undefined,
+        // Grammar snapshot the module is decoded with
+        'grammar': spirv.GrammarName,
+
+        // Display settings, applied as each row is rendered
+        'opNames': false,
+        'insertConstants': false,
+
+        // Every row that can be displayed, built once per module (see display.js)
+        //   { type : 'header' | 'blockType' | 'instruction', sections : [ keys of the sections the row is inside of ], ... }
+        'displayRows': [],
+        // Index into displayRows of the rows not hidden by a collapsed section, in order
+        'visibleRows': [],
+        // Index into displayRows of each instruction
+        'instructionToRow': [],
+        // [ section key (ex. 'function-39') : { type, indent } ]
+        'displaySections': new Map(),
+        // Keys of the sections currently collapsed
+        'collapsedSections': new Set(),
+        // Where the disassembly was scrolled to when switching to another tab
+        'scrollTop': 0,
+
+        // What the current dag (or debug string) is of, so it can be shown again when switching back to the tab
+        //   { type : 'opcode' | 'operand' | 'result' | 'debugString', instruction, id }
+        'dagSelection': undefined,
+        // Instructions in the current dag
+        'dagInstructions': new Set(),
+        // Instruction hovered either in the disassembly or the dag
+        'hoveredInstruction': undefined,
+        // Color of each node in the current dag
+        'dagColorMap': {},
+    };
 }
 
-// @param binary ArrayBuffer of spirv module binary file
-function parseBinaryStream(binary) {
-    const performanceStart = performance.now();
+// Session of the module being shown
+var session = createSession('unknown');
+
+// Replaces the session shown with a new one for the module about to be decoded
+// @param name Name of the file the module came from
+// @param binary ArrayBuffer of the module
+function startSession(name, binary) {
+    // Only one module is decoded at a time
+    cancelParseWorker();
+    leaveSession();
+    // Cleared after, so the dag of the session left is kept
+    session = createSession(name, binary);
+    clearModule();
+    showSessionSettings();
+    renderModuleTabs();
+}
 
+// The checkboxes for the settings that belong to the session
+function showSessionSettings() {
+    document.getElementById('opNames').checked = session.opNames;
+    document.getElementById('insertConstants').checked = session.insertConstants;
+}
+
+// Clears anything shown of the module, its session is left as is
+function clearModule() {
     // Clear div from any previous run
     displayDiv.innerHTML = '';
     // clear previous SVG
     clearDagDiv();
-    resetTracking();
+}
 
-    // translate to Uint32 array to match each SPIR-V dword
-    assert(binary.byteLength % 4 == 0, 'File is not 4 byte (32 bit) aligned, are you sure this is a binary SPIR-V file?');
-    const module = new Uint32Array(binary);
+//
+// Tabs, one for each module loaded so switching between them doesn't decode the module again
+//
 
-    assert(module.length >= 5, 'module less than 5 dwords which is the size of the header');
+// Sessions of every module decoded from a file, in the order loaded
+var moduleTabs = [];
+// Index into moduleTabs of the session shown, -1 while decoding or the text input is shown
+var activeTab = -1;
 
-    spirv.validateHeader(module.slice(0, 5));
-    const maxIdBound = module[3];
-    for (let i = 0; i < maxIdBound; i++) {
-        idConsumers[i] = [];
-    }
+// Called once the module from a file is decoded
+function addModuleTab() {
+    moduleTabs.push(session);
+    activeTab = moduleTabs.length - 1;
+    renderModuleTabs();
+}
 
-    var infoDiv = document.createElement('div');
-    const version = ((module[1] >> 16) & 0xff).toString() + '.' + ((module[1] >> 8) & 0xff).toString();
-    infoDiv.id = 'module-info';
-    infoDiv.innerHTML = 'SPIR-V ' + version + ' (Max ID Bound: ' + maxIdBound.toString() + ')';
-    displayDiv.appendChild(infoDiv);
+// Keeps where the disassembly was scrolled to before something else is shown in its place
+function leaveSession() {
+    if (activeTab != -1) {
+        session.scrollTop = displayDiv.scrollTop;
+        activeTab = -1;
+    }
+}
 
-    // Basic iterator mechanism, needs to reset each pass
-    var instructionCount = 0;
-
-    // internal representation of the module
-    // Built up in first pass
-    var currentFunction = {'start': 0, 'end': 0};
-    var currentBlock = {'start': 0, 'end': 0, 'function': 0};
-
-    // all instructions before first function are by themselves in "preFunciton" which is broken into 4 sections
-    // Set preFunction div the same way as a normal function
-    var preFunctionDiv = document.createElement('div');
-    addCollapsibleWrapper(preFunctionDiv, displayDiv, 'preFunction', 'modeSetting', 'Mode Setting');
-
-    // div hierarchy
-    // displayDiv -> function -> label -> instructions
-    var currentInstructionDiv = preFunctionDiv;
-    var currentFunctionDiv = undefined;
-
-    // How much each basic block will indent by
-    var indentStack = [];
-    const indentMultipler = 10;  // pixel
-
-    // when to insert rest of preFunction sections
-    var insertedDebug = false;
-    var insertedAnnotation = false;
-    var insertedType = false;
-
-    // Map of where all branch/switches jump too. Value is array of Label IDs
-    var branchMap = new Map();
-
-    // There is a 2 pass system through the stream
-    //   First pass: Setup all the DOM elements
-    //   Second pass: Edit the DOM elements
-    // This 2nd pass makes looking ahead in CFG ops much easier
-
-    // First pass
-    for (let i = 5; i < module.length;) {
-        const instruction = module[i];
-        const instructionLength = instruction >>> spirv.Meta.WordCountShift;
-        const opcode = instruction & spirv.Meta.OpCodeMask;
-
-        // Get type and result according to instruction layout
-        const hasResultType = spirv.OpcodesWithResultType.includes(opcode);
-        const hasResult = spirv.OpcodesWithResult.includes(opcode);
-        const opcodeResultType = hasResultType ? module[i + 1] : undefined;
-        const opcodeResult = hasResult ? (hasResultType ? module[i + 2] : module[i + 1]) : undefined;
-        var instructionInfo = spirv.Instructions.get(opcode);
-        // Holds operands that are an id (non-literals)
-        var operandIdList = [];
-        // gets which word index each item is
-        var operandWordIndexList = [];
-
-        // Find other preFunction opcodes to create more labels
-        if (insertedDebug == false && instructionInfo.class == 'Debug') {
-            insertedDebug = true;
-            let commentDiv = document.createElement('div');
-            addCollapsibleWrapper(commentDiv, displayDiv, 'preFunction', 'debug', 'Debug Information');
-            currentInstructionDiv = commentDiv;
-        } else if (insertedAnnotation == false && instructionInfo.class == 'Annotation') {
-            insertedAnnotation = true;
-            let commentDiv = document.createElement('div');
-            addCollapsibleWrapper(commentDiv, displayDiv, 'preFunction', 'annotations', 'Annotations');
-            currentInstructionDiv = commentDiv;
-        } else if (insertedType == false && instructionInfo.class == 'Type-Declaration') {
-            insertedType = true;
-            let commentDiv = document.createElement('div');
-            addCollapsibleWrapper(commentDiv, displayDiv, 'preFunction', 'types', 'Types, variables and constants');
-            currentInstructionDiv = commentDiv;
-        }
+// Used when the text input is shown over the modules
+function deactivateModuleTab() {
+    leaveSession();
+    renderModuleTabs();
+}
 
-        // Handles all aspects related to CFG
-        {
-            // Manage indent level from nested cfg
-            // Need to be done prior to label getting assigned CSS style
-            switch (opcode) {
-                case spirv.Enums.Op.OpLoopMerge:
-                case spirv.Enums.Op.OpSelectionMerge:
-                    indentStack.push(module[i + 1]);
-                    break;
-                case spirv.Enums.Op.OpLabel:
-                    if (indentStack[indentStack.length - 1] == module[i + 1]) {
-                        indentStack.pop();
-                    }
-                    break;
-            }
-            assert(indentStack.length < 1024, 'Control-flow nesting depth limit hit (or infinite loop bug code)')
-
-            // Map the boundaries for functions and blocks
-            switch (opcode) {
-                case spirv.Enums.Op.OpFunction:
-                    currentFunction.start = instructionCount;
-
-                    var newDiv = document.createElement('div');
-                    addCollapsibleWrapper(newDiv, displayDiv, 'function', instructionCount, 'Function ' + instructionCount);
-
-                    currentFunctionDiv = newDiv;
-                    currentInstructionDiv = newDiv;
-                    break;
-                case spirv.Enums.Op.OpFunctionEnd:
-                    currentFunction.end = instructionCount;
-
-                    // Label has ended and need to add last instruction
-                    currentInstructionDiv = currentFunctionDiv
-                    break;
-                case spirv.Enums.Op.OpLabel:
-                    currentBlock.start = instructionCount;
-                    currentBlock.function = currentFunction.start;
-
-                    var newDiv = document.createElement('div');
-
-                    assert(currentFunctionDiv, 'OpLabel not in a function block');
-                    addCollapsibleWrapper(newDiv, currentFunctionDiv, 'label', instructionCount, 'Label ' + instructionCount);
-
-                    // Set index for both div and the collasible label
-                    var indentSize = ((indentStack.length * indentMultipler) + 5);
-                    newDiv.style.marginLeft = indentSize + 'px';
-                    newDiv.parentNode.previousElementSibling.style.marginLeft = indentSize + 'px';
-
-                    currentInstructionDiv = newDiv;
-                    break;
-                case spirv.Enums.Op.OpBranch:
-                case spirv.Enums.Op.OpBranchConditional:
-                case spirv.Enums.Op.OpSwitch:
-                case spirv.Enums.Op.OpReturn:
-                case spirv.Enums.Op.OpReturnValue:
-                case spirv.Enums.Op.OpKill:
-                case spirv.Enums.Op.OpUnreachable:
-                case spirv.Enums.Op.TerminateInvocation:
-                    currentBlock.end = instructionCount;
-                    break;
-            };
-
-            // Build branching map
-            var branchDestinations = [];
-            switch (opcode) {
-                case spirv.Enums.Op.OpBranch:
-                    branchDestinations.push(module[i + 1]);
-                    break;
-                case spirv.Enums.Op.OpBranchConditional:
-                    branchDestinations.push(module[i + 2]);
-                    branchDestinations.push(module[i + 3]);
-                    break;
-                case spirv.Enums.Op.OpSwitch:
-                    branchDestinations.push(module[i + 2]);
-                    for (let operand = 4; operand < instructionLength; operand += 2) {
-                        branchDestinations.push(module[i + operand]);
-                    }
-                    break;
-            }
-            if (branchDestinations.length > 0) {
-                branchMap.set(instructionCount, branchDestinations);
-            }
-        }
+function showModuleTab(index) {
+    // Only one module is decoded at a time, so wait for it to finish
+    if (index == activeTab || parseWorkerDecoding) {
+        return;
+    }
+    leaveSession();
+    session = moduleTabs[index];
+    activeTab = index;
+    // Clearing the dag resets what it is of
+    const selection = session.dagSelection;
+
+    toggleDisassemblyInput(false);
+    clearModule();
+    renderModule(true);
+    showSessionSettings();
+    showLoadedFilename(session.name);
+
+    if (selection == undefined) {
+        // nothing selected
+    } else if (selection.type == 'opcode') {
+        displayDagOpcode(undefined, selection.instruction);
+    } else if (selection.type == 'operand') {
+        displayDagOperand(selection.id, selection.instruction);
+    } else if (selection.type == 'result') {
+        displayDagResult(selection.id, selection.instruction);
+    } else if (selection.type == 'debugString') {
+        displayDebugString(selection.instruction);
+    }
+    renderModuleTabs();
+}
 
-        // Map extended instruction to result hashmap
-        if (opcode == spirv.Enums.Op.OpExtInstImport) {
-            var extendedName = spirv.getLiteralString(module.slice(i + 2, i + instructionLength));
-            spirv.setResultToExtImportMap(extendedName, opcodeResult);
+function closeModuleTab(index) {
+    moduleTabs.splice(index, 1);
+    if (index < activeTab) {
+        activeTab--;
+    } else if (index == activeTab) {
+        activeTab = -1;
+        if (moduleTabs.length == 0) {
+            closeAllModuleTabs();
+            toggleDisassemblyInput(true);
+        } else {
+            showModuleTab(Math.min(index, moduleTabs.length - 1));
         }
+    }
+    renderModuleTabs();
+}
 
-        // Handles all aspect of disassembling the module
-        {
-            // HTML string to display
-            // ex. "[19]  %13 = OpTypeFunction %12"
-            var instructionString = `<span class="count">[${instructionCount}]</span>&emsp;`;
-
-            // Handle the result and type as always will be in front
-            if (hasResult == true) {
-                instructionString += ' ' + createIdHtmlString(opcodeResult, 'result');
-                instructionString += ' = '
-                resultToInstructionMap.set(opcodeResult, instructionCount);
-            }
-
-            // From profilng, this was a hotspot on load time, so made a map lookup
-            instructionString += ` <a class="operation">${spirv.OpcodeToName[opcode]}</a>`;
+// Back to the same as a fresh page
+function closeAllModuleTabs() {
+    parseWorkerOnEnd = undefined;
+    removeParseProgress();
+    moduleTabs = [];
+    activeTab = -1;
+    startSession('unknown');
+    document.getElementById('fileSelectName').innerHTML = '';
+}
 
-            if (hasResultType == true) {
-                instructionString += ' ' + createIdHtmlString(opcodeResultType, 'resultType');
-                idConsumers[opcodeResultType].push(instructionCount);
-                operandIdList.push(opcodeResultType);
-                operandWordIndexList.push(1);
-            }
+function renderModuleTabs() {
+    var html = '';
+    for (let i = 0; i < moduleTabs.length; i++) {
+        const active = (i == activeTab) ? ' activeTab' : '';
+        html += `<span class="moduleTab${active}" data-tab="${i}">${escapeHtml(moduleTabs[i].name)}` +
+            `<span class="closeTab" data-tab="${i}" title="Close">&times;</span></span>`;
+    }
+    var tabsDiv = document.getElementById('moduleTabs');
+    tabsDiv.innerHTML = html;
+    tabsDiv.classList.toggle('hide', moduleTabs.length == 0);
+}
 
-            // index of array of operands from grammar file array
-            var grammarOperandIndex = 0;
+// Decodes the module on the main thread, used by the test suite as it needs the result right away
+// @param binary ArrayBuffer of spirv module binary file
+// @param name Optional, name of the file the module came from
+function parseBinaryStream(binary, name) {
+    const performanceStart = performance.now();
+    startSession(name || 'unknown', binary);
+    displayModule(parseModule(binary), performanceStart);
+    return true;
+}
 
-            // Where in instruction currently in terms of word
-            var operandOffset = 1;  // first dword is not a operand
+// Called once the Web Worker is done decoding, failed or was cancelled
+var parseWorkerOnEnd = undefined;
 
-            // This list is per instruction. It can't be per opcode as some are variable length instructions
-            // which results 2 uses of the same opcode have a different length array later
-            var operandNameList = [];
+// Web Worker used to decode modules off the main thread, created on first use and kept for the next modules
+var parseWorker = undefined;
 
-            // When a OpExtInst is used, the operands are pull from the extended instruction grammar file instead
-            var extendedOperandInfo = undefined;
-            var extendedOperandIndex = 0;
+// True while the Web Worker is decoding a module
+var parseWorkerDecoding = false;
 
-            // When any operand_kinds item in the grammar has a set of parameters
-            var parameterOperandInfo = undefined;
-            var parameterOperandIndex = 0;
-            // Some instructions will have multiple parameter operands and need to iterate through each
-            var parameterOperandQueue = [];
+// Grammar the Web Worker was initialized with, see getParseWorkerGrammar()
+var parseWorkerGrammar = undefined;
 
-            // When a OpSpecConstantOp is used, the remaining operands are pull from the new instruction
-            var specConstantOpInfo = undefined;
-            var specConstantOpIndex = 0;
+// User grammars are only ever added to, so the count is enough to know if they changed
+function getParseWorkerGrammar() {
+    return spirv.GrammarPath + '|' + spirv.ManifestPath + '|' + spirv.UserGrammars.length;
+}
 
-            // These need to be set outside the while loop for optionalArray to just reuse
-            // the last type of operand for the rest of the instructions
-            var optionalArray = false;
-            var operandInfo;
+// Creates the Web Worker and loads the grammar into it, unless one already has the same grammar loaded
+function initParseWorker() {
+    const grammar = getParseWorkerGrammar();
+    if (parseWorker && parseWorkerGrammar == grammar) {
+        return;
+    }
+    if (parseWorker) {
+        parseWorker.terminate();
+    }
+    parseWorker = new Worker('source/worker.js');
+    parseWorkerGrammar = grammar;
+    // Worker scripts resolve paths relative to themselves, not the page
+    parseWorker.postMessage({
+        'type': 'init',
+        'grammarPath': new URL(spirv.GrammarPath, document.baseURI).href,
+        'manifestPath': new URL(spirv.ManifestPath, document.baseURI).href,
+        // Includes the ones dropped on the page, so they are sent already loaded
+        'userGrammars': spirv.UserGrammars,
+    });
+}
 
-            if (hasResultType == true) {
-                operandOffset++;
-                grammarOperandIndex++;
-                operandNameList.push('Result Type');
+// Same as parseBinaryStream() but the decoding is done in a Web Worker so the page doesn't freeze on large modules.
+// Progress is shown in #fileSelectName and the user is able to cancel it
+// @param binary ArrayBuffer of spirv module binary file
+// @param name Name of the file the module came from
+// @param onEnd Optional, called once the module is displayed or failed to be
+function parseBinaryStreamInWorker(binary, name, onEnd) {
+    // Pages opened from file:// are not allowed to start workers
+    if (typeof Worker === 'undefined' || location.protocol == 'file:') {
+        // The next module in the queue is still decoded if this one fails
+        try {
+            parseBinaryStream(binary, name);
+        } finally {
+            if (onEnd) {
+                onEnd();
             }
-            if (hasResult == true) {
-                operandOffset++
-                grammarOperandIndex++;
+        }
+        return;
+    }
+
+    const performanceStart = performance.now();
+    startSession(name, binary);
+
+    parseWorkerOnEnd = onEnd;
+    initParseWorker();
+    parseWorkerDecoding = true;
+
+    showParseProgress(0, 0, Math.floor(binary.byteLength / 4));
+    parseWorker.onmessage = function(event) {
+        const message = event.data;
+        if (message.type == 'progress') {
+            showParseProgress(message.instructions, message.words, message.totalWords);
+        } else if (message.type == 'done') {
+            parseWorkerDecoding = false;
+            removeParseProgress();
+            displayModule(message.ir, performanceStart);
+            endParseWorker();
+        } else if (message.type == 'error') {
+            parseWorkerDecoding = false;
+            // The grammar failed to load, so the next module needs a new Web Worker
+            if (message.grammar) {
+                parseWorker.terminate();
+                parseWorker = undefined;
             }
+            removeParseProgress();
+            // Same message as assert() without throwing, nothing up the stack would catch it and the queue goes on
+            alert('Oh no, something went wrong: ' + message.message);
+            endParseWorker();
+        }
+    };
+    // Transfer a copy, the main thread keeps the binary for verifying the round trip
+    const workerBinary = binary.slice(0);
+    parseWorker.postMessage({'type': 'parse', 'binary': workerBinary}, [workerBinary]);
+}
 
-            // This loop builds the instruction string using the operands
-            // Handles all cases that occur in grammar json files
-            while (operandOffset < instructionLength) {
-                var operand = module[i + operandOffset];
-
-                // Need to know where the current operand should be grabbed from
-                if (optionalArray) {
-                    // will use the same operandInfo for rest of loop
-                    // makes assumption any parametarized operands are at end of instruction
-                } else if (extendedOperandInfo) {
-                    operandInfo = extendedOperandInfo.operands[extendedOperandIndex];
-                    extendedOperandIndex++;
-                } else if (parameterOperandInfo) {
-                    operandInfo = parameterOperandInfo[parameterOperandIndex];
-                    parameterOperandIndex++;
-
-                    // if multiple sets of parameters, resets for next set
-                    if (parameterOperandInfo.length == parameterOperandIndex) {
-                        // will be undefined if empty, which is find as should exit while loop next
-                        parameterOperandInfo = parameterOperandQueue.shift();
-                        parameterOperandIndex = 0;
-                    }
-                } else if (specConstantOpInfo) {
-                    operandInfo = specConstantOpInfo.operands[specConstantOpIndex];
-                    specConstantOpIndex++;
-                } else {
-                    // Normal
-                    operandInfo = instructionInfo.operands[grammarOperandIndex];
-                    grammarOperandIndex++;
-                }
+// Stops the Web Worker if still decoding a module, there is no way to interrupt parseModule() so a new one is needed
+function cancelParseWorker() {
+    if (parseWorkerDecoding) {
+        parseWorker.terminate();
+        parseWorker = undefined;
+        parseWorkerDecoding = false;
+    }
+}
 
-                // "some" Grammar files stores names as "'name'" and want to remove string quote
-                // Fall back to the 'kind' string if no name string
-                assert(operandInfo != undefined, 'Unable to find operands from grammar file');
-                var operandName;
-                // Some special cases for badly named operands in the grammar (for our purpose)
-                if (opcode == spirv.Enums.Op.OpTypeStruct) {
-                    operandName = 'member'
-                } else if (operandInfo.name) {
-                    operandName = (operandInfo.name[0] == '\'') ? operandInfo.name.substring(1, operandInfo.name.length - 1) :
-                                                                  operandInfo.name;
-                } else {
-                    operandName = operandInfo.kind;
-                }
+function endParseWorker() {
+    const onEnd = parseWorkerOnEnd;
+    parseWorkerOnEnd = undefined;
+    if (onEnd) {
+        onEnd();
+    }
+}
 
-                optionalArray = (operandInfo.quantifier == '*');
-                var kind = operandInfo.kind;
-
-                if ((kind == 'IdResultType') || (kind == 'IdResult')) {
-                    assert(false, 'Should not have to handle IdResultType or IdResult here');
-                } else if (kind == 'IdRef') {
-                    // handle optional array as speical case for IdRef
-                    if (optionalArray) {
-                        // some name start listing items instead of being just the name
-                        // Example: "'Member 0 type', +\n'member 1 type', +\n..."
-                        // but note the first and last char were stripped above
-                        var endIndex = operandName.indexOf('\'');
-                        if (endIndex != -1) {
-                            operandName = operandName.substring(0, endIndex);
-                            operandName = operandName.replace(/ [0-9]/g, '');  // remove number if one
-                        }
-                        // Finish rest of words
-                        var quantifierIndex = 0;
-                        while (operandOffset < instructionLength) {
-                            var nextOperand = module[i + operandOffset]
-                            instructionString += ' ' + createIdHtmlString(nextOperand, 'operand');
-                            idConsumers[nextOperand].push(instructionCount);
-                            operandIdList.push(nextOperand);
-                            operandWordIndexList.push(operandOffset);
-                            operandOffset++;
-
-                            operandNameList.push(operandName + ' ' + quantifierIndex);
-                            quantifierIndex++;
-                        }
-                    } else {
-                        // if optional (quantifier == "?"), print as normal
-                        instructionString += ' ' + createIdHtmlString(operand, 'operand');
-                        idConsumers[operand].push(instructionCount);
-                        operandIdList.push(operand);
-                        operandWordIndexList.push(operandOffset);
-                        operandNameList.push(operandName);
-                        operandOffset++;
-                    }
-
-                } else if (kind == 'LiteralString') {
-                    var literalString = spirv.getLiteralString(module.slice(i + operandOffset, i + instructionLength));
-                    // Source strings can be unhelpfully long, so hide by default
-                    // If the OpString is too long it can also be unhelpfully long
-                    const string_len_threshhold = 300;  // about 3 full lines
-                    var hide_string = opcode == spirv.Enums.Op.OpSource || opcode == spirv.Enums.Op.OpSourceContinued ||
-                        opcode == spirv.Enums.Op.OpModuleProcessed || literalString.length > string_len_threshhold;
-
-                    if (hide_string) {
-                        debugStringMap.set(instructionCount, literalString);
-                        instructionString += ' <span class="operand literal debugString">'
-                        instructionString += 'click to view'
-                        instructionString += '</span>'
-                    } else {
-                        instructionString += ' <span class="operand literal">"'
-                        instructionString += literalString;
-                        instructionString += '"</span>'
-                    }
-                    operandNameList.push(operandName);
-                    operandWordIndexList.push(operandOffset);
-                    // Add 1 for the null terminator
-                    operandOffset += Math.ceil((literalString.length + 1) / 4);
-
-                } else if (kind == 'LiteralInteger') {
-                    // single word literal
-                    instructionString += ' ' + createLiteralHtmlString(operand);
-                    operandNameList.push(operandName);
-                    operandWordIndexList.push(operandOffset);
-                    operandOffset++;
-
-                } else if (kind == 'LiteralExtInstInteger') {
-                    assert(
-                        opcode == spirv.Enums.Op.OpExtInst || opcode == spirv.Enums.Op.OpExtInstWithForwardRefsKHR,
-                        'Makes assumption OpExtInst/OpExtInstWithForwardRefsKHR is only opcode with LiteralExtInstInteger');
-                    // single word literal but from extended instruction set
-                    const setId = module[i + 3];
-
-                    const nonSemanitcType = spirv.getNonSemanticType(setId);
-                    if (nonSemanitcType) {
-                        nonSemanticInstructions.set(instructionCount, nonSemanitcType);
-                    }
-
-                    const extInstructionSet = spirv.getExtInstructions(setId);
-                    // There can be custom extended instructions starting with SPIR-V 1.6
-                    const extOpname = (extInstructionSet == undefined) ? operand : extInstructionSet.get(operand).opname;
-                    // This will have the while loop use the extended grammar
-                    if (extInstructionSet) {
-                        extendedOperandInfo = extInstructionSet.get(operand);
-                    }
-                    instructionString += ' ' + createLiteralHtmlString(extOpname);
-                    operandNameList.push(operandName);
-                    operandWordIndexList.push(operandOffset);
-                    operandOffset++;
-
-                } else if (kind == 'LiteralSpecConstantOpInteger') {
-                    specConstantOpInfo = spirv.Instructions.get(module[i + operandOffset]);
-                    instructionString += ' ' + createLiteralHtmlString(specConstantOpInfo.opname);
-                    operandNameList.push(operandName);
-                    operandWordIndexList.push(operandOffset);
-                    operandOffset++;
-                    specConstantOpIndex = 0;
-                    // Start after results as they inherit from parent instruction
-                    specConstantOpIndex += spirv.OpcodesWithResultType.includes(specConstantOpInfo.opcode) ? 1 : 0;
-                    specConstantOpIndex += spirv.OpcodesWithResult.includes(specConstantOpInfo.opcode) ? 1 : 0;
-
-                } else if (kind == 'LiteralContextDependentNumber') {
-                    // Handle any opcodes that have context dependent operands
-                    var width = 1;
-                    var operandValue = operand;
-                    if (opcode == spirv.Enums.Op.OpConstant || opcode == spirv.Enums.Op.OpSpecConstant) {
-                        // Result Type must be a scalar integer type or floating-point type.
-                        var contextInstruction = instructionMap.get(resultToInstructionMap.get(module[i + 1]));
-                        if (contextInstruction.opcode == spirv.Enums.Op.OpTypeInt) {
-                            var signedness = module[contextInstruction.moduleOffset + 3];
-                            if (signedness == 1) {
-                                // JS way to bring uint32 to int32
-                                operandValue = operandValue >> 0;
-                            }
-                            // 4 instructions is a normal 32 bit width, extra instruction length is another byte
-                            width = instructionLength - 3;
-                            assert(width <= 2, 'parsing ' + 32 * width + ' bit int is not supported');
-                            if (width == 2) {
-                                // 64-bit Int
-                                // only the high bit are converted to singed
-                                var operandValueLow = module[i + 3];
-                                var operandValueHigh = (signedness == 1) ? module[i + 4] >> 0 : module[i + 4];
-                                // use toString to get rid of suffix from types of BigInt
-                                operandValue = ((BigInt(operandValueHigh) << BigInt(32)) + BigInt(operandValueLow)).toString();
-                            }
-                        } else if (contextInstruction.opcode == spirv.Enums.Op.OpTypeFloat) {
-                            // 4 instrutions is a normal 32 bit width, extra instruction length is another byte
-                            width = instructionLength - 3;
-                            assert(width <= 2, 'parsing ' + 32 * width + ' bit float is not supported');
-                            var lowBits = module[i + 3].toString(2);
-                            lowBits = new Array(32 - lowBits.length).fill('0').join('') + lowBits;
-                            if (width == 2) {
-                                // 64-bit Float
-                                let highBits = module[i + 4].toString(2);
-                                highBits = new Array(32 - highBits.length).fill('0').join('') + highBits;
-                                let bits = highBits + lowBits;
-                                operandValue = parseFloatString(bits);
-                            } else {
-                                // 32-bit float
-                                operandValue = parseFloatString(lowBits);
-                            }
-                        } else {
-                            assert(false, 'OpConstant/OpSpecConstant result type is not OpTypeInt or OpTypeFloat');
-                        }
-                    } else {
-                        assert(
-                            false, 'unknown opcode is using LiteralContextDependentNumber grammar, chance things might break now')
-                    }
-
-                    var insertValue = operandValue;
-                    if (opcode == spirv.Enums.Op.OpSpecConstant) {
-                        insertValue = `spec(${insertValue})`;
-                    }
-                    constantValues.set(module[i + 2], insertValue);
-
-                    instructionString += ' ' + createLiteralHtmlString(operandValue);
-                    operandNameList.push(operandName);
-                    operandWordIndexList.push(operandOffset);
-                    operandOffset += width;
-
-                } else if ((kind == 'IdMemorySemantics') || (kind == 'IdScope')) {
-                    instructionString += ' ' + createIdHtmlString(operand, 'operand');
-                    idConsumers[operand].push(instructionCount);
-                    operandIdList.push(operand);
-                    operandNameList.push(operandName);
-                    operandWordIndexList.push(operandOffset);
-                    operandOffset++;
-
-                } else if (
-                    (kind == 'PairLiteralIntegerIdRef') || (kind == 'PairIdRefLiteralInteger') || (kind == 'PairIdRefIdRef')) {
-                    // All share the same logic of finshing rest of words 2 operands at a time
-                    var quantifierIndex = 0;
-                    while (operandOffset < instructionLength) {
-                        var nextOperand = module[i + operandOffset];
-                        var nextNextOperand = module[i + operandOffset + 1];
-                        if (opcode == spirv.Enums.Op.OpSwitch) {
-                            instructionString += ' (Case ';
-                            instructionString += createLiteralHtmlString(nextOperand);
-                            instructionString += ' : ';
-                            instructionString += createIdHtmlString(nextNextOperand, 'operand');
-                            instructionString += ') ';
-
-                            idConsumers[nextNextOperand].push(instructionCount);
-                            operandIdList.push(nextNextOperand);
-
-                            operandNameList.push('Case');
-                            operandNameList.push('Id');
-                        }
-                        if (opcode == spirv.Enums.Op.OpGroupMemberDecorate) {
-                            instructionString += ' (';
-                            instructionString += createIdHtmlString(nextOperand, 'operand');
-                            instructionString += ' : ';
-                            instructionString += createLiteralHtmlString(nextNextOperand);
-                            instructionString += ') ';
-
-                            idConsumers[nextOperand].push(instructionCount);
-                            operandIdList.push(nextOperand);
-
-                            operandNameList.push('Id ' + quantifierIndex);
-                            operandNameList.push('Member ' + quantifierIndex);
-                        }
-                        if (opcode == spirv.Enums.Op.OpPhi) {
-                            instructionString += ' (';
-                            instructionString += createIdHtmlString(nextOperand, 'operand');
-                            instructionString += ' : ';
-                            instructionString += createIdHtmlString(nextNextOperand, 'operand');
-                            instructionString += ') ';
-
-                            idConsumers[nextOperand].push(instructionCount);
-                            idConsumers[nextNextOperand].push(instructionCount);
-                            operandIdList.push(nextOperand);
-                            operandIdList.push(nextNextOperand);
-
-                            operandNameList.push('Variable ' + quantifierIndex);
-                            operandNameList.push('Parent ' + quantifierIndex);
-                        }
-                        operandWordIndexList.push(operandOffset);
-                        operandWordIndexList.push(operandOffset + 1);
-                        operandOffset += 2;
-                        quantifierIndex++;
-                    }
-                } else {
-                    operandInfo = spirv.Operands.get(kind);
-                    // If extended instruction might need to check grammar file
-                    if (!operandInfo && extendedOperandInfo) {
-                        var setId = module[i + 3];
-                        operandInfo = spirv.getExtOperands(setId).get(kind);
-                    }
-                    assert(operandInfo != undefined, 'Unknown grammar \'kind\' of ' + kind);
-
-                    if (operandInfo.enumerants) {
-                        var enumerantsLength = operandInfo.enumerants.length;
-                        var bitEnumString = '';
-                        var foundValue = false;
-
-                        for (let i = 0; i < enumerantsLength; i++) {
-                            var value = operandInfo.enumerants[i].value;
-                            if (operandInfo.category == 'BitEnum') {
-                                value = parseInt(operandInfo.enumerants[i].value, 16);
-                                // Will need to test each item if BitEnum
-                                // need to catch case where value and operand are both zero
-                                if (((value & operand) != 0) || (value == operand)) {
-                                    // know at least one value found
-                                    if (foundValue == false) {
-                                        bitEnumString = operandInfo.enumerants[i].enumerant;
-                                    } else {
-                                        bitEnumString += ' | ' + operandInfo.enumerants[i].enumerant;
-                                    }
-
-                                    if (operandInfo.enumerants[i].parameters) {
-                                        parameterOperandQueue.push(operandInfo.enumerants[i].parameters);
-                                    }
-                                    foundValue = true;
-                                }
-                            } else if (value == operand) {
-                                // Expect a single value, not flags if not BitEnum
-                                instructionString +=
-                                    ` <span class="operand enumerant">${operandInfo.enumerants[i].enumerant}</span>`;
-
-                                if (operandInfo.enumerants[i].parameters) {
-                                    parameterOperandQueue.push(operandInfo.enumerants[i].parameters);
-                                }
-                                foundValue = true;
-                                break;
-                            }
-                        }
-
-                        if (foundValue == true) {
-                            operandWordIndexList.push(operandOffset);
-                            operandOffset++;
-                            operandNameList.push(operandName);
-
-                            // If any parameter was found, enqueue it right away
-                            if (parameterOperandQueue.length != 0) {
-                                parameterOperandInfo = parameterOperandQueue.shift();
-                            }
-
-                            // Need to formulate string after finding all enums as well as counter operand
-                            if (operandInfo.category == 'BitEnum') {
-                                instructionString += ` <span class="operand enumerant">${bitEnumString}</span>`;
-                            }
-                        }
-                    }
-                }
-            }
+// Live progress indicator in #fileSelectName while the Web Worker is decoding
+function showParseProgress(instructionCount, wordCount, totalWords) {
+    let progressSpan = document.getElementById('parseProgress');
+    if (!progressSpan) {
+        progressSpan = document.createElement('span');
+        progressSpan.id = 'parseProgress';
+        progressSpan.style.fontSize = 'smaller';
+        progressSpan.innerHTML = '<br><span id="parseProgressText"></span> ';
+
+        let cancelButton = document.createElement('button');
+        cancelButton.className = 'customButton';
+        cancelButton.innerText = 'Cancel';
+        cancelButton.addEventListener('click', function() {
+            cancelParseWorker();
+            document.getElementById('parseProgressText').innerHTML = 'decoding cancelled';
+            cancelButton.remove();
+            endParseWorker();
+        });
+        progressSpan.appendChild(cancelButton);
+        document.getElementById('fileSelectName').appendChild(progressSpan);
+    }
 
-            // Create instruction div
-            var newDiv = document.createElement('div');
-            newDiv.innerHTML = instructionString
-            // Setting these directly is faster than setAttribute()
-            newDiv.id = `instruction_${instructionCount}`;
-            newDiv.className = 'instruction';
-            currentInstructionDiv.appendChild(newDiv);
-        }
+    const percent = (totalWords == 0) ? 100 : Math.floor((wordCount / totalWords) * 100);
+    document.getElementById('parseProgressText').innerHTML = 'decoded <span style="color : deepskyblue">' + instructionCount +
+        '</span> instructions (' + wordCount + ' / ' + totalWords + ' words, ' + percent + '%)';
+}
 
-        // Handles all decorations and names
-        if (opcode == spirv.Enums.Op.OpName) {
-            var name = spirv.getLiteralString(module.slice(i + 2, i + instructionLength));
-            // strings can be empty according to specs definition of Literals
-            // to prevent looking like a bug, replace with some more visual
-            if (name == '') {
-                name = '[empty string]'
-            }
+function removeParseProgress() {
+    let progressSpan = document.getElementById('parseProgress');
+    if (progressSpan) {
+        progressSpan.remove();
+    }
+}
 
-            opNameMap.set(module[i + 1], name);
-        }
+// @param ir Module IR returned from parseModule()
+// @param performanceStart performance.now() from when loading the module started
+function displayModule(ir, performanceStart) {
+    session.ir = ir;
+    renderModule(false);
 
-        // Take Constant-Creation class opcodes and save const value to be displayed
-        switch (opcode) {
-            case spirv.Enums.Op.OpConstantTrue:
-                constantValues.set(module[i + 2], 'True');
-                break;
-            case spirv.Enums.Op.OpConstantFalse:
-                constantValues.set(module[i + 2], 'False');
-                break;
-            case spirv.Enums.Op.OpConstantNull:
-                constantValues.set(module[i + 2], 'Null');
-                break;
-            case spirv.Enums.Op.OpSpecConstantTrue:
-                constantValues.set(module[i + 2], 'spec(True)');
-                break;
-            case spirv.Enums.Op.OpSpecConstantFalse:
-                constantValues.set(module[i + 2], 'spec(False)');
-                break;
-            // value was found already above in LiteralContextDependentNumber check
-            case spirv.Enums.Op.OpSpecConstant:
-            case spirv.Enums.Op.OpConstant:
-            // not supported
-            case spirv.Enums.Op.OpConstantComposite:
-            case spirv.Enums.Op.OpConstantSampler:
-            case spirv.Enums.Op.OpSpecConstantComposite:
-            case spirv.Enums.Op.OpSpecConstantOp:
-            case spirv.Enums.Op.OpConstantCompositeContinuedINTEL:
-            case spirv.Enums.Op.OpSpecConstantCompositeContinuedINTEL:
-                break;
-        };
-
-        // After parsing instruction insertions/updates
-        instructionMap.set(instructionCount, {
-            'moduleOffset': i,
-            'block': currentBlock.start,
-            'function': currentFunction.start,
-            'opcode': opcode,
-            'result': opcodeResult,
-            'resultType': opcodeResultType,
-            'operandNameList': operandNameList,
-            'operandIdList': operandIdList,
-            'operandWordIndexList': operandWordIndexList,
-            'parentInstructions': []
-        });
+    // Nothing has failed
+    const performanceEnd = performance.now();
+    document.getElementById('fileSelectName').innerHTML += '<br><span style="font-size : smaller">' +
+        'binary parsed in <span style="color : deepskyblue">' + ((performanceEnd - performanceStart) / 1000).toFixed(3) +
+        '</span> seconds' +
+        '</span>';
+}
 
-        i += instructionLength;
-        instructionCount++;
+// Builds all the HTML of the disassembly from the IR of the session
+// @param restore True when showing the session again, it is shown the same as it was left
+function renderModule(restore) {
+    const ir = session.ir;
+    var infoDiv = document.createElement('div');
+    infoDiv.id = 'module-info';
+    const endianness = (ir.header.endianness == 'big') ? 'Big Endian' : 'Little Endian';
+    infoDiv.innerHTML =
+        'SPIR-V ' + ir.header.versionString + ' ' + endianness + ' (Max ID Bound: ' + ir.header.bound.toString() + ')' +
+        (session.grammar ? ' decoded with grammar ' + escapeHtml(session.grammar) : '');
+    displayDiv.appendChild(infoDiv);
+
+    if (ir.diagnostics.length > 0) {
+        displayDiv.appendChild(createDiagnosticsDiv(ir.diagnostics));
+    }
+    // Reports exported before the requirements were added don't have them
+    if (ir.requirements) {
+        displayDiv.appendChild(createRequirementsDiv(ir.requirements));
     }
 
-    instructionCount = 0;
-
-    // Second pass
-    for (let i = 5; i < module.length;) {
-        const instruction = module[i];
-        const length = instruction >>> spirv.Meta.WordCountShift;
-        const opcode = instruction & spirv.Meta.OpCodeMask;
-
-        var currentInstruction = instructionMap.get(instructionCount)
-
-        // Add extra class to blocks for CFG
-        switch (opcode) {
-            case spirv.Enums.Op.OpLoopMerge:
-                var headerBlock = currentInstruction.block;
-                var mergeBlock = (instructionMap.get(resultToInstructionMap.get(module[i + 1]))).block;
-                var continueBlock = (instructionMap.get(resultToInstructionMap.get(module[i + 2]))).block;
-                document.getElementById('label-' + headerBlock).className += (' loopHeaderBlock-' + headerBlock);
-                document.getElementById('label-' + mergeBlock).className += (' loopMergeBlock-' + headerBlock);
-                document.getElementById('label-' + continueBlock).className += (' loopContinueBlock-' + headerBlock);
-
-                var mergeBlockResult = instructionMap.get(mergeBlock).result
-                for (let key of branchMap.keys()) {
-                    if (branchMap.get(key).includes(mergeBlockResult)) {
-                        block = instructionMap.get(key).block
-                        document.getElementById('label-' + block).className += (' loopBreakBlock-' + headerBlock);
-                    }
-                }
+    if (!restore) {
+        buildDisplayRows(ir);
+    }
+    createDisplayList();
+    if (restore) {
+        displayDiv.scrollTop = session.scrollTop;
+        renderDisplayWindow(true);
+    }
+}
 
-                break;
-            case spirv.Enums.Op.OpSelectionMerge:
-                var headerBlock = currentInstruction.block;
-                var mergeBlock = (instructionMap.get(resultToInstructionMap.get(module[i + 1]))).block;
-                document.getElementById('label-' + headerBlock).className += (' selectionHeaderBlock-' + headerBlock);
-                document.getElementById('label-' + mergeBlock).className += (' selectionMergeBlock-' + headerBlock);
-                break;
-            case spirv.Enums.Op.OpReturn:
-            case spirv.Enums.Op.OpReturnValue:
-                var block = currentInstruction.block;
-                document.getElementById('label-' + block).className += ' returnBlock-' + block;
-                break;
-        }
+// Lists every problem found while decoding, each one links to the instruction in the disassembly
+// @param diagnostics From the module IR
+function createDiagnosticsDiv(diagnostics) {
+    var diagnosticsDiv = document.createElement('div');
+    diagnosticsDiv.id = 'diagnostics';
+    var html = `<span class="diagnosticsTitle">${diagnostics.length} problem(s) found while decoding</span>`;
+    for (let i = 0; i < diagnostics.length; i++) {
+        const instruction = diagnostics[i].instruction;
+        html += `<br><a class="diagnosticLink" data-instruction="${instruction}">[${instruction}]</a> ` +
+            escapeHtml(diagnostics[i].message);
+    }
+    diagnosticsDiv.innerHTML = html;
+    return diagnosticsDiv;
+}
 
-        // Holds all instructions that have resultID for each operand
-        // store now instead of generating at DAG creation time
-        // inverse of idConsumers
-        let parentInstructions = [];
-        const operandIdList = currentInstruction.operandIdList;
-        for (let i = 0; i < operandIdList.length; i++) {
-            parentInstructions.push(resultToInstructionMap.get(operandIdList[i]));
+// Some requirements are needed by most of the module, only the first few instructions are linked
+const requirementLinkLimit = 10;
+
+// What the module needs, then each declaration missing or not needed linked to the instructions that need it
+// @param requirements From the module IR, see analyzeRequirements()
+function createRequirementsDiv(requirements) {
+    var requirementsDiv = document.createElement('div');
+    requirementsDiv.id = 'requirements';
+    const list = names => (names.length > 0) ? names.map(escapeHtml).join(', ') : 'none';
+    var html = `<span class="requirementsTitle">Needs SPIR-V ${requirements.versionString}</span>` +
+        ` with capabilities: ${list(requirements.capabilities)} and extensions: ${list(requirements.extensions)}`;
+    for (let i = 0; i < requirements.problems.length; i++) {
+        const problem = requirements.problems[i];
+        let links = problem.instructions.slice(0, requirementLinkLimit).map(function(need) {
+            return `<a class="diagnosticLink" data-instruction="${need.instruction}">[${need.instruction}]</a> ` +
+                escapeHtml(need.name);
+        });
+        if (problem.instructions.length > requirementLinkLimit) {
+            links.push(`and ${problem.instructions.length - requirementLinkLimit} more`);
         }
-        currentInstruction.parentInstructions = parentInstructions;
+        html += `<br><span class="requirementProblem">${escapeHtml(problem.message)}</span>: ${links.join(', ')}`;
+    }
+    requirementsDiv.innerHTML = html;
+    return requirementsDiv;
+}
 
-        i += length;
-        instructionCount++;
+// Takes an instruction from the IR and creates html string to be displayed
+// ex. "[19]  %13 = OpTypeFunction %12"
+function createInstructionHtmlString(instruction, index) {
+    var instructionString = `<span class="count">[${index}]</span>&emsp;`;
+    if (instruction.error) {
+        // Failed to decode, so all that can be shown is the words
+        const error = escapeHtml(instruction.error);
+        return instructionString + ` <span class="rawWords">${createRawWordsString(instruction.words)}</span>` +
+            ` <span class="decodeError" title="${error}">&#9888; ${error}</span>`;
     }
+    const enumOperands = getNonSemanticEnumOperands(instruction, index);
 
-    // Post processing
-    // Anything to be done after both passes are made
-    {
-        // Copy CFG class names from blocks to OpLabel
-        var labelDivs = document.getElementsByClassName('label');
-        for (let i = 0; i < labelDivs.length; i++) {
-            for (let value of labelDivs[i].classList.values()) {
-                if (value.startsWith('label') || (value.includes('-') == false)) {
-                    continue;
-                }
+    // Handle the result and type as always will be in front
+    if (instruction.result != undefined) {
+        instructionString += ' ' + createIdHtmlString(instruction.result, 'result');
+        instructionString += ' = '
+    }
 
-                // Create span to add html text
-                var newDiv = document.createElement('span');
-                newDiv.className = 'blockType';
-
-                var instructionId = value.substring(value.indexOf('-') + 1);
-                // String switch case to find all the classes being used
-                if (value.startsWith('loopHeaderBlock')) {
-                    newDiv.innerHTML = ` [Loop Header ${instructionId}]`;
-                } else if (value.startsWith('loopMergeBlock')) {
-                    newDiv.innerHTML = ` [Loop Merge ${instructionId}]`;
-                } else if (value.startsWith('loopContinueBlock')) {
-                    newDiv.innerHTML = ` [Loop Continue ${instructionId}]`;
-                } else if (value.startsWith('loopBreakBlock')) {
-                    newDiv.innerHTML = ` [Loop Break ${instructionId}]`;
-                } else if (value.startsWith('selectionHeaderBlock')) {
-                    newDiv.innerHTML = ` [Selection Header ${instructionId}]`;
-                } else if (value.startsWith('selectionMergeBlock')) {
-                    newDiv.innerHTML = ` [Selection Merge ${instructionId}]`;
-                } else if (value.startsWith('returnBlock')) {
-                    newDiv.innerHTML = ` [Return ${instructionId}]`;
-                } else {
-                    assert(false, 'Unknown label class: ' + value);
-                }
+    instructionString += ` <a class="operation">${instruction.opname}</a>`;
 
-                newDiv.innerHTML + '<br>'
-                labelDivs[i].prepend(newDiv);
-            }
-        }
+    if (instruction.resultType != undefined) {
+        instructionString += ' ' + createIdHtmlString(instruction.resultType, 'resultType');
+    }
 
-        // Apply jquery events
-        $('.id').on('click', idOnClick);
-        $('.operation').on('click', operationOnClick);
-        $('.debugString').on('click', debugStringOnClick);
+    for (let i = 0; i < instruction.operands.length; i++) {
+        const operand = instruction.operands[i];
+        if (operand.type == 'pair') {
+            instructionString += ' (' + operand.prefix;
+            instructionString += createOperandHtmlString(operand.first);
+            instructionString += ' : ';
+            instructionString += createOperandHtmlString(operand.second);
+            instructionString += ') ';
+        } else if (enumOperands && enumOperands.has(i) && operand.type == 'id') {
+            instructionString += ' ' + createIdHtmlString(operand.value, 'operand', enumOperands.get(i));
+        } else {
+            instructionString += ' ' + createOperandHtmlString(operand);
+        }
     }
+    return instructionString;
+}
 
-    // Nothing has failed
-    const performanceEnd = performance.now();
-    document.getElementById('fileSelectName').innerHTML += '<br><span style="font-size : smaller">' +
-        'binary parsed in <span style="color : deepskyblue">' + ((performanceEnd - performanceStart) / 1000).toFixed(3) +
-        '</span> seconds' +
-        '</span>';
-    return true;
+// Takes a decoded operand from the IR and creates html string to be displayed
+// Strings are escaped since they are whatever the module holds (ex. OpSource text)
+function createOperandHtmlString(operand) {
+    if (operand.type == 'id') {
+        return createIdHtmlString(operand.value, 'operand');
+    } else if (operand.type == 'literal') {
+        return createLiteralHtmlString(operand.value);
+    } else if (operand.type == 'enumerant') {
+        return `<span class="operand enumerant">${escapeHtml(operand.value)}</span>`;
+    } else if (operand.type == 'string') {
+        if (operand.hidden) {
+            return '<span class="operand literal debugString">click to view</span>';
+        } else {
+            return `<span class="operand literal">"${escapeHtml(operand.value)}"</span>`;
+        }
+    }
+    assert(false, 'Unknown operand type ' + operand.type);
 }
 
 // Takes id and creates html string to be displayed
-function createIdHtmlString(id, extraClass) {
-    return '<a class="' + extraClass + ' id id' + id + '">%' + id + '</a>'
+// @param text Optional, used in place of the current display settings
+function createIdHtmlString(id, extraClass, text) {
+    const isResult = extraClass == 'result';
+    if (session.insertConstants && !isResult && session.ir.constants.has(id)) {
+        // give unique color from normal ids
+        extraClass += ' insertConstant';
+    }
+    if (text == undefined) {
+        text = getIdText(id, isResult);
+    }
+    // OpName strings come from the module, so they are escaped like any other debug string
+    return '<a class="' + extraClass + ' id id' + id + '">' + escapeHtml(String(text)) + '</a>'
 }
 
-function createLiteralHtmlString(literal) {
-    return `<span class="operand literal">${literal}</span>`;
+// @param isResult The result of the constant op itself is never replaced
+// @return What to display for an id with the current "OpNames" and "Insert Constants" settings
+function getIdText(id, isResult) {
+    if (session.insertConstants && !isResult && session.ir.constants.has(id)) {
+        // if instruction is modified by both, insertConstant gets priority
+        return session.ir.constants.get(id);
+    } else if (session.opNames && session.ir.opNames.has(id)) {
+        return '%' + session.ir.opNames.get(id);
+    }
+    return '%' + id;
 }
 
-// Wraps the div with the proper HTML elements
-// newDiv param must have been created prior to keep scope
-function addCollapsibleWrapper(newDiv, appendDiv, type, attributeName, displayName) {
-    var input = document.createElement('input');
-    input.id  = 'collapsible_' + attributeName;
-    input.className = 'toggle';
-    input.type = 'checkbox';
-    input.checked = true;
-    input.style.display = 'none';  // hide checkbox
-
-    var label = document.createElement('label');
-    label.htmlFor = 'collapsible_' + attributeName;
-    label.className = 'label-toggle label-' + type;
-    label.innerHTML = displayName
-
-    var wrapDiv = document.createElement('div');
-    wrapDiv.className = 'collapsible-content';
-    newDiv.id = type + '-' + attributeName;
-    newDiv.className = type;
-
-    wrapDiv.appendChild(newDiv);
-    appendDiv.appendChild(input);
-    appendDiv.appendChild(label);
-    appendDiv.appendChild(wrapDiv);
+// @return What to display for a decoded operand with the current display settings
+function getOperandText(operand) {
+    if (operand.type == 'id') {
+        return getIdText(operand.value, false);
+    } else if (operand.type == 'string') {
+        return operand.hidden ? 'click to view' : '"' + operand.value + '"';
+    }
+    return operand.value.toString();
 }
 
-function uncollapseInstruction(instructionDiv) {
-    var labelDiv = instructionDiv.parentNode.parentNode.previousSibling;
-    var inputDiv = labelDiv.previousSibling;
-    inputDiv.checked = true;
-    if (labelDiv.classList.contains('label-label') == true) {
-        // Labels need to uncollapse the function they are in as well
-        var functionLabelDiv =
-            instructionDiv.parentNode.parentNode.parentNode.parentNode.previousElementSibling.previousElementSibling;
-        functionLabelDiv.checked = true;  // uncollapses
-    }
+function createLiteralHtmlString(literal) {
+    return `<span class="operand literal">${literal}</span>`;
 }
 
 // Holds the current dag data used by d3
@@ -870,35 +544,38 @@ const dagMaxHitNode = {
     'parentIds': []
 };
 
-const instructionHighlightOff = '#ffffff';    // default state
 const instructionHighlightOn = '#c9cdff';     // when in use in dag
 const instructionHighlightHover = '#9595ff';  // when in use and hovered
 
+// Rows are rendered as they scroll into view, so the highlight is kept in the session and not in the DOM
+// @return background color of the instruction, undefined if the default
+function getInstructionHighlight(instruction) {
+    if (!session.dagInstructions.has(instruction)) {
+        return undefined;
+    }
+    return (instruction == session.hoveredInstruction) ? instructionHighlightHover : instructionHighlightOn;
+}
+
 function clearDagData() {
     // While here, if debug string was used, clear it as well
     document.getElementById('debugStringDiv').innerText = '';
 
-    for (let i = 0; i < liveDagData.length; i++) {
-        let instructionFn = $('#instruction_' + liveDagData[i].id);
-        let instructionDiv = instructionFn[0];
-
-        // on switching files these dives are already gone
-        if (instructionDiv) {
-            // set background back to default
-            instructionDiv.style.backgroundColor = instructionHighlightOff;
+    const oldInstructions = session.dagInstructions;
+    session.dagInstructions = new Set();
+    session.hoveredInstruction = undefined;
+    // on switching files these divs are already gone
+    oldInstructions.forEach(updateInstructionHighlight);
 
-            // remove event listeners
-            instructionFn.off('mouseover', instructionHover);
-            instructionFn.off('mouseout', instructionHover);
-        }
-    }
     liveDagData = [];
     dagDepth = 0;
     maxDepthHit = false;
+    session.dagSelection = undefined;
 }
 
 function clearDagDiv() {
     clearDagData();
+    session.dagColorMap = {};
+    tooltipHide();
     d3.select('#dagSvg').selectAll('*').remove();
 }
 
@@ -913,36 +590,47 @@ function fillDagData(instruction, parents) {
         }
     }
 
-    var instructionFn = $('#instruction_' + instruction);
-    var instructionDiv = instructionFn[0];
     // set background color for each instruction in liveDagData
     // #c9cdff is "dark lavender"
-    instructionDiv.style.backgroundColor = instructionHighlightOn;
-
-    // Add event listener to map to the graph
-    instructionFn.on('mouseover', instructionHover);
-    instructionFn.on('mouseout', instructionHover);
+    session.dagInstructions.add(instruction);
+    updateInstructionHighlight(instruction);
 
-    var operation = instructionDiv.innerText;
-    const opcode = instructionDiv.getElementsByClassName('operation')[0].innerText;
-    // remove starting instruction prefix and operands suffix
-    operation = operation.substring(operation.indexOf(' ') + 1, operation.indexOf(opcode) + opcode.length);
+    const instructionInfo = session.ir.instructions[instruction];
+    var operation = instructionInfo.opname;
+    if (instructionInfo.result != undefined) {
+        operation = getIdText(instructionInfo.result, true) + ' = ' + operation;
+    }
 
     // Add each item in text array to be its own line in dag node
     var text = [operation];
 
-    var resultTypeDiv = instructionDiv.getElementsByClassName('resultType');
-    if (resultTypeDiv.length != 0) {
-        assert(resultTypeDiv.length == 1, 'More then 1 resultType found in ' + instruction);
-        text.push(resultTypeDiv[0].innerText);
+    if (instructionInfo.resultType != undefined) {
+        text.push(getIdText(instructionInfo.resultType, false));
+    }
+
+    const enumOperands = getNonSemanticEnumOperands(instructionInfo, instruction);
+    for (let i = 0; i < instructionInfo.operands.length; i++) {
+        const operand = instructionInfo.operands[i];
+        if (operand.type == 'pair') {
+            text.push(getOperandText(operand.first), getOperandText(operand.second));
+        } else if (enumOperands && enumOperands.has(i) && operand.type == 'id') {
+            text.push(enumOperands.get(i));
+        } else {
+            text.push(getOperandText(operand));
+        }
     }
 
-    var operandDivs = instructionDiv.getElementsByClassName('operand');
-    for (let i = 0; i < operandDivs.length; i++) {
-        text.push(operandDivs[i].innerText);
+    // Constants also show the value they hold, ex. "= vec4(1.0, 0.0, 0.0, 1.0)"
+    // OpConstant already has the value as its literal operand
+    // The value is kept out of |text| so each line of text still lines up with an operand for the tooltip
+    var value;
+    const isScalarConstant =
+        instructionInfo.opcode == spirv.Enums.Op.OpConstant || instructionInfo.opcode == spirv.Enums.Op.OpSpecConstant;
+    if (!isScalarConstant && instructionInfo.result != undefined && session.ir.constants.has(instructionInfo.result)) {
+        value = session.ir.constants.get(instructionInfo.result);
     }
 
-    liveDagData.push({'id': instruction, 'text': text, 'parentIds': parents, 'depth': dagDepth});
+    liveDagData.push({'id': instruction, 'text': text, 'value': value, 'parentIds': parents, 'depth': dagDepth});
 }
 
 // There can be cases where a phi loops back to itself such as:
@@ -975,10 +663,10 @@ function fillDagBackward(instruction, operand, entryCall) {
     var parents = [];
     if (operand) {
         // only search parent of passed in operand
-        parents.push(resultToInstructionMap.get(operand));
+        parents.push(session.ir.resultToInstruction.get(operand));
     } else {
         // use all parents of instruction
-        parents = instructionMap.get(instruction).parentInstructions;
+        parents = session.ir.instructions[instruction].parentInstructions;
     }
 
     // D3 is expecting an array, not a set, but have to make sure no duplicates
@@ -1020,6 +708,7 @@ function fillDagBackward(instruction, operand, entryCall) {
 // @param instruction Assumes is already parsed to int
 function displayDagOpcode(opcode, instruction) {
     clearDagData();
+    session.dagSelection = {'type': 'opcode', 'instruction': instruction};
     fillDagBackward(instruction, undefined, true);
     drawDag(liveDagData);
 }
@@ -1029,6 +718,7 @@ function displayDagOpcode(opcode, instruction) {
 // @param instruction Assumes is already parsed to int
 function displayDagOperand(operand, instruction) {
     clearDagData();
+    session.dagSelection = {'type': 'operand', 'instruction': instruction, 'id': operand};
     fillDagBackward(instruction, operand, true);
     drawDag(liveDagData);
 }
@@ -1037,9 +727,10 @@ function displayDagOperand(operand, instruction) {
 // @param instruction Assumes is already parsed to int
 function displayDagResult(result, instruction) {
     clearDagData();
+    session.dagSelection = {'type': 'result', 'instruction': instruction, 'id': result};
     fillDagData(instruction, []);
     // Set 2nd level of graph with all consumers of the reusltID
-    var consumers = idConsumers[result];
+    var consumers = session.ir.idConsumers[result];
     for (let i = 0; i < consumers.length; i++) {
         fillDagData(consumers[i], [instruction]);
     }
@@ -1049,43 +740,90 @@ function displayDagResult(result, instruction) {
 // @param instruction Assumes is already parsed to int
 function displayDebugString(instruction) {
     clearDagDiv();
+    session.dagSelection = {'type': 'debugString', 'instruction': instruction};
 
     let debugStringDiv = document.getElementById('debugStringDiv');
-    debugStringDiv.innerText = debugStringMap.get(instruction);
+    debugStringDiv.innerText = session.ir.debugStrings.get(instruction);
+}
+
+// Dispatches each type of option in the settings to be handled
+// @param name Name of the checkbox
+// @param checked True to use, False to not
+function applySetting(name, checked) {
+    if (name == 'opNames') {
+        useOpNames(checked);
+    } else if (name == 'insertConstants') {
+        insertConstants(checked);
+    } else if (name == 'largerText') {
+        // Doesn't effect the settings text size
+        document.getElementById('moduleData').style.fontSize = (checked) ? 'medium' : 'small';
+        measureDisplayRowHeight();
+        updateVisibleRows();
+        renderDisplayWindow(true);
+    }
 }
 
 // @param toggle True to use, False to not
 function useOpNames(toggle) {
-    let insertConstantsChecked = document.getElementById('insertConstants').checked;
-    // Map contains (42 -> "string")
-    opNameMap.forEach(function(value, key, map) {
-        if (insertConstantsChecked && constantValues.has(key)) {
-            // if instruction is modified by both, insertConstant gets priority
-            return;
-        }
+    session.opNames = toggle;
+    renderDisplayWindow(true);
+}
+
+// NonSemantic.Shader.DebugInfo operands that are an id of a constant holding a ValueEnum/BitEnum
+// [ ext opname : [ [ operand index, operand kind ] ] ]
+const nonSemanticEnumOperands = {
+    'DebugTypeBasic': [[4, 'DebugBaseTypeAttributeEncoding'], [5, 'DebugInfoFlags']],
+    'DebugTypePointer': [[3, 'StorageClass'], [4, 'DebugInfoFlags']],
+    'DebugTypeFunction': [[2, 'DebugInfoFlags']],
+    'DebugTypeEnum': [[9, 'DebugInfoFlags']],
+    'DebugTypeComposite': [[3, 'DebugCompositeType'], [10, 'DebugInfoFlags']],
+    'DebugTypeMember': [[9, 'DebugInfoFlags']],
+    'DebugTypeInheritance': [[5, 'DebugInfoFlags']],
+    'DebugGlobalVariable': [[10, 'DebugInfoFlags']],
+    'DebugFunctionDeclaration': [[9, 'DebugInfoFlags']],
+    'DebugFunction': [[9, 'DebugInfoFlags']],
+    'DebugLocalVariable': [[8, 'DebugInfoFlags']],
+    'DebugBuildIdentifier': [[3, 'DebugInfoFlags']],
+    'DebugTypeQualifier': [[3, 'DebugTypeQualifier']],
+    'DebugImportedEntity': [[3, 'DebugImportedEntity']],
+    'DebugCompilationUnit': [[5, 'SourceLanguage']],
+};
 
-        // Each HTML element is id="id42"
-        var className = 'id' + key;
-        var newValue = toggle ? ('%' + value) : ('%' + key);
-        for (let i = 0; i < document.getElementsByClassName(className).length; i++) {
-            document.getElementsByClassName(className)[i].innerText = newValue;
+// When inserting constants, NonSemantic instructions can apply the ValueEnum/BitEnum from the constant value
+// @return Map of operand index to the text to display, undefined if nothing to replace
+function getNonSemanticEnumOperands(instruction, index) {
+    const setId = session.ir.nonSemanticInstructions.get(index);
+    if (!session.insertConstants || setId != ExtInstSetNonSemanticDebugInfo) {
+        return undefined;
+    }
+    const enumOperands = nonSemanticEnumOperands[instruction.operands[1].value];
+    if (!enumOperands) {
+        return undefined;
+    }
+
+    var operandText = new Map();
+    for (let i = 0; i < enumOperands.length; i++) {
+        const operandIndex = enumOperands[i][0];
+        const operand = instruction.operands[operandIndex];
+        if (operand && operand.type == 'id' && session.ir.constants.has(operand.value)) {
+            operandText.set(operandIndex, updateNonSemantic(setId, session.ir.constants.get(operand.value), enumOperands[i][1]));
         }
-    });
+    }
+    return operandText;
 }
 
-function updateNonSemantic(setId, operandDiv, enumerantName) {
+// @return the enumerant text of the constant value
+function updateNonSemantic(setId, currentValue, enumerantName) {
     let operandInfo = spirv.ExtOperands.get(setId).get(enumerantName);
     if (!operandInfo) {
         operandInfo = spirv.Operands.get(enumerantName)
     }
     assert(operandInfo != undefined, 'Can\'t find NonSemantic operand type of ' + enumerantName);
-    let currentValue = operandDiv.innerText;
     let enumerantsLength = operandInfo.enumerants.length;
     if (operandInfo.category == 'ValueEnum') {
         for (let i = 0; i < enumerantsLength; i++) {
             if (currentValue == operandInfo.enumerants[i].value) {
-                operandDiv.innerText = operandInfo.enumerants[i].enumerant;
-                return;
+                return operandInfo.enumerants[i].enumerant;
             }
         }
     } else if (operandInfo.category == 'BitEnum') {
@@ -1104,85 +842,17 @@ function updateNonSemantic(setId, operandDiv, enumerantName) {
                 }
             }
         }
-        operandDiv.innerText = bitEnumString;
+        return bitEnumString;
     }
+    return currentValue;
 }
 
 // @param toggle True to use, False to not
 function insertConstants(toggle) {
-    // Map contains (42 -> "string")
-    constantValues.forEach(function(value, key, map) {
-        // Each HTML element is id="id42"
-        var className = 'id' + key;
-        var newValue = toggle ? value : ('%' + key);
-        for (let i = 0; i < document.getElementsByClassName(className).length; i++) {
-            var element = document.getElementsByClassName(className)[i];
-            // don't replace the result of the constant op itself
-            if (element.classList.contains('result')) {
-                continue;
-            }
-            element.innerText = newValue;
-            // give unique color from normal ids
-            if (toggle) {
-                element.classList.add('insertConstant');
-            } else {
-                element.classList.remove('insertConstant');
-            }
-        }
-    });
-
-    // After updating constants, look up NonSemantic instructions so we can apply the ValueEnum/BitEnum from the constant value
-    if (toggle) {
-        nonSemanticInstructions.forEach(function(setId, instructionId, map) {
-            let instructionDiv = document.getElementById('instruction_' + instructionId);
-            let operands = instructionDiv.getElementsByClassName('operand');
-            let extOpname = operands[1].innerText.trim();
-
-            if (setId == ExtInstTypeNonSemanitcDebugInfo) {
-                if (extOpname == 'DebugTypeBasic') {
-                    updateNonSemantic(setId, operands[4], 'DebugBaseTypeAttributeEncoding');
-                    updateNonSemantic(setId, operands[5], 'DebugInfoFlags');
-                } else if (extOpname == 'DebugTypePointer') {
-                    updateNonSemantic(setId, operands[3], 'StorageClass');
-                    updateNonSemantic(setId, operands[4], 'DebugInfoFlags');
-                } else if (extOpname == 'DebugTypeFunction') {
-                    updateNonSemantic(setId, operands[2], 'DebugInfoFlags');
-                } else if (extOpname == 'DebugTypeEnum') {
-                    updateNonSemantic(setId, operands[9], 'DebugInfoFlags');
-                } else if (extOpname == 'DebugTypeComposite') {
-                    updateNonSemantic(setId, operands[3], 'DebugCompositeType');
-                    updateNonSemantic(setId, operands[10], 'DebugInfoFlags');
-                } else if (extOpname == 'DebugTypeMember') {
-                    updateNonSemantic(setId, operands[9], 'DebugInfoFlags');
-                } else if (extOpname == 'DebugTypeInheritance') {
-                    updateNonSemantic(setId, operands[5], 'DebugInfoFlags');
-                } else if (extOpname == 'DebugGlobalVariable') {
-                    updateNonSemantic(setId, operands[10], 'DebugInfoFlags');
-                } else if (extOpname == 'DebugFunctionDeclaration') {
-                    updateNonSemantic(setId, operands[9], 'DebugInfoFlags');
-                } else if (extOpname == 'DebugFunction') {
-                    updateNonSemantic(setId, operands[9], 'DebugInfoFlags');
-                } else if (extOpname == 'DebugLocalVariable') {
-                    updateNonSemantic(setId, operands[8], 'DebugInfoFlags');
-                } else if (extOpname == 'DebugBuildIdentifier') {
-                    updateNonSemantic(setId, operands[3], 'DebugInfoFlags');
-                } else if (extOpname == 'DebugTypeQualifier') {
-                    updateNonSemantic(setId, operands[3], 'DebugTypeQualifier');
-                } else if (extOpname == 'DebugImportedEntity') {
-                    updateNonSemantic(setId, operands[3], 'DebugImportedEntity');
-                } else if (extOpname == 'DebugCompilationUnit') {
-                    updateNonSemantic(setId, operands[5], 'SourceLanguage');
-                } else {
-                    return;
-                }
-            }
-        });
-    }
+    session.insertConstants = toggle;
+    renderDisplayWindow(true);
 }
 
-// Used to hold a different color for each node
-var dagColorMap = {};
-
 // create a tooltip
 var tooltipDiv = d3.select('#dagDiv')
                      .append('div')
@@ -1201,9 +871,7 @@ function tooltipHide() {
 
 function dagNodeOnClick(node) {
     // Snaps to instruction text on click
-    var instructionDiv = document.getElementById('instruction_' + node.id);
-    uncollapseInstruction(instructionDiv);
-    instructionDiv.scrollIntoView({block: 'center'});
+    revealInstruction(node.data.id);
 }
 
 // originalColor is optional param used when toggling off
@@ -1219,29 +887,30 @@ function dagNodeHighlight(nodeDiv, toggle, originalColor) {
 
 // Used to "highlight" node when hovering disassembled instructions
 function instructionHover(event) {
-    var instructionDiv = event.target;
-    // use the <div> to know if hoving internal dom element
-    if (instructionDiv.tagName != 'DIV') {
-        instructionDiv = instructionDiv.parentElement;
-    }
+    // events are delegated from the display div, so the target can be any element inside the instruction
+    var instructionDiv = event.currentTarget;
 
     var id = instructionDiv.id;
     var instruction = parseInt(id.substring(id.indexOf('_') + 1));
+    if (!session.dagInstructions.has(instruction)) {
+        return;  // only instructions in the dag map to a node
+    }
     var nodeDiv = d3.select('#node' + instruction);
 
-    if (event.type == 'mouseover') {
-        instructionDiv.style.backgroundColor = instructionHighlightHover;
+    if (event.type == 'mouseenter') {
+        session.hoveredInstruction = instruction;
         dagNodeHighlight(nodeDiv, true, null);
     } else {
-        instructionDiv.style.backgroundColor = instructionHighlightOn;
-        dagNodeHighlight(nodeDiv, false, dagColorMap[instruction]);
+        session.hoveredInstruction = undefined;
+        dagNodeHighlight(nodeDiv, false, session.dagColorMap[instruction]);
     }
+    updateInstructionHighlight(instruction);
 }
 
 function makeTooltip(key, value, index, resultType) {
     var keyClass = resultType ? 'tooltipResultKey' : 'tooltipKey';
     return `<span class="tooltipIndex">[${index}]</span> <span class="${keyClass}">${key}</span>: <span class="tooltipValue">${
-        value}</span><br>`;
+        escapeHtml(String(value))}</span><br>`;
 }
 
 // Used to "highlight" node when hovering dag nodes
@@ -1255,7 +924,7 @@ function dagNodeOnHover(node) {
     dagNodeHighlight(nodeDiv, true, null);
 
     // Need to ignore the first index of the text since its not an operand
-    var instruction = instructionMap.get(node.data.id);
+    var instruction = session.ir.instructions[node.data.id];
     var operandNames = instruction.operandNameList;
     var operandWordIndex = instruction.operandWordIndexList;
     assert(operandNames.length >= (node.data.text.length - 1), 'operandNames length is somehow larger than text length');
@@ -1277,10 +946,17 @@ function dagNodeOnHover(node) {
         tooltipHtml += makeTooltip(operandNames[i - 1], node.data.text[i], operandWordIndex[i - 1], false);
     }
 
+    // The value of a constant is not an operand so it has no word index
+    if (node.data.value != undefined) {
+        const value = escapeHtml(String(node.data.value));
+        tooltipHtml += `<span class="tooltipKey">Value</span>: <span class="tooltipValue">${value}</span><br>`;
+    }
+
     tooltipDiv.style('opacity', 1).html(tooltipHtml);
 
     // highlighting of disassembled instructions
-    document.getElementById('instruction_' + node.id).style.backgroundColor = instructionHighlightHover;
+    session.hoveredInstruction = node.data.id;
+    updateInstructionHighlight(session.hoveredInstruction);
 }
 
 // Used to update tooltip while hovering over it
@@ -1298,12 +974,13 @@ function dagNodeOffHover(node) {
     }
 
     var nodeDiv = d3.select(this);
-    dagNodeHighlight(nodeDiv, false, dagColorMap[node.id]);
+    dagNodeHighlight(nodeDiv, false, session.dagColorMap[node.id]);
 
     tooltipHide();
 
     // un-highlighting of disassembled instructions
-    document.getElementById('instruction_' + node.id).style.backgroundColor = instructionHighlightOn;
+    session.hoveredInstruction = undefined;
+    updateInstructionHighlight(node.data.id);
 }
 
 function drawDag(dagData) {
@@ -1374,7 +1051,7 @@ function drawDag(dagData) {
     const steps = dag.size();
     const interp = d3.interpolateRainbow;
     dag.each((node, i) => {
-        dagColorMap[node.id] = interp(i / steps);
+        session.dagColorMap[node.id] = interp(i / steps);
     });
 
     // How to draw edges
@@ -1398,8 +1075,8 @@ function drawDag(dagData) {
                              .attr('x2', target.x)
                              .attr('y1', source.y)
                              .attr('y2', target.y);
-            grad.append('stop').attr('offset', '0%').attr('stop-color', dagColorMap[source.id]);
-            grad.append('stop').attr('offset', '100%').attr('stop-color', dagColorMap[target.id]);
+            grad.append('stop').attr('offset', '0%').attr('stop-color', session.dagColorMap[source.id]);
+            grad.append('stop').attr('offset', '100%').attr('stop-color', session.dagColorMap[target.id]);
             return `url(#${gradId})`;
         });
 
@@ -1421,7 +1098,7 @@ function drawDag(dagData) {
         .attr('height', rectHeight)
         .attr('x', -(rectWidth / 2))
         .attr('y', -(rectHeight / 2))
-        .attr('fill', node => dagColorMap[node.id])
+        .attr('fill', node => session.dagColorMap[node.id])
         .attr('stroke', 'black');
 
     // Add text to nodes
@@ -1429,11 +1106,12 @@ function drawDag(dagData) {
         .attr('font-weight', 'bold')
         .attr('text-anchor', 'middle')
         .attr('y', -(rectHeight / 2))  // puts text aligned with top of rect
-        .attr('fill', node => invertedTextColor(dagColorMap[node.id]))
+        .attr('fill', node => invertedTextColor(session.dagColorMap[node.id]))
         .selectAll('tspan')
         .data(function(data) {
             // Grab extra line to know if there is a N+1 line
-            return data.data.text.slice(0, maxLines + 1);
+            const lines = (data.data.value != undefined) ? data.data.text.concat('= ' + data.data.value) : data.data.text;
+            return lines.slice(0, maxLines + 1);
         })
         .enter()
         .append('tspan')
@@ -0,0 +1,1281 @@
+// Copyright (c) 2021-2023 The Khronos Group Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+/*
+This takes a SPIR-V binary and decodes it into a plain in-memory representation (IR) of the module
+
+Nothing in here touches the DOM so it can be used from a Web Worker or NodeJS as well.
+The HTML renderer in main.js consumes the returned IR.
+
+The IR returned looks like
+{
+    header:               { magic, version, versionString, generator, bound, schema, endianness : 'little' | 'big' }
+    instructions:         [ instruction objects, index is the instruction index ]
+    resultToInstruction:  Map [ result ID : instruction index ]
+    idConsumers:          Array [ ID : array of instruction index that use it ]
+    opNames:              Map [ result ID : OpName string ]
+    debugStrings:         Map [ instruction index : debug string (ex OpSource) ]
+    constants:            Map [ result ID : string to display when inserting constants ]
+    nonSemanticInstructions: Map [ instruction index : non-semantic extended instruction set type ]
+    sections:             Map [ instruction index : pre-function section that starts there ]
+    functions:            [ { start, end } ]
+    blocks:               Map [ OpLabel instruction index : { start, end, function, indent } ]
+    blockTypes:           Map [ OpLabel instruction index : [ { type, header } ] ]
+    diagnostics:          [ { instruction, message } ] problems found while decoding, in order
+    requirements:         capabilities, extensions and version the module needs, see analyzeRequirements()
+}
+
+Each instruction object looks like
+{
+    moduleOffset, length, opcode, opname, result, resultType,
+    block, function,   // instruction index of OpLabel and OpFunction it is in
+    operands,          // [ { type : 'id' | 'literal' | 'string' | 'enumerant' | 'pair', ... } ] in order to display
+                       //   enumerants also have the operand kind (ex. 'Capability')
+    operandNameList, operandIdList, operandWordIndexList, parentInstructions,
+    words, error       // only set if the instruction failed to decode, the raw words and why
+}
+
+A malformed instruction doesn't stop the decoding, it is kept as raw words and the problem is added to diagnostics.
+*/
+
+// Names used for the sections that are before the first function
+const preFunctionSectionNames = {
+    'modeSetting': 'Mode Setting',
+    'debug': 'Debug Information',
+    'annotations': 'Annotations',
+    'types': 'Types, variables and constants',
+};
+
+// How many instructions to decode between each progress report
+const parseProgressInterval = 16384;
+
+// Same as assert() but without the alert, parseModule() catches it and keeps the instruction as raw words
+function checkInstruction(statement, message) {
+    if (statement == undefined || statement == false) {
+        throw new Error(message);
+    }
+}
+
+// Keeps the text of large composite constants readable, anything past is shown as "..."
+const maxCompositeConstituents = 16;
+const maxConstantTextLength = 256;
+
+function truncateConstantText(text) {
+    return (text.length > maxConstantTextLength) ? text.substring(0, maxConstantTextLength) + '...' : text;
+}
+
+// ex. "vec4(1.0, 0.0, 0.0, 1.0)" for a vector, otherwise "{1.0, 2}" for arrays, matrices and structs
+// @param typeInstruction Instruction of the composite type
+// @param values Text of each constituent
+function createCompositeText(ir, typeInstruction, values) {
+    if (values.length > maxCompositeConstituents) {
+        values = values.slice(0, maxCompositeConstituents).concat('...');
+    }
+    var text = '{' + values.join(', ') + '}';
+    if (typeInstruction && typeInstruction.opcode == spirv.Enums.Op.OpTypeVector) {
+        // GLSL style names
+        const component = ir.instructions[ir.resultToInstruction.get(typeInstruction.operands[0].value)];
+        var prefix = '';
+        if (component.opcode == spirv.Enums.Op.OpTypeBool) {
+            prefix = 'b';
+        } else if (component.opcode == spirv.Enums.Op.OpTypeInt) {
+            prefix = (component.operands[1].value == 1) ? 'i' : 'u';
+        } else if (component.opcode == spirv.Enums.Op.OpTypeFloat && component.operands[0].value == 64) {
+            prefix = 'd';
+        }
+        text = prefix + 'vec' + values.length + '(' + values.join(', ') + ')';
+    }
+    return truncateConstantText(text);
+}
+
+// OpConstantNull of a scalar is zero, so aggregates are shown with each member as zero
+// @return text of the null value, or "Null" for types without a value (ex. pointers)
+function createNullText(ir, typeId) {
+    const typeInstruction = ir.instructions[ir.resultToInstruction.get(typeId)];
+    if (typeInstruction == undefined) {
+        return 'Null';
+    }
+
+    function repeat(text, count) {
+        return new Array(Math.min(count, maxCompositeConstituents + 1)).fill(text);
+    }
+
+    const operands = typeInstruction.operands;
+    switch (typeInstruction.opcode) {
+        case spirv.Enums.Op.OpTypeBool:
+            return 'False';
+        case spirv.Enums.Op.OpTypeInt:
+            return '0';
+        case spirv.Enums.Op.OpTypeFloat:
+            return '0.0';
+        case spirv.Enums.Op.OpTypeVector:
+        case spirv.Enums.Op.OpTypeMatrix:
+            return createCompositeText(ir, typeInstruction, repeat(createNullText(ir, operands[0].value), operands[1].value));
+        case spirv.Enums.Op.OpTypeArray: {
+            // Length is an id of a constant
+            const length = parseInt(ir.constants.get(operands[1].value));
+            if (isNaN(length)) {
+                return 'Null';
+            }
+            return createCompositeText(ir, typeInstruction, repeat(createNullText(ir, operands[0].value), length));
+        }
+        case spirv.Enums.Op.OpTypeStruct:
+            return createCompositeText(ir, typeInstruction, operands.map(operand => createNullText(ir, operand.value)));
+        default:
+            return 'Null';
+    }
+}
+
+//
+// OpSpecConstantOp evaluation
+//
+// While decoding, constants are also tracked as { type, value } so OpSpecConstantOp can be evaluated with the default
+// values of the spec constants. The value is a BigInt (int), Number (float), Boolean (bool) or an array of constants
+// (composite). Integers are BigInt so 64-bit values are exact.
+//
+
+// @return { kind : 'int' | 'float' | 'bool' | 'composite', width, signed, instruction } or undefined if the type can't be
+//         evaluated (ex. pointers or a float width JS doesn't have)
+function getConstantType(ir, typeId) {
+    const instruction = ir.instructions[ir.resultToInstruction.get(typeId)];
+    if (instruction == undefined) {
+        return undefined;
+    }
+    const operands = instruction.operands;
+    switch (instruction.opcode) {
+        case spirv.Enums.Op.OpTypeInt:
+            return {'kind': 'int', 'width': operands[0].value, 'signed': operands[1].value == 1};
+        case spirv.Enums.Op.OpTypeFloat:
+            if (operands.length > 1 || (operands[0].value != 32 && operands[0].value != 64)) {
+                return undefined;
+            }
+            return {'kind': 'float', 'width': operands[0].value};
+        case spirv.Enums.Op.OpTypeBool:
+            return {'kind': 'bool'};
+        case spirv.Enums.Op.OpTypeVector:
+        case spirv.Enums.Op.OpTypeMatrix:
+        case spirv.Enums.Op.OpTypeArray:
+        case spirv.Enums.Op.OpTypeStruct:
+            return {'kind': 'composite', 'instruction': instruction};
+    }
+    return undefined;
+}
+
+// Brings a value into the range of its type, the same as the hardware would (ex. wrapping around on overflow)
+// @param value raw value, composites are an array of raw values
+// @return constant, throws if the value doesn't fit the type
+function createConstant(ir, type, value) {
+    checkInstruction(type != undefined, 'Type can not be evaluated');
+    if (type.kind == 'composite') {
+        checkInstruction(Array.isArray(value), 'Expected a composite value');
+        const instruction = type.instruction;
+        value = value.map(function(member, index) {
+            // Struct members each have their own type, everything else has a single element type
+            const memberTypeId = instruction.operands[(instruction.opcode == spirv.Enums.Op.OpTypeStruct) ? index : 0].value;
+            return createConstant(ir, getConstantType(ir, memberTypeId), member);
+        });
+    } else if (type.kind == 'int') {
+        value = type.signed ? BigInt.asIntN(type.width, value) : BigInt.asUintN(type.width, value);
+    } else if (type.kind == 'float') {
+        value = (type.width == 32) ? Math.fround(value) : value;
+    } else {
+        checkInstruction(typeof value == 'boolean', 'Expected a boolean value');
+    }
+    return {'type': type, 'value': value};
+}
+
+// @param words the literal words of OpConstant/OpSpecConstant, low word first
+// @return constant, undefined if the type can't be evaluated
+function createConstantFromWords(ir, typeId, words) {
+    const type = getConstantType(ir, typeId);
+    if (type == undefined) {
+        return undefined;
+    }
+    var view = new DataView(new ArrayBuffer(8));
+    view.setUint32(0, words[1] || 0);
+    view.setUint32(4, words[0]);
+    if (type.kind == 'int') {
+        return createConstant(ir, type, view.getBigUint64(0));
+    } else if (type.kind == 'float') {
+        return createConstant(ir, type, (type.width == 64) ? view.getFloat64(0) : view.getFloat32(4));
+    }
+    return undefined;
+}
+
+// Raw value of a constant, composites become arrays of raw values
+function getRawValue(constant) {
+    return Array.isArray(constant.value) ? constant.value.map(getRawValue) : constant.value;
+}
+
+// @return text of the constant, same format as the other constants (ex. "vec2(1.0, 2.0)")
+function formatConstant(ir, constant) {
+    switch (constant.type.kind) {
+        case 'int':
+            return constant.value.toString();
+        case 'bool':
+            return constant.value ? 'True' : 'False';
+        case 'float': {
+            var view = new DataView(new ArrayBuffer(8));
+            if (constant.type.width == 64) {
+                view.setFloat64(0, constant.value);
+            } else {
+                view.setFloat32(0, constant.value);
+            }
+            const bits = view.getBigUint64(0).toString(2).padStart(64, '0');
+            return parseFloatString(bits.substring(0, constant.type.width));
+        }
+        default:
+            return createCompositeText(
+                ir, constant.type.instruction, constant.value.map(member => formatConstant(ir, member)));
+    }
+}
+
+function signedValue(constant) {
+    return BigInt.asIntN(constant.type.width, constant.value);
+}
+
+function unsignedValue(constant) {
+    return BigInt.asUintN(constant.type.width, constant.value);
+}
+
+// Shifting by the width or more is undefined
+function shiftValue(base, shift) {
+    const amount = unsignedValue(shift);
+    checkInstruction(amount < BigInt(base.type.width), 'Shift amount of ' + amount + ' is out of range');
+    return amount;
+}
+
+// Remainder with the sign of the divisor (OpSMod and OpFMod)
+function modulo(remainder, divisor, zero) {
+    return (remainder != zero && (remainder < zero) != (divisor < zero)) ? remainder + divisor : remainder;
+}
+
+// Operations allowed for OpSpecConstantOp that are done per component, each returns the raw value
+// The Shader capability set as well as the arithmetic and conversions allowed with the Kernel capability
+const specConstantOperations = {
+    'SConvert': (a) => signedValue(a),
+    'UConvert': (a) => unsignedValue(a),
+    'FConvert': (a) => a.value,
+    'SNegate': (a) => -a.value,
+    'Not': (a) => ~a.value,
+    'IAdd': (a, b) => a.value + b.value,
+    'ISub': (a, b) => a.value - b.value,
+    'IMul': (a, b) => a.value * b.value,
+    'UDiv': (a, b) => unsignedValue(a) / unsignedValue(b),
+    'SDiv': (a, b) => signedValue(a) / signedValue(b),
+    'UMod': (a, b) => unsignedValue(a) % unsignedValue(b),
+    'SRem': (a, b) => signedValue(a) % signedValue(b),
+    'SMod': (a, b) => modulo(signedValue(a) % signedValue(b), signedValue(b), 0n),
+    'ShiftRightLogical': (a, b) => unsignedValue(a) >> shiftValue(a, b),
+    'ShiftRightArithmetic': (a, b) => signedValue(a) >> shiftValue(a, b),
+    'ShiftLeftLogical': (a, b) => a.value << shiftValue(a, b),
+    'BitwiseOr': (a, b) => a.value | b.value,
+    'BitwiseXor': (a, b) => a.value ^ b.value,
+    'BitwiseAnd': (a, b) => a.value & b.value,
+    'LogicalOr': (a, b) => a.value || b.value,
+    'LogicalAnd': (a, b) => a.value && b.value,
+    'LogicalNot': (a) => !a.value,
+    'LogicalEqual': (a, b) => a.value == b.value,
+    'LogicalNotEqual': (a, b) => a.value != b.value,
+    'Select': (condition, a, b) => condition.value ? a.value : b.value,
+    'IEqual': (a, b) => a.value == b.value,
+    'INotEqual': (a, b) => a.value != b.value,
+    'ULessThan': (a, b) => unsignedValue(a) < unsignedValue(b),
+    'SLessThan': (a, b) => signedValue(a) < signedValue(b),
+    'UGreaterThan': (a, b) => unsignedValue(a) > unsignedValue(b),
+    'SGreaterThan': (a, b) => signedValue(a) > signedValue(b),
+    'ULessThanEqual': (a, b) => unsignedValue(a) <= unsignedValue(b),
+    'SLessThanEqual': (a, b) => signedValue(a) <= signedValue(b),
+    'UGreaterThanEqual': (a, b) => unsignedValue(a) >= unsignedValue(b),
+    'SGreaterThanEqual': (a, b) => signedValue(a) >= signedValue(b),
+    'FNegate': (a) => -a.value,
+    'FAdd': (a, b) => a.value + b.value,
+    'FSub': (a, b) => a.value - b.value,
+    'FMul': (a, b) => a.value * b.value,
+    'FDiv': (a, b) => a.value / b.value,
+    'FRem': (a, b) => a.value % b.value,
+    'FMod': (a, b) => modulo(a.value % b.value, b.value, 0),
+    'ConvertFToS': (a) => BigInt(Math.trunc(a.value)),
+    'ConvertFToU': (a) => BigInt(Math.trunc(a.value)),
+    'ConvertSToF': (a) => Number(signedValue(a)),
+    'ConvertUToF': (a) => Number(unsignedValue(a)),
+};
+
+// Follows the literal indexes of OpCompositeExtract/OpCompositeInsert into a composite
+function getCompositeMember(constant, indexes) {
+    for (const index of indexes) {
+        checkInstruction(Array.isArray(constant.value) && index < constant.value.length, 'Index ' + index + ' is out of range');
+        constant = constant.value[index];
+    }
+    return constant;
+}
+
+// Operations that work on the whole composite, the literal indexes are passed as Numbers
+const specConstantCompositeOperations = {
+    'CompositeExtract': (composite, ...indexes) => getRawValue(getCompositeMember(composite, indexes)),
+    'CompositeInsert': function(object, composite, ...indexes) {
+        checkInstruction(indexes.length > 0, 'No index to insert at');
+        getCompositeMember(composite, indexes);
+        // The raw value is a copy, so the composite operand is left as is
+        const raw = getRawValue(composite);
+        var member = raw;
+        for (const index of indexes.slice(0, -1)) {
+            member = member[index];
+        }
+        member[indexes[indexes.length - 1]] = getRawValue(object);
+        return raw;
+    },
+    'VectorShuffle': function(vector1, vector2, ...components) {
+        const values = getRawValue(vector1).concat(getRawValue(vector2));
+        return components.map(function(component) {
+            checkInstruction(component < values.length, 'Component ' + component + ' is undefined');
+            return values[component];
+        });
+    },
+};
+
+// Applies a per component operation, vector operands are done a component at a time (scalars are used for each)
+function applyComponentWise(operation, args) {
+    const composite = args.find(arg => Array.isArray(arg.value));
+    if (composite == undefined) {
+        return operation(...args);
+    }
+    return composite.value.map(function(component, index) {
+        return applyComponentWise(operation, args.map(arg => Array.isArray(arg.value) ? arg.value[index] : arg));
+    });
+}
+
+// @param operation opname without the "Op" prefix (ex. "IAdd")
+// @param args constants for id operands, Numbers for literal operands
+// @return the resulting constant, undefined if it can't be evaluated (ex. a non-constant operand or divide by zero)
+function evaluateSpecConstantOp(ir, resultTypeId, operation, args) {
+    try {
+        if (args.includes(undefined)) {
+            return undefined;
+        }
+        var value;
+        if (specConstantCompositeOperations[operation]) {
+            value = specConstantCompositeOperations[operation](...args);
+        } else if (specConstantOperations[operation]) {
+            value = applyComponentWise(specConstantOperations[operation], args);
+        } else {
+            return undefined;
+        }
+        return createConstant(ir, getConstantType(ir, resultTypeId), value);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+// @param binary ArrayBuffer of spirv module binary file
+// @param onProgress Optional callback(instructionsDecoded, wordsDecoded, totalWords) called as decoding goes on
+// @return IR of the module
+function parseModule(binary, onProgress) {
+    // translate to Uint32 array to match each SPIR-V dword
+    assert(binary.byteLength % 4 == 0, 'File is not 4 byte (32 bit) aligned, are you sure this is a binary SPIR-V file?');
+    var module = new Uint32Array(binary);
+
+    assert(module.length >= 5, 'module less than 5 dwords which is the size of the header');
+
+    // The spec allows either endianness, a byte-swapped magic number means every word needs to be swapped.
+    // Swapped into a new array so the binary passed in is left as is.
+    var endianness = 'little';
+    if (module[0] == byteSwap32(spirv.Meta.MagicNumber)) {
+        module = module.map(byteSwap32);
+        endianness = 'big';
+    }
+
+    spirv.validateHeader(module.slice(0, 5));
+    const maxIdBound = module[3];
+    // The OpExtInstImport ids of a previous module must not be used for this one
+    spirv.ResultToExtImport.clear();
+
+    var ir = {
+        'header': {
+            'magic': module[0],
+            'version': module[1],
+            'versionString': ((module[1] >> 16) & 0xff).toString() + '.' + ((module[1] >> 8) & 0xff).toString(),
+            'generator': module[2],
+            'bound': maxIdBound,
+            'schema': module[4],
+            'endianness': endianness,
+        },
+        'instructions': [],
+        'resultToInstruction': new Map(),
+        'idConsumers': [],
+        'opNames': new Map(),
+        'debugStrings': new Map(),
+        'constants': new Map(),
+        'nonSemanticInstructions': new Map(),
+        'sections': new Map(),
+        'functions': [],
+        'blocks': new Map(),
+        'blockTypes': new Map(),
+        'diagnostics': [],
+        'requirements': undefined,
+    };
+
+    const instructions = ir.instructions;
+    const resultToInstruction = ir.resultToInstruction;
+    const idConsumers = ir.idConsumers;
+    for (let i = 0; i < maxIdBound; i++) {
+        idConsumers[i] = [];
+    }
+
+    // Basic iterator mechanism, needs to reset each pass
+    var instructionCount = 0;
+
+    // Built up in first pass
+    var currentFunction = {'start': 0, 'end': 0};
+    var currentBlock = {'start': 0, 'end': 0, 'function': 0};
+
+    // all instructions before first function are by themselves in "preFunction" which is broken into 4 sections
+    ir.sections.set(0, 'modeSetting');
+    var insertedDebug = false;
+    var insertedAnnotation = false;
+    var insertedType = false;
+
+    // How much each basic block is nested
+    var indentStack = [];
+    var insideFunction = false;
+
+    // Map of where all branch/switches jump too. Value is array of Label IDs
+    var branchMap = new Map();
+
+    // The INTEL continued instructions add more constituents to the composite before them
+    var lastComposite = undefined;
+    // Map [ result ID : { type, value } ] of constants, used to evaluate OpSpecConstantOp
+    var evaluatedConstants = new Map();
+
+    // There is a 2 pass system through the stream
+    //   First pass: Decode all the instructions
+    //   Second pass: Resolve anything that needs to look ahead
+    // This 2nd pass makes looking ahead in CFG ops much easier
+
+    // Decodes a single instruction for the first pass, throws if it is malformed
+    // All the checks come before the instruction is recorded, so a malformed one leaves nothing behind but its constant
+    // @param i Word offset of the instruction in the module
+    // @param instructionLength Word count, known to be inside the module
+    // @param opcode Known to be in the grammar
+    function decodeInstruction(i, instructionLength, opcode) {
+        // Get type and result according to instruction layout
+        const hasResultType = spirv.OpcodesWithResultType.includes(opcode);
+        const hasResult = spirv.OpcodesWithResult.includes(opcode);
+        const opcodeResultType = hasResultType ? module[i + 1] : undefined;
+        const opcodeResult = hasResult ? (hasResultType ? module[i + 2] : module[i + 1]) : undefined;
+        var instructionInfo = spirv.Instructions.get(opcode);
+
+        checkInstruction(instructionLength > (hasResultType ? 1 : 0) + (hasResult ? 1 : 0),
+            `Word count of ${instructionLength} is too small to hold the result`);
+        checkInstruction(!hasResultType || opcodeResultType < maxIdBound,
+            `Result Type %${opcodeResultType} is beyond the bound of ${maxIdBound}`);
+        checkInstruction(!hasResult || opcodeResult < maxIdBound, `Result %${opcodeResult} is beyond the bound of ${maxIdBound}`);
+        checkInstruction(opcode != spirv.Enums.Op.OpLabel || insideFunction, 'OpLabel not in a function block');
+        const nestsConstruct = opcode == spirv.Enums.Op.OpLoopMerge || opcode == spirv.Enums.Op.OpSelectionMerge;
+        checkInstruction(!nestsConstruct || indentStack.length < 1023,
+            'Control-flow nesting depth limit hit (or infinite loop bug code)');
+
+        // Holds operands that are an id (non-literals)
+        var operandIdList = [];
+        // gets which word index each item is
+        var operandWordIndexList = [];
+        // Holds each operand in the order to be displayed
+        var operands = [];
+        // Found while decoding the operands, only recorded in the IR once the whole instruction is known to be good
+        var debugString = undefined;
+        var nonSemanticType = undefined;
+        var constantText = undefined;
+        var constantValue = undefined;
+
+        // Handles all aspect of decoding the operands
+        {
+            if (hasResultType == true) {
+                operandIdList.push(opcodeResultType);
+                operandWordIndexList.push(1);
+            }
+
+            // index of array of operands from grammar file array
+            var grammarOperandIndex = 0;
+
+            // Where in instruction currently in terms of word
+            var operandOffset = 1;  // first dword is not a operand
+
+            // This list is per instruction. It can't be per opcode as some are variable length instructions
+            // which results 2 uses of the same opcode have a different length array later
+            var operandNameList = [];
+
+            // When a OpExtInst is used, the operands are pull from the extended instruction grammar file instead
+            var extendedOperandInfo = undefined;
+            var extendedOperandIndex = 0;
+            // A set without a grammar has its words decoded as ids, but outside of NonSemantic.* sets some are literals
+            var extInstLiteralsAllowed = false;
+
+            // When any operand_kinds item in the grammar has a set of parameters
+            var parameterOperandInfo = undefined;
+            var parameterOperandIndex = 0;
+            // Some instructions will have multiple parameter operands and need to iterate through each
+            var parameterOperandQueue = [];
+
+            // When a OpSpecConstantOp is used, the remaining operands are pull from the new instruction
+            var specConstantOpInfo = undefined;
+            var specConstantOpIndex = 0;
+
+            // These need to be set outside the while loop for optionalArray to just reuse
+            // the last type of operand for the rest of the instructions
+            var optionalArray = false;
+            var operandInfo;
+
+            if (hasResultType == true) {
+                operandOffset++;
+                grammarOperandIndex++;
+                operandNameList.push('Result Type');
+            }
+            if (hasResult == true) {
+                operandOffset++
+                grammarOperandIndex++;
+            }
+
+            // This loop decodes each operand
+            // Handles all cases that occur in grammar json files
+            while (operandOffset < instructionLength) {
+                var operand = module[i + operandOffset];
+
+                // Need to know where the current operand should be grabbed from
+                if (optionalArray) {
+                    // will use the same operandInfo for rest of loop
+                    // makes assumption any parametarized operands are at end of instruction
+                } else if (extendedOperandInfo) {
+                    operandInfo = extendedOperandInfo.operands[extendedOperandIndex];
+                    extendedOperandIndex++;
+                } else if (parameterOperandInfo) {
+                    operandInfo = parameterOperandInfo[parameterOperandIndex];
+                    parameterOperandIndex++;
+
+                    // if multiple sets of parameters, resets for next set
+                    if (parameterOperandInfo.length == parameterOperandIndex) {
+                        // will be undefined if empty, which is find as should exit while loop next
+                        parameterOperandInfo = parameterOperandQueue.shift();
+                        parameterOperandIndex = 0;
+                    }
+                } else if (specConstantOpInfo) {
+                    operandInfo = specConstantOpInfo.operands[specConstantOpIndex];
+                    specConstantOpIndex++;
+                } else {
+                    // Normal
+                    operandInfo = instructionInfo.operands[grammarOperandIndex];
+                    grammarOperandIndex++;
+                }
+
+                // "some" Grammar files stores names as "'name'" and want to remove string quote
+                // Fall back to the 'kind' string if no name string
+                checkInstruction(operandInfo != undefined, 'More operands than the grammar file has for ' + instructionInfo.opname);
+                var operandName;
+                // Some special cases for badly named operands in the grammar (for our purpose)
+                if (opcode == spirv.Enums.Op.OpTypeStruct) {
+                    operandName = 'member'
+                } else if (operandInfo.name) {
+                    operandName = (operandInfo.name[0] == '\'') ? operandInfo.name.substring(1, operandInfo.name.length - 1) :
+                                                                  operandInfo.name;
+                } else {
+                    operandName = operandInfo.kind;
+                }
+
+                optionalArray = (operandInfo.quantifier == '*');
+                var kind = operandInfo.kind;
+
+                if ((kind == 'IdResultType') || (kind == 'IdResult')) {
+                    checkInstruction(false, 'Should not have to handle IdResultType or IdResult here');
+                } else if (kind == 'IdRef') {
+                    // handle optional array as speical case for IdRef
+                    if (optionalArray) {
+                        // some name start listing items instead of being just the name
+                        // Example: "'Member 0 type', +\n'member 1 type', +\n..."
+                        // but note the first and last char were stripped above
+                        var endIndex = operandName.indexOf('\'');
+                        if (endIndex != -1) {
+                            operandName = operandName.substring(0, endIndex);
+                            operandName = operandName.replace(/ [0-9]/g, '');  // remove number if one
+                        }
+                        // Finish rest of words
+                        var quantifierIndex = 0;
+                        while (operandOffset < instructionLength) {
+                            var nextOperand = module[i + operandOffset]
+                            if (extInstLiteralsAllowed && (nextOperand == 0 || nextOperand >= maxIdBound)) {
+                                // Can't be an id, so leave it as the number
+                                operands.push({'type': 'literal', 'value': nextOperand});
+                            } else {
+                                operands.push({'type': 'id', 'value': nextOperand});
+                                operandIdList.push(nextOperand);
+                            }
+                            operandWordIndexList.push(operandOffset);
+                            operandOffset++;
+
+                            operandNameList.push(operandName + ' ' + quantifierIndex);
+                            quantifierIndex++;
+                        }
+                    } else {
+                        // if optional (quantifier == "?"), decode as normal
+                        operands.push({'type': 'id', 'value': operand});
+                        operandIdList.push(operand);
+                        operandWordIndexList.push(operandOffset);
+                        operandNameList.push(operandName);
+                        operandOffset++;
+                    }
+
+                } else if (kind == 'LiteralString') {
+                    var literalString = spirv.getLiteralString(module.slice(i + operandOffset, i + instructionLength));
+                    // Source strings can be unhelpfully long, so hide by default
+                    // If the OpString is too long it can also be unhelpfully long
+                    const string_len_threshhold = 300;  // about 3 full lines
+                    // Add 1 for the null terminator
+                    const stringWords = Math.ceil((literalString.length + 1) / 4);
+                    checkInstruction(operandOffset + stringWords <= instructionLength,
+                        'Literal string has no null terminator before the end of the instruction');
+                    var hide_string = opcode == spirv.Enums.Op.OpSource || opcode == spirv.Enums.Op.OpSourceContinued ||
+                        opcode == spirv.Enums.Op.OpModuleProcessed || literalString.length > string_len_threshhold;
+
+                    if (hide_string) {
+                        debugString = literalString;
+                    }
+                    operands.push({'type': 'string', 'value': literalString, 'hidden': hide_string});
+                    operandNameList.push(operandName);
+                    operandWordIndexList.push(operandOffset);
+                    operandOffset += stringWords;
+
+                } else if (kind == 'LiteralInteger') {
+                    // single word literal
+                    operands.push({'type': 'literal', 'value': operand});
+                    operandNameList.push(operandName);
+                    operandWordIndexList.push(operandOffset);
+                    operandOffset++;
+
+                } else if (kind == 'LiteralExtInstInteger') {
+                    checkInstruction(
+                        opcode == spirv.Enums.Op.OpExtInst || opcode == spirv.Enums.Op.OpExtInstWithForwardRefsKHR,
+                        'Makes assumption OpExtInst/OpExtInstWithForwardRefsKHR is only opcode with LiteralExtInstInteger');
+                    // single word literal but from extended instruction set
+                    const setId = module[i + 3];
+
+                    nonSemanticType = spirv.getNonSemanticType(setId);
+
+                    const extInstructionSet = spirv.getExtInstructions(setId);
+                    checkInstruction(extInstructionSet == undefined || extInstructionSet.has(operand),
+                        'Unknown extended instruction ' + operand);
+                    // There can be custom extended instructions starting with SPIR-V 1.6
+                    const extOpname = (extInstructionSet == undefined) ? operand : extInstructionSet.get(operand).opname;
+                    // This will have the while loop use the extended grammar
+                    if (extInstructionSet) {
+                        extendedOperandInfo = extInstructionSet.get(operand);
+                    } else {
+                        // The rest of the words fall through to the 'IdRef *' of OpExtInst
+                        extInstLiteralsAllowed = !spirv.isNonSemanticExtImport(setId);
+                    }
+                    operands.push({'type': 'literal', 'value': extOpname});
+                    operandNameList.push(operandName);
+                    operandWordIndexList.push(operandOffset);
+                    operandOffset++;
+
+                } else if (kind == 'LiteralSpecConstantOpInteger') {
+                    specConstantOpInfo = spirv.Instructions.get(module[i + operandOffset]);
+                    checkInstruction(specConstantOpInfo != undefined, 'Unknown OpSpecConstantOp opcode ' + operand);
+                    operands.push({'type': 'literal', 'value': specConstantOpInfo.opname});
+                    operandNameList.push(operandName);
+                    operandWordIndexList.push(operandOffset);
+                    operandOffset++;
+                    specConstantOpIndex = 0;
+                    // Start after results as they inherit from parent instruction
+                    specConstantOpIndex += spirv.OpcodesWithResultType.includes(specConstantOpInfo.opcode) ? 1 : 0;
+                    specConstantOpIndex += spirv.OpcodesWithResult.includes(specConstantOpInfo.opcode) ? 1 : 0;
+
+                } else if (kind == 'LiteralContextDependentNumber') {
+                    // Handle any opcodes that have context dependent operands
+                    var width = 1;
+                    var operandValue = operand;
+                    if (opcode == spirv.Enums.Op.OpConstant || opcode == spirv.Enums.Op.OpSpecConstant) {
+                        // Result Type must be a scalar integer type or floating-point type.
+                        var contextInstruction = instructions[resultToInstruction.get(module[i + 1])];
+                        checkInstruction(contextInstruction != undefined, `Result Type %${module[i + 1]} is not defined before use`);
+                        // Width is the first operand of both OpTypeInt and OpTypeFloat
+                        var bitWidth = module[contextInstruction.moduleOffset + 2];
+                        if (contextInstruction.opcode == spirv.Enums.Op.OpTypeInt) {
+                            var signedness = module[contextInstruction.moduleOffset + 3];
+                            if (signedness == 1) {
+                                // JS way to bring uint32 to int32
+                                // 8 and 16 bit are sign extended from their width in case the upper bits were left as zero
+                                const shift = (bitWidth < 32) ? 32 - bitWidth : 0;
+                                operandValue = (operandValue << shift) >> shift;
+                            }
+                            // 4 instructions is a normal 32 bit width, extra instruction length is another byte
+                            width = instructionLength - 3;
+                            checkInstruction(width <= 2, 'parsing ' + 32 * width + ' bit int is not supported');
+                            if (width == 2) {
+                                // 64-bit Int
+                                // only the high bit are converted to singed
+                                var operandValueLow = module[i + 3];
+                                var operandValueHigh = (signedness == 1) ? module[i + 4] >> 0 : module[i + 4];
+                                // use toString to get rid of suffix from types of BigInt
+                                operandValue = ((BigInt(operandValueHigh) << BigInt(32)) + BigInt(operandValueLow)).toString();
+                            }
+                        } else if (contextInstruction.opcode == spirv.Enums.Op.OpTypeFloat) {
+                            // Float16, BFloat16KHR and the FP8 encodings are in the low bits of a single word
+                            var encodingOperand = contextInstruction.operands[1];
+                            var encoding = encodingOperand ? encodingOperand.value : undefined;
+                            checkInstruction(getFloatFormat(bitWidth, encoding) != undefined,
+                                             'parsing ' + bitWidth + ' bit float ' + (encoding || '') + ' is not supported');
+                            width = (bitWidth == 64) ? 2 : 1;
+                            checkInstruction(instructionLength - 3 == width, bitWidth + ' bit float needs ' + width + ' word(s)');
+                            var bits = module[i + 3].toString(2).padStart(32, '0');
+                            if (width == 2) {
+                                // 64-bit Float
+                                bits = module[i + 4].toString(2).padStart(32, '0') + bits;
+                            }
+                            operandValue = parseFloatString(bits.substring(bits.length - bitWidth), encoding);
+                        } else {
+                            checkInstruction(false, 'OpConstant/OpSpecConstant result type is not OpTypeInt or OpTypeFloat');
+                        }
+                    } else {
+                        checkInstruction(
+                            false, 'unknown opcode is using LiteralContextDependentNumber grammar, chance things might break now')
+                    }
+
+                    var insertValue = operandValue;
+                    if (opcode == spirv.Enums.Op.OpSpecConstant) {
+                        insertValue = `spec(${insertValue})`;
+                    }
+                    constantText = insertValue;
+                    constantValue = createConstantFromWords(ir, module[i + 1], module.slice(i + 3, i + 3 + width));
+
+                    operands.push({'type': 'literal', 'value': operandValue});
+                    operandNameList.push(operandName);
+                    operandWordIndexList.push(operandOffset);
+                    operandOffset += width;
+
+                } else if ((kind == 'IdMemorySemantics') || (kind == 'IdScope')) {
+                    operands.push({'type': 'id', 'value': operand});
+                    operandIdList.push(operand);
+                    operandNameList.push(operandName);
+                    operandWordIndexList.push(operandOffset);
+                    operandOffset++;
+
+                } else if (
+                    (kind == 'PairLiteralIntegerIdRef') || (kind == 'PairIdRefLiteralInteger') || (kind == 'PairIdRefIdRef')) {
+                    // All share the same logic of finshing rest of words 2 operands at a time
+                    var quantifierIndex = 0;
+                    while (operandOffset < instructionLength) {
+                        checkInstruction(operandOffset + 1 < instructionLength, 'Pair of operands cut off by the end of the instruction');
+                        var nextOperand = module[i + operandOffset];
+                        var nextNextOperand = module[i + operandOffset + 1];
+                        if (opcode == spirv.Enums.Op.OpSwitch) {
+                            operands.push({
+                                'type': 'pair',
+                                'prefix': 'Case ',
+                                'first': {'type': 'literal', 'value': nextOperand},
+                                'second': {'type': 'id', 'value': nextNextOperand}
+                            });
+
+                            operandIdList.push(nextNextOperand);
+
+                            operandNameList.push('Case');
+                            operandNameList.push('Id');
+                        }
+                        if (opcode == spirv.Enums.Op.OpGroupMemberDecorate) {
+                            operands.push({
+                                'type': 'pair',
+                                'prefix': '',
+                                'first': {'type': 'id', 'value': nextOperand},
+                                'second': {'type': 'literal', 'value': nextNextOperand}
+                            });
+
+                            operandIdList.push(nextOperand);
+
+                            operandNameList.push('Id ' + quantifierIndex);
+                            operandNameList.push('Member ' + quantifierIndex);
+                        }
+                        if (opcode == spirv.Enums.Op.OpPhi) {
+                            operands.push({
+                                'type': 'pair',
+                                'prefix': '',
+                                'first': {'type': 'id', 'value': nextOperand},
+                                'second': {'type': 'id', 'value': nextNextOperand}
+                            });
+
+                            operandIdList.push(nextOperand);
+                            operandIdList.push(nextNextOperand);
+
+                            operandNameList.push('Variable ' + quantifierIndex);
+                            operandNameList.push('Parent ' + quantifierIndex);
+                        }
+                        operandWordIndexList.push(operandOffset);
+                        operandWordIndexList.push(operandOffset + 1);
+                        operandOffset += 2;
+                        quantifierIndex++;
+                    }
+                } else {
+                    operandInfo = spirv.Operands.get(kind);
+                    // If extended instruction might need to check grammar file
+                    if (!operandInfo && extendedOperandInfo) {
+                        var setId = module[i + 3];
+                        operandInfo = spirv.getExtOperands(setId).get(kind);
+                    }
+                    checkInstruction(operandInfo != undefined, 'Unknown grammar \'kind\' of ' + kind);
+
+                    if (operandInfo.enumerants) {
+                        var enumerantsLength = operandInfo.enumerants.length;
+                        var bitEnumString = '';
+                        var foundValue = false;
+
+                        for (let i = 0; i < enumerantsLength; i++) {
+                            var value = operandInfo.enumerants[i].value;
+                            if (operandInfo.category == 'BitEnum') {
+                                value = parseInt(operandInfo.enumerants[i].value, 16);
+                                // Will need to test each item if BitEnum
+                                // need to catch case where value and operand are both zero
+                                if (((value & operand) != 0) || (value == operand)) {
+                                    // know at least one value found
+                                    if (foundValue == false) {
+                                        bitEnumString = operandInfo.enumerants[i].enumerant;
+                                    } else {
+                                        bitEnumString += ' | ' + operandInfo.enumerants[i].enumerant;
+                                    }
+
+                                    if (operandInfo.enumerants[i].parameters) {
+                                        parameterOperandQueue.push(operandInfo.enumerants[i].parameters);
+                                    }
+                                    foundValue = true;
+                                }
+                            } else if (value == operand) {
+                                // Expect a single value, not flags if not BitEnum
+                                operands.push({'type': 'enumerant', 'value': operandInfo.enumerants[i].enumerant, 'kind': kind});
+
+                                if (operandInfo.enumerants[i].parameters) {
+                                    parameterOperandQueue.push(operandInfo.enumerants[i].parameters);
+                                }
+                                foundValue = true;
+                                break;
+                            }
+                        }
+
+                        checkInstruction(foundValue, `Unknown ${kind} value ${operand}`);
+                        if (foundValue == true) {
+                            operandWordIndexList.push(operandOffset);
+                            operandOffset++;
+                            operandNameList.push(operandName);
+
+                            // If any parameter was found, enqueue it right away
+                            if (parameterOperandQueue.length != 0) {
+                                parameterOperandInfo = parameterOperandQueue.shift();
+                            }
+
+                            // Need to formulate string after finding all enums as well as counter operand
+                            if (operandInfo.category == 'BitEnum') {
+                                operands.push({'type': 'enumerant', 'value': bitEnumString, 'kind': kind});
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        for (let j = 0; j < operandIdList.length; j++) {
+            checkInstruction(operandIdList[j] < maxIdBound, `Id %${operandIdList[j]} is beyond the bound of ${maxIdBound}`);
+        }
+
+        // Take Constant-Creation class opcodes and save const value to be displayed
+        switch (opcode) {
+            case spirv.Enums.Op.OpConstantTrue:
+                ir.constants.set(module[i + 2], 'True');
+                evaluatedConstants.set(module[i + 2], createConstant(ir, {'kind': 'bool'}, true));
+                break;
+            case spirv.Enums.Op.OpConstantFalse:
+                ir.constants.set(module[i + 2], 'False');
+                evaluatedConstants.set(module[i + 2], createConstant(ir, {'kind': 'bool'}, false));
+                break;
+            case spirv.Enums.Op.OpConstantNull: {
+                ir.constants.set(module[i + 2], createNullText(ir, module[i + 1]));
+                const type = getConstantType(ir, module[i + 1]);
+                if (type && type.kind != 'composite') {
+                    const zero = {'int': 0n, 'float': 0, 'bool': false};
+                    evaluatedConstants.set(module[i + 2], createConstant(ir, type, zero[type.kind]));
+                }
+                break;
+            }
+            case spirv.Enums.Op.OpSpecConstantTrue:
+                ir.constants.set(module[i + 2], 'spec(True)');
+                evaluatedConstants.set(module[i + 2], createConstant(ir, {'kind': 'bool'}, true));
+                break;
+            case spirv.Enums.Op.OpSpecConstantFalse:
+                ir.constants.set(module[i + 2], 'spec(False)');
+                evaluatedConstants.set(module[i + 2], createConstant(ir, {'kind': 'bool'}, false));
+                break;
+            case spirv.Enums.Op.OpConstantSampler: {
+                // ex. "sampler(ClampToEdge, Normalized, Linear)"
+                const normalized = (operands[1].value == 1) ? 'Normalized' : 'Unnormalized';
+                ir.constants.set(module[i + 2], `sampler(${operands[0].value}, ${normalized}, ${operands[2].value})`);
+                break;
+            }
+            // Constituents that are not constants (ex. OpUndef) are left as the id
+            // A spec composite is only as specializable as its constituents, which already show spec() themselves
+            case spirv.Enums.Op.OpConstantComposite:
+            case spirv.Enums.Op.OpSpecConstantComposite:
+            case spirv.Enums.Op.OpConstantCompositeContinuedINTEL:
+            case spirv.Enums.Op.OpSpecConstantCompositeContinuedINTEL: {
+                const continued = opcode == spirv.Enums.Op.OpConstantCompositeContinuedINTEL ||
+                    opcode == spirv.Enums.Op.OpSpecConstantCompositeContinuedINTEL;
+                const composite =
+                    continued ? lastComposite : {'id': module[i + 2], 'type': module[i + 1], 'values': [], 'constants': []};
+                if (composite == undefined) {
+                    break;
+                }
+                // The composite is only updated once its text is made, so a continued instruction that fails leaves it as is
+                const values = composite.values.concat(operands.map(function(operand) {
+                    return ir.constants.has(operand.value) ? ir.constants.get(operand.value) : '%' + operand.value;
+                }));
+                const constants = composite.constants.concat(operands.map(operand => evaluatedConstants.get(operand.value)));
+                const typeInstruction = instructions[resultToInstruction.get(composite.type)];
+                ir.constants.set(composite.id, createCompositeText(ir, typeInstruction, values));
+
+                const type = getConstantType(ir, composite.type);
+                if (type && !constants.includes(undefined)) {
+                    evaluatedConstants.set(composite.id, {'type': type, 'value': constants});
+                }
+                composite.values = values;
+                composite.constants = constants;
+                lastComposite = composite;
+                break;
+            }
+            case spirv.Enums.Op.OpSpecConstantOp: {
+                // ex. "spec(IAdd(4, 8)) = 12", the operands are shown with their default value
+                const operation = operands[0].value.substring(2);
+                var args = [];
+                var argsText = [];
+                for (const operand of operands.slice(1)) {
+                    if (operand.type == 'id') {
+                        const constant = evaluatedConstants.get(operand.value);
+                        args.push(constant);
+                        if (constant != undefined) {
+                            argsText.push(formatConstant(ir, constant));
+                        } else {
+                            argsText.push(ir.constants.has(operand.value) ? ir.constants.get(operand.value) : '%' + operand.value);
+                        }
+                    } else {
+                        args.push(operand.value);
+                        argsText.push(operand.value);
+                    }
+                }
+
+                var text = `spec(${operation}(${argsText.join(', ')}))`;
+                const result = evaluateSpecConstantOp(ir, module[i + 1], operation, args);
+                if (result != undefined) {
+                    evaluatedConstants.set(module[i + 2], result);
+                    text += ' = ' + formatConstant(ir, result);
+                }
+                ir.constants.set(module[i + 2], truncateConstantText(text));
+                break;
+            }
+            // value was found already above in LiteralContextDependentNumber check
+            case spirv.Enums.Op.OpSpecConstant:
+            case spirv.Enums.Op.OpConstant:
+                if (constantText != undefined) {
+                    ir.constants.set(module[i + 2], constantText);
+                }
+                if (constantValue != undefined) {
+                    evaluatedConstants.set(module[i + 2], constantValue);
+                }
+                break;
+        };
+
+        // Past here nothing can fail, so the rest of what the instruction does is recorded
+
+        // Find other preFunction opcodes to start more sections
+        if (insertedDebug == false && instructionInfo.class == 'Debug') {
+            insertedDebug = true;
+            ir.sections.set(instructionCount, 'debug');
+        } else if (insertedAnnotation == false && instructionInfo.class == 'Annotation') {
+            insertedAnnotation = true;
+            ir.sections.set(instructionCount, 'annotations');
+        } else if (insertedType == false && instructionInfo.class == 'Type-Declaration') {
+            insertedType = true;
+            ir.sections.set(instructionCount, 'types');
+        }
+
+        // Handles all aspects related to CFG
+        {
+            // Manage indent level from nested cfg
+            switch (opcode) {
+                case spirv.Enums.Op.OpLoopMerge:
+                case spirv.Enums.Op.OpSelectionMerge:
+                    indentStack.push(module[i + 1]);
+                    break;
+                case spirv.Enums.Op.OpLabel:
+                    if (indentStack[indentStack.length - 1] == module[i + 1]) {
+                        indentStack.pop();
+                    }
+                    break;
+            }
+
+            // Map the boundaries for functions and blocks
+            switch (opcode) {
+                case spirv.Enums.Op.OpFunction:
+                    currentFunction = {'start': instructionCount, 'end': 0};
+                    ir.functions.push(currentFunction);
+                    insideFunction = true;
+                    break;
+                case spirv.Enums.Op.OpFunctionEnd:
+                    currentFunction.end = instructionCount;
+                    break;
+                case spirv.Enums.Op.OpLabel:
+                    currentBlock = {
+                        'start': instructionCount,
+                        'end': 0,
+                        'function': currentFunction.start,
+                        'indent': indentStack.length
+                    };
+                    ir.blocks.set(instructionCount, currentBlock);
+                    break;
+                case spirv.Enums.Op.OpBranch:
+                case spirv.Enums.Op.OpBranchConditional:
+                case spirv.Enums.Op.OpSwitch:
+                case spirv.Enums.Op.OpReturn:
+                case spirv.Enums.Op.OpReturnValue:
+                case spirv.Enums.Op.OpKill:
+                case spirv.Enums.Op.OpUnreachable:
+                case spirv.Enums.Op.TerminateInvocation:
+                    currentBlock.end = instructionCount;
+                    break;
+            };
+
+            // Build branching map
+            var branchDestinations = [];
+            switch (opcode) {
+                case spirv.Enums.Op.OpBranch:
+                    branchDestinations.push(module[i + 1]);
+                    break;
+                case spirv.Enums.Op.OpBranchConditional:
+                    branchDestinations.push(module[i + 2]);
+                    branchDestinations.push(module[i + 3]);
+                    break;
+                case spirv.Enums.Op.OpSwitch:
+                    branchDestinations.push(module[i + 2]);
+                    for (let operand = 4; operand < instructionLength; operand += 2) {
+                        branchDestinations.push(module[i + operand]);
+                    }
+                    break;
+            }
+            if (branchDestinations.length > 0) {
+                branchMap.set(instructionCount, branchDestinations);
+            }
+        }
+
+        // Map extended instruction to result hashmap
+        if (opcode == spirv.Enums.Op.OpExtInstImport) {
+            var extendedName = spirv.getLiteralString(module.slice(i + 2, i + instructionLength));
+            spirv.setResultToExtImportMap(extendedName, opcodeResult);
+        }
+
+        // Handles all decorations and names
+        if (opcode == spirv.Enums.Op.OpName) {
+            var name = spirv.getLiteralString(module.slice(i + 2, i + instructionLength));
+            // strings can be empty according to specs definition of Literals
+            // to prevent looking like a bug, replace with some more visual
+            if (name == '') {
+                name = '[empty string]'
+            }
+
+            ir.opNames.set(module[i + 1], name);
+        }
+
+        if (debugString != undefined) {
+            ir.debugStrings.set(instructionCount, debugString);
+        }
+        if (nonSemanticType) {
+            ir.nonSemanticInstructions.set(instructionCount, nonSemanticType);
+        }
+
+        for (let j = 0; j < operandIdList.length; j++) {
+            idConsumers[operandIdList[j]].push(instructionCount);
+        }
+        if (hasResult == true) {
+            resultToInstruction.set(opcodeResult, instructionCount);
+        }
+
+        // After parsing instruction insertions/updates
+        instructions.push({
+            'moduleOffset': i,
+            'length': instructionLength,
+            'block': currentBlock.start,
+            'function': currentFunction.start,
+            'opcode': opcode,
+            'opname': spirv.OpcodeToName[opcode],
+            'result': opcodeResult,
+            'resultType': opcodeResultType,
+            'operands': operands,
+            'operandNameList': operandNameList,
+            'operandIdList': operandIdList,
+            'operandWordIndexList': operandWordIndexList,
+            'parentInstructions': []
+        });
+    }
+
+    // First pass
+    for (let i = 5; i < module.length;) {
+        // Let the caller know how far along decoding is every so often
+        if (onProgress && (instructionCount % parseProgressInterval) == 0) {
+            onProgress(instructionCount, i, module.length);
+        }
+
+        const instruction = module[i];
+        var instructionLength = instruction >>> spirv.Meta.WordCountShift;
+        const opcode = instruction & spirv.Meta.OpCodeMask;
+
+        // The word count can't be trusted if it doesn't fit in the module, so only take the words that are there
+        var error = undefined;
+        if (instructionLength == 0) {
+            error = 'Word count of 0';
+            instructionLength = 1;
+        } else if (i + instructionLength > module.length) {
+            error = `Word count of ${instructionLength} runs past the end of the module`;
+            instructionLength = module.length - i;
+        } else if (!spirv.Instructions.has(opcode)) {
+            error = 'Unknown opcode ' + opcode;
+        } else {
+            try {
+                decodeInstruction(i, instructionLength, opcode);
+            } catch (e) {
+                error = e.message;
+                // Only the constant of the result can be recorded before the instruction fails
+                if (spirv.OpcodesWithResult.includes(opcode)) {
+                    const result = spirv.OpcodesWithResultType.includes(opcode) ? module[i + 2] : module[i + 1];
+                    ir.constants.delete(result);
+                    evaluatedConstants.delete(result);
+                }
+            }
+        }
+
+        if (error != undefined) {
+            instructions.push({
+                'moduleOffset': i,
+                'length': instructionLength,
+                'block': currentBlock.start,
+                'function': currentFunction.start,
+                'opcode': opcode,
+                'opname': spirv.OpcodeToName[opcode],
+                'result': undefined,
+                'resultType': undefined,
+                'operands': [],
+                'operandNameList': [],
+                'operandIdList': [],
+                'operandWordIndexList': [],
+                'parentInstructions': [],
+                'words': Array.from(module.subarray(i, i + instructionLength)),
+                'error': error
+            });
+            ir.diagnostics.push({'instruction': instructionCount, 'message': error});
+        }
+
+        // OpFunctionEnd is the last instruction of the function
+        if (opcode == spirv.Enums.Op.OpFunctionEnd) {
+            insideFunction = false;
+        }
+
+        i += instructionLength;
+        instructionCount++;
+    }
+    if (onProgress) {
+        onProgress(instructionCount, module.length, module.length);
+    }
+
+    // Helper to record the type of CFG blocks in order they are found
+    function addBlockType(block, type, header) {
+        if (!ir.blockTypes.has(block)) {
+            ir.blockTypes.set(block, []);
+        }
+        ir.blockTypes.get(block).push({'type': type, 'header': header});
+    }
+
+    // The merge and continue targets are forward references, so a malformed module might never define them
+    function getLabelBlock(index, id) {
+        const labelIndex = resultToInstruction.get(id);
+        if (labelIndex == undefined) {
+            ir.diagnostics.push({'instruction': index, 'message': `Label %${id} is never defined`});
+            return undefined;
+        }
+        return instructions[labelIndex].block;
+    }
+
+    // Second pass
+    for (let index = 0; index < instructions.length; index++) {
+        const currentInstruction = instructions[index];
+        const i = currentInstruction.moduleOffset;
+        const opcode = currentInstruction.opcode;
+        if (currentInstruction.error) {
+            continue;  // already reported in first pass
+        }
+
+        // Mark each block with the role it has in the CFG
+        switch (opcode) {
+            case spirv.Enums.Op.OpLoopMerge: {
+                const headerBlock = currentInstruction.block;
+                const mergeBlock = getLabelBlock(index, module[i + 1]);
+                const continueBlock = getLabelBlock(index, module[i + 2]);
+                if (mergeBlock == undefined || continueBlock == undefined) {
+                    break;
+                }
+                addBlockType(headerBlock, 'loopHeader', headerBlock);
+                addBlockType(mergeBlock, 'loopMerge', headerBlock);
+                addBlockType(continueBlock, 'loopContinue', headerBlock);
+
+                const mergeBlockResult = instructions[mergeBlock].result
+                for (let key of branchMap.keys()) {
+                    if (branchMap.get(key).includes(mergeBlockResult)) {
+                        addBlockType(instructions[key].block, 'loopBreak', headerBlock);
+                    }
+                }
+                break;
+            }
+            case spirv.Enums.Op.OpSelectionMerge: {
+                const headerBlock = currentInstruction.block;
+                const mergeBlock = getLabelBlock(index, module[i + 1]);
+                if (mergeBlock == undefined) {
+                    break;
+                }
+                addBlockType(headerBlock, 'selectionHeader', headerBlock);
+                addBlockType(mergeBlock, 'selectionMerge', headerBlock);
+                break;
+            }
+            case spirv.Enums.Op.OpReturn:
+            case spirv.Enums.Op.OpReturnValue:
+                addBlockType(currentInstruction.block, 'return', currentInstruction.block);
+                break;
+        }
+
+        // Holds all instructions that have resultID for each operand
+        // store now instead of generating at DAG creation time
+        // inverse of idConsumers
+        let parentInstructions = [];
+        const operandIdList = currentInstruction.operandIdList;
+        for (let j = 0; j < operandIdList.length; j++) {
+            parentInstructions.push(resultToInstruction.get(operandIdList[j]));
+        }
+        currentInstruction.parentInstructions = parentInstructions;
+    }
+
+    // Second pass problems were found after the first pass ones
+    ir.diagnostics.sort(function(a, b) {
+        return a.instruction - b.instruction;
+    });
+
+    ir.requirements = analyzeRequirements(ir);
+    return ir;
+}
@@ -0,0 +1,173 @@
+// Copyright (c) 2021-2023 The Khronos Group Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+//
+// Export of the loaded module as a single self-contained HTML file
+//
+// The report has the stylesheet, libraries, renderer scripts and module IR all inlined, so it opens offline
+// from a bug report or code review and the collapsing, settings and DAG clicks work the same as in the page.
+//
+
+// Everything inlined into the report, the stylesheet is first
+const reportSources = [
+    'style.css',
+    'lib/jquery-3.5.1.min.js',
+    'lib/d3.v5.min.js',
+    'lib/d3-dag.min.js',
+    'source/utils.js',
+    'source/spirv.js',
+    'source/parser.js',
+    'source/disassembler.js',
+    'source/display.js',
+    'source/main.js',
+    'source/report.js',
+];
+
+// JSON has no Map, so they are stored as { '__map': [ [key, value] ] }
+function reportReplacer(key, value) {
+    return (value instanceof Map) ? {'__map': Array.from(value)} : value;
+}
+
+function reportReviver(key, value) {
+    return (value && value.__map) ? new Map(value.__map) : value;
+}
+
+// Only the parts of the grammar the renderer needs once the module is decoded
+// @param ir Module IR returned from parseModule()
+function createReportData(ir) {
+    var extOperands = new Map();
+    var operands = new Map();
+    for (const enumOperands of Object.values(nonSemanticEnumOperands)) {
+        for (let i = 0; i < enumOperands.length; i++) {
+            const kind = enumOperands[i][1];
+            const debugInfoOperands = spirv.ExtOperands.get(ExtInstSetNonSemanticDebugInfo);
+            if (debugInfoOperands && debugInfoOperands.has(kind)) {
+                extOperands.set(kind, debugInfoOperands.get(kind));
+            } else if (spirv.Operands.has(kind)) {
+                operands.set(kind, spirv.Operands.get(kind));
+            }
+        }
+    }
+
+    return {
+        'ir': ir,
+        'grammar': spirv.GrammarName,
+        'opcodes': spirv.Enums.Op,
+        'extOperands': extOperands,
+        'operands': operands,
+    };
+}
+
+// @param sources Text of each file in reportSources
+// @param data From createReportData()
+// @param filename Name of the module, used in the title
+function createReportHtml(sources, data, filename) {
+    // Inlined text can't end the <script> it is in early, the case is kept as it can be in a string
+    const inline = text => text.replace(/<\/(script)/gi, '<\\/$1');
+    const json = JSON.stringify(data, reportReplacer).replace(/</g, '\\u003c');
+    const title = filename.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    // The settings start unchecked, same as when loading a new module
+    const settingsLeft = document.getElementById('settingsLeft').outerHTML;
+
+    var scripts = '';
+    for (let i = 1; i < sources.length; i++) {
+        scripts += `  <script>\n${inline(sources[i])}\n  </script>\n`;
+    }
+
+    return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>SPIR-V Visualizer - ${title}</title>
+    <style>
+${sources[0]}
+    </style>
+  </head>
+
+  <body>
+    <div id="mainModuleContainer">
+        <div id="moduleSettings">
+            <div id="settings" class="row">
+                ${settingsLeft}
+                <div id="settingsRight" class="col">
+                    <div id="fileSelectName">Exported: <span style="color : navajowhite">${title}</span></div>
+                </div>
+            </div>
+        </div>
+        <div id="moduleData">
+            <div class="mainColumn" id="disassembleDisplayDiv"></div>
+            <div class="mainColumn" id="dagDiv">
+                <div id="debugStringDiv"></div>
+                <svg id="dagSvg"></svg>
+            </div>
+        </div>
+    </div>
+  <script type="application/json" id="reportData">${json}</script>
+${scripts}  <script>loadReport();</script>
+  </body>
+</html>
+`;
+}
+
+// Builds the report and has the browser download it
+// @param ir Module IR returned from parseModule()
+// @param filename Name of the module loaded
+function exportReport(ir, filename) {
+    assert(ir != undefined, 'No SPIR-V module loaded to export');
+    const fetches = reportSources.map(source => fetch(source).then(function(response) {
+        if (!response.ok) {
+            throw new Error('Failed to fetch ' + source);
+        }
+        return response.text();
+    }));
+
+    Promise.all(fetches)
+        .then(function(sources) {
+            const html = createReportHtml(sources, createReportData(ir), filename);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([html], {type: 'text/html'}));
+            link.download = filename.replace(/\.[^.]*$/, '') + '.html';
+            link.click();
+            // Give the browser a chance to start the download first
+            setTimeout(function() {
+                URL.revokeObjectURL(link.href);
+            }, 1000);
+        })
+        .catch(function(error) {
+            // fetch() is blocked when opening index.html from file://
+            assert(false, 'Export HTML needs the page to be served (see README): ' + error.message);
+        });
+}
+
+// Called from inside the exported report to display the module inlined into it
+function loadReport() {
+    const data = JSON.parse(document.getElementById('reportData').textContent, reportReviver);
+    spirv.Enums.Op = data.opcodes;
+    spirv.ExtOperands.set(ExtInstSetNonSemanticDebugInfo, data.extOperands);
+    spirv.Operands = data.operands;
+
+    spirv.GrammarName = data.grammar;
+
+    session = createSession('unknown');
+    session.ir = data.ir;
+    renderModule(false);
+
+    bindDisplayEvents();
+    $('#collapseAll').on('click', collapseAllSections);
+    $('#expandAll').on('click', expandAllSections);
+    $('input[type="checkbox"]').click(function() {
+        applySetting($(this)[0].name, $(this).prop('checked'));
+    });
+}
@@ -0,0 +1,327 @@
+// Copyright (c) 2023 The Khronos Group Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+/*
+Works out which capabilities, extensions and SPIR-V version a module needs from the 'capabilities', 'extensions' and
+'version' the grammar has for every instruction and enumerant, then compares them with what the module declares
+
+Nothing in here touches the DOM, parseModule() adds the result to the IR
+
+The grammar can't tell everything, so it errs on the side of not reporting:
+  - Capabilities needed because of how something is used (ex. reading an image with an Unknown format) are never unused
+  - Extensions the grammar doesn't mention anywhere are never unused
+*/
+
+// Needed because of how instructions are used rather than which instructions are used
+const usageDependentCapabilities = new Set([
+    'Linkage',
+    'StorageImageReadWithoutFormat',
+    'StorageImageWriteWithoutFormat',
+    'RuntimeDescriptorArray',
+    'UniformBufferArrayDynamicIndexing',
+    'SampledImageArrayDynamicIndexing',
+    'StorageBufferArrayDynamicIndexing',
+    'StorageImageArrayDynamicIndexing',
+    'InputAttachmentArrayDynamicIndexing',
+    'UniformTexelBufferArrayDynamicIndexing',
+    'StorageTexelBufferArrayDynamicIndexing',
+    'UniformBufferArrayNonUniformIndexing',
+    'SampledImageArrayNonUniformIndexing',
+    'StorageBufferArrayNonUniformIndexing',
+    'StorageImageArrayNonUniformIndexing',
+    'InputAttachmentArrayNonUniformIndexing',
+    'UniformTexelBufferArrayNonUniformIndexing',
+    'StorageTexelBufferArrayNonUniformIndexing',
+    'VariablePointers',
+    'VariablePointersStorageBuffer',
+    'Int64Atomics',
+    'Int64ImageEXT',
+    'AtomicFloat16AddEXT',
+    'AtomicFloat32AddEXT',
+    'AtomicFloat64AddEXT',
+    'AtomicFloat16MinMaxEXT',
+    'AtomicFloat32MinMaxEXT',
+    'AtomicFloat64MinMaxEXT',
+    'Float16Buffer',
+    'StorageBuffer16BitAccess',
+    'UniformAndStorageBuffer16BitAccess',
+    'StoragePushConstant16',
+    'StorageInputOutput16',
+    'StorageBuffer8BitAccess',
+    'UniformAndStorageBuffer8BitAccess',
+    'StoragePushConstant8',
+    'DotProductInputAll',
+    'DotProductInput4x8Bit',
+]);
+
+// Capabilities that allow a type of the width, the grammar only has the width as a literal
+const typeWidthCapabilities = {
+    'OpTypeInt': {
+        8: ['Int8', 'StorageBuffer8BitAccess', 'UniformAndStorageBuffer8BitAccess', 'StoragePushConstant8'],
+        16: ['Int16', 'StorageBuffer16BitAccess', 'UniformAndStorageBuffer16BitAccess', 'StoragePushConstant16',
+             'StorageInputOutput16'],
+        64: ['Int64'],
+    },
+    'OpTypeFloat': {
+        16: ['Float16', 'Float16Buffer', 'StorageBuffer16BitAccess', 'UniformAndStorageBuffer16BitAccess',
+             'StoragePushConstant16', 'StorageInputOutput16'],
+        64: ['Float64'],
+    },
+};
+
+// ex. 0x00010300 is '1.3'
+function createVersionString(version) {
+    return ((version >> 16) & 0xff) + '.' + ((version >> 8) & 0xff);
+}
+
+// @param ir Module IR from parseModule(), the requirements are not in it yet
+// @return { version : lowest SPIR-V version word the module can be, versionString,
+//           capabilities : [ names needed ], extensions : [ names needed ],
+//           problems : [ { type : 'missingCapability' | 'unusedCapability' | 'missingExtension' | 'unusedExtension' |
+//                                 'version',
+//                          message, instructions : [ { instruction : index, name : opname or enumerant that needs it } ] } ] }
+function analyzeRequirements(ir) {
+    const moduleVersion = ir.header.version;
+
+    // Everything the module declares, name to the instruction index declaring it
+    var declaredCapabilities = new Map();
+    var declaredExtensions = new Map();
+    for (let i = 0; i < ir.instructions.length; i++) {
+        const instruction = ir.instructions[i];
+        if (instruction.error) {
+            continue;
+        } else if (instruction.opcode == spirv.Enums.Op.OpCapability) {
+            declaredCapabilities.set(instruction.operands[0].value, i);
+        } else if (instruction.opcode == spirv.Enums.Op.OpExtension) {
+            declaredExtensions.set(instruction.operands[0].value, i);
+        }
+    }
+
+    // Enumerants of each kind by name, the IR only has the name
+    var enumerantMaps = new Map();
+    function getEnumerant(kind, name) {
+        if (!enumerantMaps.has(kind)) {
+            const operandInfo = spirv.Operands.get(kind);
+            const enumerants = (operandInfo && operandInfo.enumerants) || [];
+            enumerantMaps.set(kind, new Map(enumerants.map(enumerant => [enumerant.enumerant, enumerant])));
+        }
+        return enumerantMaps.get(kind).get(name);
+    }
+
+    // A declared capability also declares the ones it depends on (ex. Shader declares Matrix)
+    var impliedCapabilities = new Map();
+    declaredCapabilities.forEach(function(index, name) {
+        let implied = new Set([name]);
+        let pending = [name];
+        while (pending.length > 0) {
+            const enumerant = getEnumerant('Capability', pending.pop());
+            for (const capability of (enumerant && enumerant.capabilities) || []) {
+                if (!implied.has(capability)) {
+                    implied.add(capability);
+                    pending.push(capability);
+                }
+            }
+        }
+        impliedCapabilities.set(name, implied);
+    });
+
+    // Each is keyed by the options joined, as any one of the options is enough
+    var capabilityRequirements = new Map();
+    var extensionRequirements = new Map();
+    var versionRequirements = [];
+    var minimumVersion = 0x00010000;
+    var usedCapabilities = new Set();
+    var usedExtensions = new Set();
+
+    function requireCapability(options, instruction, name) {
+        for (const [declared, implied] of impliedCapabilities) {
+            if (options.some(option => implied.has(option))) {
+                usedCapabilities.add(declared);
+            }
+        }
+        const key = options.join(' or ');
+        if (!capabilityRequirements.has(key)) {
+            capabilityRequirements.set(key, {'options': options, 'instructions': []});
+        }
+        capabilityRequirements.get(key).instructions.push({'instruction': instruction, 'name': name});
+    }
+
+    // @param grammar instruction or enumerant from the grammar
+    // @param checkCapabilities false for OpCapability, its capabilities are the ones it declares, not needs
+    function requireGrammar(grammar, instruction, name, checkCapabilities) {
+        if (checkCapabilities && grammar.capabilities && grammar.capabilities.length > 0) {
+            requireCapability(grammar.capabilities, instruction, name);
+        }
+
+        const extensions = grammar.extensions || [];
+        const declared = extensions.filter(extension => declaredExtensions.has(extension));
+        declared.forEach(extension => usedExtensions.add(extension));
+        // Without a version it can only be used with the extension
+        const hasVersion = grammar.version != 'None' && (grammar.version != undefined || extensions.length == 0);
+        const version = hasVersion ? parseGrammarVersion(grammar.version || '1.0') : undefined;
+
+        if (declared.length > 0) {
+            return;
+        } else if (version == undefined && extensions.length > 0) {
+            const key = extensions.join(' or ');
+            if (!extensionRequirements.has(key)) {
+                extensionRequirements.set(key, {'options': extensions, 'instructions': []});
+            }
+            extensionRequirements.get(key).instructions.push({'instruction': instruction, 'name': name});
+        } else if (version != undefined && version > 0x00010000) {
+            minimumVersion = Math.max(minimumVersion, version);
+            versionRequirements.push({'version': version, 'instruction': instruction, 'name': name});
+        }
+    }
+
+    for (let i = 0; i < ir.instructions.length; i++) {
+        const instruction = ir.instructions[i];
+        const grammar = spirv.Instructions.get(instruction.opcode);
+        if (instruction.error || !grammar) {
+            continue;
+        }
+        const isCapability = instruction.opcode == spirv.Enums.Op.OpCapability;
+        requireGrammar(grammar, i, instruction.opname, true);
+
+        // The enumerants of an extended instruction are from its own grammar
+        if (instruction.opcode != spirv.Enums.Op.OpExtInst && instruction.opcode != spirv.Enums.Op.OpExtInstWithForwardRefsKHR) {
+            for (const operand of instruction.operands) {
+                if (operand.type != 'enumerant' || operand.kind == undefined) {
+                    continue;
+                }
+                // BitEnum have each bit set joined together
+                for (const name of operand.value.split(' | ')) {
+                    const enumerant = getEnumerant(operand.kind, name);
+                    if (enumerant) {
+                        requireGrammar(enumerant, i, name, !isCapability);
+                    }
+                }
+            }
+        }
+
+        const widths = typeWidthCapabilities[instruction.opname];
+        // A float with an encoding (ex. BFloat16KHR) has its capability from the encoding
+        const hasEncoding = instruction.opcode == spirv.Enums.Op.OpTypeFloat && instruction.operands.length > 1;
+        if (widths && !hasEncoding && widths[instruction.operands[0].value]) {
+            requireCapability(widths[instruction.operands[0].value], i, instruction.opname + ' ' + instruction.operands[0].value);
+        }
+
+        // The name of the set is the extension that adds it (ex. SPV_AMD_shader_ballot)
+        if (instruction.opcode == spirv.Enums.Op.OpExtInstImport) {
+            const importName = instruction.operands[0].value;
+            if (importName.startsWith('NonSemantic.')) {
+                requireGrammar({'extensions': ['SPV_KHR_non_semantic_info'], 'version': '1.6'}, i, importName, false);
+            } else if (importName.startsWith('SPV_')) {
+                requireGrammar({'extensions': [importName], 'version': 'None'}, i, importName, false);
+            }
+        }
+    }
+
+    var allDeclaredCapabilities = new Set();
+    impliedCapabilities.forEach(implied => implied.forEach(capability => allDeclaredCapabilities.add(capability)));
+
+    var problems = [];
+    var capabilities = new Set();
+    capabilityRequirements.forEach(function(requirement, key) {
+        const declared = requirement.options.filter(option => allDeclaredCapabilities.has(option));
+        if (declared.length > 0) {
+            declared.forEach(capability => capabilities.add(capability));
+            return;
+        }
+        capabilities.add(requirement.options[0]);
+        // It is still needed, so are the extension or version it needs
+        const enumerant = getEnumerant('Capability', requirement.options[0]);
+        if (enumerant) {
+            requireGrammar(enumerant, requirement.instructions[0].instruction, requirement.options[0], false);
+        }
+        problems.push({
+            'type': 'missingCapability',
+            'message': `Capability ${key} is needed but not declared`,
+            'instructions': requirement.instructions,
+        });
+    });
+    declaredCapabilities.forEach(function(index, name) {
+        if (usedCapabilities.has(name)) {
+            capabilities.add(name);
+        } else if (!usageDependentCapabilities.has(name)) {
+            problems.push({
+                'type': 'unusedCapability',
+                'message': `OpCapability ${name} is declared but not needed`,
+                'instructions': [{'instruction': index, 'name': 'OpCapability'}],
+            });
+        }
+    });
+
+    var extensions = new Set(usedExtensions);
+    extensionRequirements.forEach(function(requirement, key) {
+        extensions.add(requirement.options[0]);
+        problems.push({
+            'type': 'missingExtension',
+            'message': `Extension ${key} is needed but not declared`,
+            'instructions': requirement.instructions,
+        });
+    });
+    const grammarExtensions = getGrammarExtensions();
+    declaredExtensions.forEach(function(index, name) {
+        if (!usedExtensions.has(name) && grammarExtensions.has(name)) {
+            problems.push({
+                'type': 'unusedExtension',
+                'message': `OpExtension ${name} is declared but not needed`,
+                'instructions': [{'instruction': index, 'name': 'OpExtension'}],
+            });
+        }
+    });
+
+    if (moduleVersion < minimumVersion) {
+        problems.push({
+            'type': 'version',
+            'message': `SPIR-V ${createVersionString(minimumVersion)} is needed but the module is ${ir.header.versionString}`,
+            'instructions': versionRequirements.filter(requirement => requirement.version > moduleVersion)
+                .map(requirement => ({'instruction': requirement.instruction, 'name': requirement.name})),
+        });
+    }
+
+    return {
+        'version': minimumVersion,
+        'versionString': createVersionString(minimumVersion),
+        'capabilities': Array.from(capabilities).sort(),
+        'extensions': Array.from(extensions).sort(),
+        'problems': problems,
+    };
+}
+
+// ex. '1.3' is 0x00010300
+function parseGrammarVersion(text) {
+    const [major, minor] = text.split('.').map(Number);
+    return (major << 16) | (minor << 8);
+}
+
+// Every extension the grammar has something for, only these can be known to be not needed
+function getGrammarExtensions() {
+    var extensions = new Set(['SPV_KHR_non_semantic_info']);
+    function addExtensions(grammar) {
+        (grammar.extensions || []).forEach(extension => extensions.add(extension));
+    }
+    spirv.Instructions.forEach(addExtensions);
+    spirv.Operands.forEach(function(operandInfo) {
+        (operandInfo.enumerants || []).forEach(addExtensions);
+    });
+    spirv.ExtInstructions.forEach(function(instructions, name) {
+        if (name.startsWith('SPV_')) {
+            extensions.add(name);
+        }
+    });
+    return extensions;
+}
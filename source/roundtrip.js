@@ -0,0 +1,104 @@
+// Copyright (c) 2023 The Khronos Group Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+/*
+Checks the text from disassembleModule() (same as "Copy To Clipboard") gives back the same binary from assembleModule()
+
+binary -> parseModule() -> disassembleModule() -> assembleModule() -> binary
+
+Nothing in here touches the DOM, it is used from the page, the command line tool (cli.js) and the test suite
+*/
+
+// @param binary ArrayBuffer of the SPIR-V module
+// @param ir Optional, the IR from parseModule() if the binary was already decoded
+// @return { match : true if every word is the same,
+//           text : disassembly that was assembled,
+//           errors : from assembleModule(),
+//           difference : undefined if they match, otherwise the first word that is different
+//               { word : index in the binary, expected : original word, found : assembled word (undefined past the end),
+//                 instruction : index of the instruction (undefined in the header), opname, kind : operand kind of the word } }
+function verifyRoundTrip(binary, ir) {
+    ir = ir || parseModule(binary);
+    var original = new Uint32Array(binary);
+    if (ir.header.endianness == 'big') {
+        // The assembler only writes little endian
+        original = original.map(byteSwap32);
+    }
+
+    const text = disassembleModule(ir);
+    // The text uses the ids from the binary, so they have to be kept to compare word for word
+    const result = assembleModule(text, undefined, {'preserveNumericIds': true});
+    const assembled = result.binary;
+
+    var word = -1;
+    for (let i = 0; i < Math.max(original.length, assembled.length); i++) {
+        if (original[i] !== assembled[i]) {
+            word = i;
+            break;
+        }
+    }
+    if (word == -1) {
+        return {'match': true, 'text': text, 'errors': result.errors, 'difference': undefined};
+    }
+
+    // Walk the original to find which instruction the word is in
+    var instruction = undefined;
+    var opname = undefined;
+    if (word >= 5) {
+        instruction = 0;
+        for (let offset = 5; offset < original.length; instruction++) {
+            const wordCount = original[offset] >>> spirv.Meta.WordCountShift;
+            if (wordCount == 0 || offset + wordCount > word) {
+                break;
+            }
+            offset += wordCount;
+        }
+        opname = (instruction < ir.instructions.length) ? ir.instructions[instruction].opname : undefined;
+    }
+
+    return {
+        'match': false,
+        'text': text,
+        'errors': result.errors,
+        'difference': {
+            'word': word,
+            'expected': original[word],
+            'found': assembled[word],
+            'instruction': instruction,
+            'opname': opname,
+            'kind': result.wordKinds[word],
+        },
+    };
+}
+
+// ex. "Round trip differs at word 42 (instruction 7 OpConstant, LiteralContextDependentNumber), it is 0x00000001 but assembled to 0x00000002"
+// @param result From verifyRoundTrip()
+function createRoundTripMessage(result) {
+    if (result.match) {
+        return 'Round trip matches the binary';
+    }
+    const difference = result.difference;
+    const hex = word => (word == undefined) ? 'missing' : '0x' + word.toString(16).padStart(8, '0');
+    var where = [];
+    if (difference.instruction != undefined) {
+        where.push(`instruction ${difference.instruction}` + (difference.opname ? ' ' + difference.opname : ''));
+    }
+    if (difference.kind != undefined) {
+        where.push(difference.kind);
+    }
+    const location = (where.length > 0) ? ` (${where.join(', ')})` : '';
+    const words = `it is ${hex(difference.expected)} but assembled to ${hex(difference.found)}`;
+    return `Round trip differs at word ${difference.word}${location}, ${words}`;
+}
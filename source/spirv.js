@@ -16,12 +16,27 @@
 var spirv = {
     // When all the needed JSON grammar files load, let the UI know
     JsonIsReady: false,
+    onReady: undefined,
+
+    // How each JSON grammar file is fetched, replace when not running in the page (ex. NodeJS)
+    // callback is passed the parsed JSON object
+    // onError is optional, called if the file can't be loaded
+    getJson: function(url, callback, onError) {
+        const request = $.getJSON(url, callback);
+        if (onError) {
+            request.fail(onError);
+        }
+    },
 
     // Common Helper Functions/Utils
     validateHeader: undefined,
     getLiteralString: undefined,
 
     GrammarPath: '',
+    // Which grammar snapshot is loaded (ex. 'unified1'), the page lists them in grammar/snapshots.json
+    GrammarName: '',
+    // Lists every extended instruction set grammar file and its import name, made by grammar/getManifest.js
+    ManifestPath: '',
     Version: '0.0.0',
     Meta: {},
 
@@ -32,13 +47,16 @@ var spirv = {
     OpcodeToName: new Map(),  // [ opcode number id : 'OpCode' string ]
     NameToOpcode: new Map(),  // [ 'OpCode' string : opcode number id ]
 
+    // Both are keyed by the name used in OpExtInstImport (ex. 'GLSL.std.450')
     ExtInstructions: new Map(),  // Same mapping as Instructions, but for each grammar file
     ExtOperands: new Map(),      // Same mapping as Operands, but for each grammar file
     // To save everyone having to build this map themselve, provide helpers
-    ResultToExtImport: new Map(),  // Map result ID of OpExtInstImport to actual
+    ResultToExtImport: new Map(),  // Map result ID of OpExtInstImport to the name its grammar is under (or import name if none)
     setResultToExtImportMap: undefined,
+    getExtInstSetName: undefined,
     getExtInstructions: undefined,
     getExtOperands: undefined,
+    isNonSemanticExtImport: undefined,
 
     // Non-Semantic instructions don't have literals, so we need to manually map ValueEnum/BitEnum
     // DebugBreak and DebugPrintf don't have any operands that need checking
@@ -46,6 +64,12 @@ var spirv = {
 
     OpcodesWithResultType: [],
     OpcodesWithResult: [],
+
+    // Grammar files merged on top of the ones from SPIRV-Headers (ex. in-house extensions), in the order merged
+    //   [ { file, name : import name of the extended instruction set, undefined if a core grammar patch, json } ]
+    UserGrammars: [],
+    mergeGrammar: undefined,
+    getUserGrammarName: undefined,
 };
 
 const SPV_ENV_UNIVERSAL_1_0 = 0x00_01_00_00;
@@ -60,94 +84,92 @@ const SPV_ENV_VULKAN_1_1 = 0x00_01_01_00;
 const SPV_ENV_VULKAN_1_2 = 0x00_01_03_00;
 const SPV_ENV_VULKAN_1_3 = 0x00_01_05_00;
 
-// number of json files needed to be loaded
+// number of json files needed to be loaded, the manifest adds each extended instruction set grammar to it
 var jsonRefCount = 0;
-const jsonRefTotal = 9;
+var jsonRefTotal = 3;
+
+// User grammar files passed to loadSpirv(), kept until the grammar they patch is loaded
+var pendingUserGrammars = [];
 
 function spirvJsonLoaded() {
     jsonRefCount++;
 
     if (jsonRefCount == jsonRefTotal) {
+        for (const grammar of pendingUserGrammars) {
+            // Failed to load if there is no json
+            if (grammar.json) {
+                spirv.mergeGrammar(grammar.file, grammar.json, grammar.name);
+            }
+        }
+        pendingUserGrammars = [];
         spirv.JsonIsReady = true;
-
-        if (TEST_SUITE == true) {
-            // Kick off test suite
-            runTestSuite();
-        } else if (DEBUG == true) {
-            // Debug flow to preload a spirv binary
-            console.log('DEBUG MODE --- ON');
-            var xhr = new XMLHttpRequest();
-            xhr.open('GET', DEBUG_FILE, true);
-            xhr.responseType = 'arraybuffer';
-            xhr.onload = function(e) {
-                // simulate HTML dom change
-                var filename = this.responseURL.replace(/^.*[\\\/]/, '');
-                fileSelected(this.response, filename);
-            };
-            xhr.send();
-        } else {
-            // Prompt user to select file
-            document.getElementById('preLoad').style.display = 'none';
-            document.getElementById('filePrompt').style.visibility = 'visible';
-            document.getElementById('spirvVersion').innerText = spirv.Version;
+        if (spirv.onReady) {
+            spirv.onReady();
         }
     }
 }
 
-// TODO When internal SPIR-V spec issue #611 is resolved should not need this
-const ExtInstTypeGlslStd450 = 0;
-const ExtInstTypeOpenCLStd = 1;
-const ExtInstTypeNonSemanitcDebugPrintf = 2;
-const ExtInstTypeNonSemanitcClspvReflection = 3;
-const ExtInstTypeNonSemanitcDebugInfo = 4;
-const ExtInstTypeDebugInfo = 5;
-const ExtInstTypeOpenCLDebug100 = 6;
-// TODO - add VkspReflection
+// Import names with special handling
+const ExtInstSetNonSemanticDebugInfo = 'NonSemantic.Shader.DebugInfo.100';
+const ExtInstSetNonSemanticClspvReflection = 'NonSemantic.ClspvReflection';
 
-// Call at OpExtInstImport to save mapping, retrieve with getExtInstructions/getExtOperands
-spirv.setResultToExtImportMap = function(extendedName, resultId) {
-    if (extendedName.includes("GLSL.std.450")) {
-        spirv.ResultToExtImport.set(resultId, ExtInstTypeGlslStd450);
-    } else if (extendedName.includes("OpenCL.std")) {
-        spirv.ResultToExtImport.set(resultId, ExtInstTypeOpenCLStd);
-    } else if (extendedName.includes("NonSemantic.DebugPrintf")) {
-        spirv.ResultToExtImport.set(resultId, ExtInstTypeNonSemanitcDebugPrintf);
-    } else if (extendedName.includes("NonSemantic.ClspvReflection")) {
-        spirv.ResultToExtImport.set(resultId, ExtInstTypeNonSemanitcClspvReflection);
-    } else if (extendedName.includes("NonSemantic.Shader.DebugInfo")) {
-        spirv.ResultToExtImport.set(resultId, ExtInstTypeNonSemanitcDebugInfo);
-    } else if (extendedName.includes("DebugInfo")) {
-        spirv.ResultToExtImport.set(resultId, ExtInstTypeDebugInfo);
-    } else if (extendedName.includes("OpenCL.DebugInfo.100")) {
-        spirv.ResultToExtImport.set(resultId, ExtInstTypeOpenCLDebug100);
-    } else {
-        console.log('Warning: Full support for ' + extendedName + ' has not been added. Good chance things might break.');
+// Finds which grammar an OpExtInstImport name is for
+// Some sets have their version at the end of the name (ex. 'NonSemantic.ClspvReflection.6') that the grammar is not under
+// @return the name the grammar is under, undefined if there is no grammar for it
+spirv.getExtInstSetName = function(importName) {
+    if (spirv.ExtInstructions.has(importName)) {
+        return importName;
     }
+    const versionless = importName.replace(/\.[0-9]+$/, '');
+    if (spirv.ExtInstructions.has(versionless)) {
+        return versionless;
+    }
+    // User grammar files only have the lower case name from their file name (see getUserGrammarName())
+    for (const setName of spirv.ExtInstructions.keys()) {
+        const lowerName = setName.toLowerCase();
+        if (lowerName == importName.toLowerCase() || lowerName == versionless.toLowerCase()) {
+            return setName;
+        }
+    }
+    return undefined;
+}
+
+// Call at OpExtInstImport to save mapping, retrieve with getExtInstructions/getExtOperands
+// Sets without a grammar keep the import name, their instructions are decoded with the remaining words as ids
+// @param extImports Optional, a map owned by the caller to use instead of spirv.ResultToExtImport
+spirv.setResultToExtImportMap = function(importName, resultId, extImports) {
+    (extImports || spirv.ResultToExtImport).set(resultId, spirv.getExtInstSetName(importName) || importName);
 }
-spirv.getExtInstructions = function(setId) {
-    const id = spirv.ResultToExtImport.get(setId);
-    return spirv.ExtInstructions.get(id);
+
+// @param extImports Optional, same as setResultToExtImportMap()
+// @return Map of ext opcode to the grammar of the instruction, undefined if the set has no grammar
+spirv.getExtInstructions = function(setId, extImports) {
+    return spirv.ExtInstructions.get((extImports || spirv.ResultToExtImport).get(setId));
 }
 
+// @return Map of kind to the grammar of the operand kind, undefined if the set has no grammar
 spirv.getExtOperands = function(setId) {
-    const id = spirv.ResultToExtImport.get(setId);
-    return spirv.ExtOperands.get(id);
+    return spirv.ExtOperands.get(spirv.ResultToExtImport.get(setId));
+}
+
+// NonSemantic.* sets can only have ids as operands (SPV_KHR_non_semantic_info)
+// @param extImports Optional, same as setResultToExtImportMap()
+spirv.isNonSemanticExtImport = function(setId, extImports) {
+    const setName = (extImports || spirv.ResultToExtImport).get(setId);
+    return setName != undefined && setName.startsWith('NonSemantic.');
 }
 
 spirv.getNonSemanticType = function(setId) {
-    const id = spirv.ResultToExtImport.get(setId);
-    if (id == ExtInstTypeNonSemanitcDebugInfo) {
-        return ExtInstTypeNonSemanitcDebugInfo;
-    } else if (id == ExtInstTypeNonSemanitcClspvReflection) {
-        return ExtInstTypeNonSemanitcClspvReflection;
-    } else {
-        return undefined;
+    const setName = spirv.ResultToExtImport.get(setId);
+    if (setName == ExtInstSetNonSemanticDebugInfo || setName == ExtInstSetNonSemanticClspvReflection) {
+        return setName;
     }
+    return undefined;
 }
 
 function loadSpirvJson() {
     // C Header equivalent
-    $.getJSON(spirv.GrammarPath + 'spirv.json', function(json) {
+    spirv.getJson(spirv.GrammarPath + 'spirv.json', function(json) {
         spirv.Meta = json.spv.meta;
         for (let i = 0; i < json.spv.enum.length; i++) {
             spirv.Enums[json.spv.enum[i].Name] = json.spv.enum[i].Values;
@@ -160,28 +182,11 @@ function loadSpirvJson() {
 }
 
 function loadCoreGrammar() {
-    $.getJSON(spirv.GrammarPath + 'spirv.core.grammar.json', function(json) {
+    spirv.getJson(spirv.GrammarPath + 'spirv.core.grammar.json', function(json) {
         spirv.Version = json.major_version + "." + json.minor_version + "." + json.revision;
         // put in map as need faster way to lookup then search large array each time
         for (let i = 0; i < json.instructions.length; i++) {
-            const opcode = json.instructions[i].opcode;
-            spirv.NameToOpcode.set(json.instructions[i].opname, opcode)
-            spirv.Instructions.set(opcode, json.instructions[i]);
-
-            if (json.instructions[i].operands) {
-                // IdResultType is always first operand listed
-                if (json.instructions[i].operands[0].kind == "IdResultType") {
-                    spirv.OpcodesWithResultType.push(opcode);
-                }
-
-                // IdResult is always first or second operand listed
-                const checkOperands = Math.min(json.instructions[i].operands.length, 2);
-                for (let j = 0; j < checkOperands; j++) {
-                    if (json.instructions[i].operands[j].kind == "IdResult") {
-                        spirv.OpcodesWithResult.push(opcode);
-                    }
-                }
-            }
+            addCoreInstruction(json.instructions[i]);
         }
 
         for (let i = 0; i < json.operand_kinds.length; i++) {
@@ -191,86 +196,154 @@ function loadCoreGrammar() {
     });
 }
 
-// Extended Instruction sets
-function loadExtInstImport() {
-    $.getJSON(spirv.GrammarPath + 'extinst.glsl.std.450.grammar.json', function(json) {
-        spirv.ExtInstructions.set(ExtInstTypeGlslStd450, new Map());
-        for (let i = 0; i < json.instructions.length; i++) {
-            spirv.ExtInstructions.get(ExtInstTypeGlslStd450).set(json.instructions[i].opcode, json.instructions[i]);
-        }
-        spirvJsonLoaded();
-    });
+function addCoreInstruction(instruction) {
+    const opcode = instruction.opcode;
+    spirv.NameToOpcode.set(instruction.opname, opcode)
+    spirv.Instructions.set(opcode, instruction);
 
-    $.getJSON(spirv.GrammarPath + 'extinst.opencl.std.100.grammar.json', function(json) {
-        spirv.ExtInstructions.set(ExtInstTypeOpenCLStd, new Map());
-        for (let i = 0; i < json.instructions.length; i++) {
-            spirv.ExtInstructions.get(ExtInstTypeOpenCLStd).set(json.instructions[i].opcode, json.instructions[i]);
+    if (instruction.operands) {
+        // IdResultType is always first operand listed
+        if (instruction.operands[0].kind == "IdResultType") {
+            spirv.OpcodesWithResultType.push(opcode);
         }
-        spirvJsonLoaded();
-    });
 
-    $.getJSON(spirv.GrammarPath + 'extinst.nonsemantic.debugprintf.grammar.json', function(json) {
-        spirv.ExtInstructions.set(ExtInstTypeNonSemanitcDebugPrintf, new Map());
-        for (let i = 0; i < json.instructions.length; i++) {
-            spirv.ExtInstructions.get(ExtInstTypeNonSemanitcDebugPrintf).set(json.instructions[i].opcode, json.instructions[i]);
+        // IdResult is always first or second operand listed
+        const checkOperands = Math.min(instruction.operands.length, 2);
+        for (let j = 0; j < checkOperands; j++) {
+            if (instruction.operands[j].kind == "IdResult") {
+                spirv.OpcodesWithResult.push(opcode);
+            }
         }
-        spirvJsonLoaded();
-    });
+    }
+}
 
-    $.getJSON(spirv.GrammarPath + 'extinst.nonsemantic.clspvreflection.grammar.json', function(json) {
-        spirv.ExtInstructions.set(ExtInstTypeNonSemanitcClspvReflection, new Map());
-        for (let i = 0; i < json.instructions.length; i++) {
-            spirv.ExtInstructions.get(ExtInstTypeNonSemanitcClspvReflection).set(json.instructions[i].opcode, json.instructions[i]);
+// Extended Instruction sets, every grammar file in the manifest
+function loadExtInstImport() {
+    spirv.getJson(spirv.ManifestPath, function(manifest) {
+        jsonRefTotal += manifest.extinst.length;
+        for (const grammar of manifest.extinst) {
+            loadExtInstGrammar(grammar.file, grammar.name);
         }
         spirvJsonLoaded();
+    }, function() {
+        // Modules can still be decoded with the core grammar, every set is treated the same as one without a grammar
+        console.warn('Warning: Failed to load ' + spirv.ManifestPath + ', no extended instruction set grammars are loaded');
+        spirvJsonLoaded();
     });
+}
 
-    $.getJSON(spirv.GrammarPath + 'extinst.nonsemantic.shader.debuginfo.100.grammar.json', function(json) {
-        spirv.ExtInstructions.set(ExtInstTypeNonSemanitcDebugInfo, new Map());
-        for (let i = 0; i < json.instructions.length; i++) {
-            spirv.ExtInstructions.get(ExtInstTypeNonSemanitcDebugInfo).set(json.instructions[i].opcode, json.instructions[i]);
-        }
-
-        spirv.ExtOperands.set(ExtInstTypeNonSemanitcDebugInfo, new Map());
-        for (let i = 0; i < json.operand_kinds.length; i++) {
-            spirv.ExtOperands.get(ExtInstTypeNonSemanitcDebugInfo).set(json.operand_kinds[i].kind, json.operand_kinds[i]);
-        }
+// @param file Grammar file name (ex. 'extinst.glsl.std.450.grammar.json')
+// @param name Name used in OpExtInstImport to import the set (ex. 'GLSL.std.450')
+function loadExtInstGrammar(file, name) {
+    spirv.getJson(spirv.GrammarPath + file, function(json) {
+        spirv.ExtInstructions.set(name, new Map());
+        spirv.ExtOperands.set(name, new Map());
+        addExtInstGrammar(json, name);
+        spirvJsonLoaded();
+    }, function() {
+        // The manifest can be newer than the grammar files, the set is treated the same as one without a grammar
+        console.warn('Warning: Failed to load ' + file + ' for ' + name);
         spirvJsonLoaded();
     });
+}
 
-    $.getJSON(spirv.GrammarPath + 'extinst.debuginfo.grammar.json', function(json) {
-        spirv.ExtInstructions.set(ExtInstTypeDebugInfo, new Map());
-        for (let i = 0; i < json.instructions.length; i++) {
-            spirv.ExtInstructions.get(ExtInstTypeDebugInfo).set(json.instructions[i].opcode, json.instructions[i]);
-        }
+// Adds to the set already loaded, an instruction or operand kind already in it is replaced
+// @param name Name used in OpExtInstImport to import the set
+function addExtInstGrammar(json, name) {
+    for (let i = 0; i < json.instructions.length; i++) {
+        spirv.ExtInstructions.get(name).set(json.instructions[i].opcode, json.instructions[i]);
+    }
+    const operandKinds = json.operand_kinds || [];
+    for (let i = 0; i < operandKinds.length; i++) {
+        spirv.ExtOperands.get(name).set(operandKinds[i].kind, operandKinds[i]);
+    }
+}
 
-        spirv.ExtOperands.set(ExtInstTypeDebugInfo, new Map());
-        for (let i = 0; i < json.operand_kinds.length; i++) {
-            spirv.ExtOperands.get(ExtInstTypeDebugInfo).set(json.operand_kinds[i].kind, json.operand_kinds[i]);
+// An operand kind already in the grammar keeps its enumerants, the patch adds to them or replaces ones of the same name
+// @param operands spirv.Operands or the ExtOperands of a set
+function mergeOperandKinds(operands, operandKinds) {
+    for (let i = 0; i < operandKinds.length; i++) {
+        const operandKind = operandKinds[i];
+        const current = operands.get(operandKind.kind);
+        if (current && current.enumerants && operandKind.enumerants) {
+            const patched = new Set(operandKind.enumerants.map(enumerant => enumerant.enumerant));
+            const enumerants = current.enumerants.filter(enumerant => !patched.has(enumerant.enumerant));
+            operands.set(operandKind.kind, Object.assign({}, current, {'enumerants': enumerants.concat(operandKind.enumerants)}));
+        } else {
+            operands.set(operandKind.kind, operandKind);
         }
-        spirvJsonLoaded();
-    });
+    }
+}
 
-    $.getJSON(spirv.GrammarPath + 'extinst.opencl.debuginfo.100.grammar.json', function(json) {
-        spirv.ExtInstructions.set(ExtInstTypeOpenCLDebug100, new Map());
-        for (let i = 0; i < json.instructions.length; i++) {
-            spirv.ExtInstructions.get(ExtInstTypeOpenCLDebug100).set(json.instructions[i].opcode, json.instructions[i]);
+// Merges a grammar file into the one loaded, so in-house extensions don't need a fork of SPIRV-Headers
+// Call before decoding or assembling a module with it, modules already decoded are not changed
+// @param file Name of the file, for knowing where it came from
+// @param json Same layout as a grammar file from SPIRV-Headers, a core grammar patch only needs what it adds
+// @param name Import name if it is an extended instruction set grammar, undefined if it patches the core grammar
+spirv.mergeGrammar = function(file, json, name) {
+    assert(Array.isArray(json.instructions) || Array.isArray(json.operand_kinds),
+        file + ' has no "instructions" or "operand_kinds" to merge into the grammar');
+    if (name) {
+        // The name from a file name is lower case, so it has to be matched to the set already loaded
+        const setName = spirv.getExtInstSetName(name) || name;
+        if (!spirv.ExtInstructions.has(setName)) {
+            spirv.ExtInstructions.set(setName, new Map());
+            spirv.ExtOperands.set(setName, new Map());
         }
-
-        spirv.ExtOperands.set(ExtInstTypeOpenCLDebug100, new Map());
-        for (let i = 0; i < json.operand_kinds.length; i++) {
-            spirv.ExtOperands.get(ExtInstTypeOpenCLDebug100).set(json.operand_kinds[i].kind, json.operand_kinds[i]);
+        addExtInstGrammar({'instructions': json.instructions || []}, setName);
+        mergeOperandKinds(spirv.ExtOperands.get(setName), json.operand_kinds || []);
+    } else {
+        const instructions = json.instructions || [];
+        for (let i = 0; i < instructions.length; i++) {
+            const opcode = instructions[i].opcode;
+            // The patch can change if an existing instruction has a result
+            spirv.OpcodesWithResultType = spirv.OpcodesWithResultType.filter(value => value != opcode);
+            spirv.OpcodesWithResult = spirv.OpcodesWithResult.filter(value => value != opcode);
+            addCoreInstruction(instructions[i]);
+            spirv.OpcodeToName[opcode] = instructions[i].opname;
+            spirv.Enums.Op[instructions[i].opname] = opcode;
         }
-        spirvJsonLoaded();
-    });
+        mergeOperandKinds(spirv.Operands, json.operand_kinds || []);
+    }
+    spirv.UserGrammars.push({'file': file, 'name': name, 'json': json});
+}
+
+// Extended instruction set grammar files are named 'extinst.<import name>.grammar.json' (in lower case)
+// @param file Name of the grammar file
+// @return The import name it is for, undefined if it is any other file which is taken as a core grammar patch
+spirv.getUserGrammarName = function(file) {
+    const match = file.replace(/^.*[\\\/]/, '').match(/^extinst\.(.*)\.grammar\.json$/i);
+    return match ? match[1] : undefined;
 }
 
 // Init into Loading SPIR-V grammar files
-function loadSpirv(spirvHeaderPath) {
+// @param spirvHeaderPath Directory with the grammar files
+// @param manifestPath Optional, defaults to the manifest made from the SPIRV-Headers submodule
+// @param grammarName Optional, name of the grammar snapshot
+// @param userGrammars Optional, [ { file, name, json } ] merged once the grammar is loaded, in order (see mergeGrammar())
+//        file is loaded relative to the page if there is no json, name is from the file name if not given
+function loadSpirv(spirvHeaderPath, manifestPath, grammarName, userGrammars) {
     spirv.GrammarPath = spirvHeaderPath;
+    spirv.GrammarName = grammarName || '';
+    spirv.ManifestPath = manifestPath || 'grammar/extinst.manifest.json';
+    pendingUserGrammars =
+        (userGrammars || []).map(grammar => Object.assign({'name': spirv.getUserGrammarName(grammar.file)}, grammar));
+    // Counted before any are loaded, as getJson() can call back right away
+    const userGrammarsToLoad = pendingUserGrammars.filter(grammar => !grammar.json);
+    jsonRefTotal += userGrammarsToLoad.length;
+
     loadSpirvJson();
     loadCoreGrammar();
     loadExtInstImport();
+    for (const grammar of userGrammarsToLoad) {
+        spirv.getJson(grammar.file, function(json) {
+            grammar.json = json;
+            spirvJsonLoaded();
+        }, function() {
+            console.warn('Warning: Failed to load user grammar ' + grammar.file);
+            spirvJsonLoaded();
+        });
+    }
 }
 
 // @param header Uint32Array with 5 elements in it
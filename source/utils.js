@@ -15,7 +15,10 @@
 
 function assert(statement, message) {
     if (statement == undefined || statement == false) {
-        alert('Oh no, something went wrong: ' + message);
+        // alert() is not around when running outside the page (Web Worker or NodeJS)
+        if (typeof alert === 'function') {
+            alert('Oh no, something went wrong: ' + message);
+        }
         throw new Error(message);
     }
 }
@@ -32,6 +35,16 @@ function mapValueToEnumKey(enumObject, valueToFine) {
     return 'VALUE_NOT_FOUND';
 }
 
+// Reverses the 4 bytes of a 32-bit word, ex. 0x07230203 -> 0x03022307
+function byteSwap32(word) {
+    return (((word & 0xFF) << 24) | ((word & 0xFF00) << 8) | ((word >>> 8) & 0xFF00) | (word >>> 24)) >>> 0;
+}
+
+// Text from the user (ex. the text input) can't be put in innerHTML as is
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 // input example: "rgb(0, 191, 255)"
 // returns black or white
 function invertedTextColor(rgaText) {
@@ -47,41 +60,106 @@ function invertedTextColor(rgaText) {
     return (r * 0.299 + g * 0.587 + b * 0.114) > 176 ? '#000000' : '#FFFFFF';
 }
 
-// IEEE binary string to float
-function parseFloatString(value) {
-    // edge case not handled below
-    if (parseInt(value, 2) == 0) {
-        return '0.0';
+// Layout of each floating point type, keyed by the OpTypeFloat width or FPEncoding operand
+// 'ieee' is false for encodings where the max exponent is still a number and only all ones is NaN (no Inf)
+const floatFormats = {
+    '16': {'exponent': 5, 'mantissa': 10, 'ieee': true},
+    '32': {'exponent': 8, 'mantissa': 23, 'ieee': true},
+    '64': {'exponent': 11, 'mantissa': 52, 'ieee': true},
+    'BFloat16KHR': {'exponent': 8, 'mantissa': 7, 'ieee': true},
+    'Float8E4M3EXT': {'exponent': 4, 'mantissa': 3, 'ieee': false},
+    'Float8E5M2EXT': {'exponent': 5, 'mantissa': 2, 'ieee': true},
+};
+
+// @param width OpTypeFloat width
+// @param encoding Optional FPEncoding operand name
+// @return entry in floatFormats, undefined if not known
+function getFloatFormat(width, encoding) {
+    const format = floatFormats[(encoding == undefined) ? width : encoding];
+    return (format && 1 + format.exponent + format.mantissa == width) ? format : undefined;
+}
+
+// Binary string of a float to text
+// Inf and NaN are written as hex floats, same as spirv-dis, so the NaN payload isn't lost
+// ex. "0x1p+128" (Inf) or "-0x1.8p+128" (NaN)
+// @param value binary string of all the bits, ex. "00111111100000000000000000000000"
+// @param encoding Optional FPEncoding operand name, otherwise decided by the length of value
+function parseFloatString(value, encoding) {
+    const format = getFloatFormat(value.length, encoding);
+    assert(format != undefined, 'Unsupported ' + value.length + ' bit float ' + (encoding || ''));
+
+    const signText = (value[0] == '0') ? '' : '-';
+    const bias = Math.pow(2, format.exponent - 1) - 1;
+    const exponentBits = value.substring(1, 1 + format.exponent);
+    const mantissaBits = value.substring(1 + format.exponent);
+    const exponent = parseInt(exponentBits, 2);
+    const mantissa = parseInt(mantissaBits, 2);
+
+    const maxExponent = !exponentBits.includes('0');
+    if (format.ieee ? maxExponent : (maxExponent && !mantissaBits.includes('0'))) {
+        // Mantissa is lined up on a hex digit
+        let hexMantissa = parseInt(mantissaBits.padEnd(Math.ceil(format.mantissa / 4) * 4, '0'), 2)
+                              .toString(16)
+                              .padStart(Math.ceil(format.mantissa / 4), '0')
+                              .replace(/0+$/, '');
+        hexMantissa = (hexMantissa.length == 0) ? '' : '.' + hexMantissa;
+        return signText + '0x1' + hexMantissa + 'p+' + (bias + 1);
     }
 
-    // index where exp and mantissa split for
-    let index;
-    let expDiff;
-    let size = value.length;
-    if (size == 32) {
-        index = 9;
-        expDiff = 127;
-    } else if (size == 64) {
-        index = 12;
-        expDiff = 1023;
+    // Denormals have no implicit leading 1 and use the smallest exponent
+    const significand = (exponent == 0) ? mantissa : mantissa + Math.pow(2, format.mantissa);
+    const result = significand * Math.pow(2, Math.max(exponent, 1) - bias - format.mantissa);
+    if (parseInt(result) == result) {
+        return signText + result + '.0';
     } else {
-        assert(false, 'Only 32 and 64 bit size floats supported')
+        return signText + result;
     }
+}
 
-    let sign = (value[0] == '0') ? 1 : -1;
-    let exp = parseInt(value.substring(1, index), 2) - expDiff;
-    let mantissa = '1' + value.substring(index, size);
+// Rounds a number to the nearest value of a float format (ties to even)
+// @param value Number to encode, can be Infinity or NaN
+// @param format entry in floatFormats
+// @return the bits of the float, can't be used for 64 bit as it doesn't fit in a Number
+function encodeFloat(value, format) {
+    const bias = Math.pow(2, format.exponent - 1) - 1;
+    const maxExponent = Math.pow(2, format.exponent) - 1;
+    const implicitBit = Math.pow(2, format.mantissa);
+    const sign = (value < 0 || Object.is(value, -0)) ? Math.pow(2, format.exponent + format.mantissa) : 0;
+    const nan = sign + (maxExponent * implicitBit) + (format.ieee ? implicitBit / 2 : implicitBit - 1);
+    const inf = format.ieee ? sign + (maxExponent * implicitBit) : nan;
+    value = Math.abs(value);
+    if (isNaN(value)) {
+        return nan;
+    } else if (value == 0) {
+        return sign;
+    } else if (value == Infinity) {
+        return inf;
+    }
 
-    let float = 0;
-    for (let i = 0; i < mantissa.length; i++) {
-        float += parseInt(mantissa[i]) ? Math.pow(2, exp) : 0;
-        exp--;
+    // Math.log2 can be off by one near a power of 2
+    let exponent = Math.max(Math.floor(Math.log2(value)), 1 - bias);
+    if (exponent > 1 - bias && Math.pow(2, exponent) > value) {
+        exponent--;
+    } else if (Math.pow(2, exponent + 1) <= value) {
+        exponent++;
     }
 
-    let result = float * sign;
-    if (parseInt(result) == result) {
-        return '' + result + '.0';
-    } else {
-        return '' + result;
+    const scaled = value * Math.pow(2, format.mantissa - exponent);
+    let significand = Math.floor(scaled);
+    const remainder = scaled - significand;
+    if (remainder > 0.5 || (remainder == 0.5 && significand % 2 == 1)) {
+        significand++;
+    }
+    if (significand == implicitBit * 2) {
+        significand = implicitBit;
+        exponent++;
+    }
+
+    // Denormals are left without the implicit bit set
+    const exponentField = (significand >= implicitBit) ? exponent + bias : 0;
+    const bits = sign + (exponentField * implicitBit) + (significand % implicitBit);
+    if (format.ieee ? exponentField >= maxExponent : (exponentField > maxExponent || bits - sign >= nan - sign)) {
+        return inf;
     }
+    return bits;
 }
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Copyright (c) 2021-2023 The Khronos Group Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+//
+// Web Worker that runs parseModule() off the main thread
+//
+// Messages received
+//     { type: 'init', grammarPath, manifestPath, userGrammars }  - load the SPIR-V grammar files from grammarPath
+//                                                                  and merge the user grammars into it
+//     { type: 'parse', binary }      - decode the ArrayBuffer
+// Messages sent back
+//     { type: 'progress', instructions, words, totalWords }
+//     { type: 'done', ir }
+//     { type: 'error', message, grammar }  - grammar is true if the grammar files failed to load
+//
+
+importScripts('utils.js', 'spirv.js', 'requirements.js', 'parser.js');
+
+// No jQuery in a worker
+spirv.getJson = function(url, callback, onError) {
+    fetch(url).then(function(response) {
+        // A missing file is not a rejection, only a status
+        if (!response.ok) {
+            throw new Error(response.statusText);
+        }
+        return response.json();
+    }).then(callback).catch(function() {
+        if (onError) {
+            onError();
+        } else {
+            postMessage({'type': 'error', 'message': 'Failed to load SPIR-V grammar file ' + url, 'grammar': true});
+        }
+    });
+};
+
+// Binary waiting on the grammar files to finish loading
+var pendingBinary = undefined;
+
+function parseInWorker(binary) {
+    try {
+        const ir = parseModule(binary, function(instructionCount, wordCount, totalWords) {
+            postMessage({'type': 'progress', 'instructions': instructionCount, 'words': wordCount, 'totalWords': totalWords});
+        });
+        postMessage({'type': 'done', 'ir': ir});
+    } catch (error) {
+        postMessage({'type': 'error', 'message': error.message});
+    }
+}
+
+spirv.onReady = function() {
+    if (pendingBinary) {
+        parseInWorker(pendingBinary);
+        pendingBinary = undefined;
+    }
+};
+
+self.onmessage = function(event) {
+    const message = event.data;
+    if (message.type == 'init') {
+        loadSpirv(message.grammarPath, message.manifestPath, undefined, message.userGrammars);
+    } else if (message.type == 'parse') {
+        if (spirv.JsonIsReady) {
+            parseInWorker(message.binary);
+        } else {
+            pendingBinary = message.binary;
+        }
+    }
+};
@@ -0,0 +1,157 @@
+// Copyright (c) 2023 The Khronos Group Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict';
+
+// node tests/cliTests.js [--grammar <path>]
+//
+// Runs source/cli.js the same way a CI job would and checks what it prints, the exit code and the files it writes.
+// --grammar is passed on to the command line tool, by default it uses the SPIRV-Headers submodule
+const test = require('node:test');
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cliPath = path.join(__dirname, '..', 'source', 'cli.js');
+const grammarIndex = process.argv.indexOf('--grammar');
+const grammarArgs = (grammarIndex == -1) ? [] : ['--grammar', process.argv[grammarIndex + 1]];
+
+const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'spirv-visualizer-cli-'));
+test.after(function() {
+    fs.rmSync(outputPath, {'recursive': true});
+});
+
+// @return { status, stdout, stderr } of the command line tool
+function runCli(args) {
+    return childProcess.spawnSync(process.execPath, [cliPath, ...grammarArgs, ...args], {'encoding': 'utf8'});
+}
+
+// Null terminated and padded to a whole word, as in the binary
+function encodeString(text) {
+    const bytes = Buffer.from(text + '\0', 'utf8');
+    const padded = Buffer.alloc(Math.ceil(bytes.length / 4) * 4);
+    bytes.copy(padded);
+    return Array.from({'length': padded.length / 4}, (_, i) => padded.readUInt32LE(i * 4));
+}
+
+// Made word by word, so the module doesn't come from the assembler the tool uses
+// @param instructions [ [ opcode, ...operands ] ], string operands are encoded as literal strings
+// @return path of the .spv file written
+function writeModule(name, instructions, bound) {
+    var words = [0x07230203, 0x00010000, 0, bound, 0];
+    for (const [opcode, ...operands] of instructions) {
+        const operandWords = operands.flatMap(operand => (typeof operand == 'string') ? encodeString(operand) : [operand]);
+        words.push(((operandWords.length + 1) << 16) | opcode, ...operandWords);
+    }
+    const file = path.join(outputPath, name);
+    fs.writeFileSync(file, Buffer.from(new Uint32Array(words).buffer));
+    return file;
+}
+
+const moduleFile = writeModule('vector.spv', [
+    [17, 1],  // OpCapability Shader
+    [14, 0, 1],  // OpMemoryModel Logical GLSL450
+    [5, 2, 'count'],  // OpName
+    [21, 1, 32, 0],  // OpTypeInt
+    [43, 1, 2, 7],  // OpConstant
+    [23, 3, 1, 2],  // OpTypeVector
+    [44, 3, 4, 2, 2],  // OpConstantComposite
+], 5);
+
+// Without the header comments
+function instructionLines(stdout) {
+    return stdout.split('\n').filter(line => line != '' && !line.startsWith(';'));
+}
+
+test('disassembles to text', function() {
+    const result = runCli([moduleFile]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(result.stdout.startsWith('; SPIR-V\n; Version: 1.0\n'));
+    assert.deepStrictEqual(instructionLines(result.stdout), [
+        'OpCapability Shader',
+        'OpMemoryModel Logical GLSL450',
+        'OpName %2 "count"',
+        '%1 = OpTypeInt 32 0',
+        '%2 = OpConstant %1 7',
+        '%3 = OpTypeVector %1 2',
+        '%4 = OpConstantComposite %3 %2 %2',
+    ]);
+});
+
+test('--opnames and --insert-constants mirror the checkboxes', function() {
+    let result = runCli(['--opnames', moduleFile]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(instructionLines(result.stdout).pop(), '%4 = OpConstantComposite %3 %count %count');
+
+    result = runCli(['--insert-constants', moduleFile]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(instructionLines(result.stdout).pop(), '%4 = OpConstantComposite %3 %2 %2 ; %2 = 7');
+});
+
+test('-o writes the text to a file', function() {
+    const textFile = path.join(outputPath, 'vector.spvasm');
+    const result = runCli(['-o', textFile, moduleFile]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, '');
+    assert.strictEqual(fs.readFileSync(textFile, 'utf8'), runCli([moduleFile]).stdout);
+});
+
+test('--verify-roundtrip checks every file and fails if any differ', function() {
+    // 0 is not a valid id, the assembler gives %0 a number of its own
+    const zeroIdFile = writeModule('zero.spv', [[17, 1], [14, 0, 1], [5, 0, 'x']], 2);
+    const schemaFile = path.join(outputPath, 'schema.spv');
+    fs.writeFileSync(schemaFile, Buffer.from(new Uint32Array([0x07230203, 0x00010000, 0, 1, 5]).buffer));
+
+    let result = runCli(['--verify-roundtrip', moduleFile]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, moduleFile + ': Round trip matches the binary\n');
+
+    result = runCli(['--verify-roundtrip', moduleFile, zeroIdFile, schemaFile]);
+    assert.strictEqual(result.status, 1);
+    assert.deepStrictEqual(result.stdout.split('\n'), [
+        moduleFile + ': Round trip matches the binary',
+        zeroIdFile + ': Round trip differs at word 11 (instruction 2 OpName, IdRef), it is 0x00000000 but assembled to ' +
+            '0x00000001',
+        schemaFile + ': Only support schema 0 currently',
+        '1 of 3 files match',
+        '',
+    ]);
+});
+
+test('--requirements lists what the module needs', function() {
+    const result = runCli(['--requirements', moduleFile]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(result.stdout.split('\n').slice(0, 3), [
+        'SPIR-V: 1.0 (module is 1.0)',
+        'Capabilities: Shader',
+        'Extensions: none',
+    ]);
+});
+
+test('problems are errors with the usage', function() {
+    let result = runCli([]);
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stderr.startsWith('Error: No input file\nUsage: node source/cli.js'));
+
+    result = runCli(['--opnames', moduleFile, moduleFile]);
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stderr.startsWith('Error: Only a single file can be disassembled\n'));
+
+    const notSpirv = path.join(outputPath, 'notes.spv');
+    fs.writeFileSync(notSpirv, 'not a SPIR-V module!');
+    result = runCli([notSpirv]);
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(result.stderr, notSpirv + ": Magic Number doesn't match, are you sure this is a binary SPIR-V file?\n");
+});
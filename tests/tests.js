@@ -30,7 +30,8 @@ QUnit.test("Prevents 'no tests were run' false error", function(assert) {
 });
 
 QUnit.testDone( function( details ) {
-    if (details.module == "QUnit Setup") {
+    // Only the shader tests load more shaders once done
+    if (!details.module.startsWith("Shader Test Suite")) {
         return;
     }
     console.log('QUnit Test Done');
@@ -48,6 +49,8 @@ async function testFunction(assert) {
     for (let i = 0; i < blobs.length; i++) {
         var buffer = await blobs[i].blob.arrayBuffer();
         assert.true(parseBinaryStream(buffer), blobs[i].name);
+        const roundTrip = verifyRoundTrip(buffer, session.ir);
+        assert.true(roundTrip.match, blobs[i].name + ' ' + createRoundTripMessage(roundTrip));
     }
 }
 
@@ -101,6 +104,9 @@ function runTestSuite() {
     // Hide normal UI to prevent having to visually see
     document.getElementById("mainModuleContainer").style.visibility = "hidden";
 
+    // From tests/unitTests.js
+    runUnitTests();
+
     // Load each file from the tests.json folder
     // This should be running on localhost as there might be a lot of tests
     $.getJSON("tests/tests.json", function(json) {
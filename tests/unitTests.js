@@ -0,0 +1,2028 @@
+// Copyright (c) 2023 The Khronos Group Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//
+// QUnitJS unit tests of the decoder and assembler
+//
+// These need the grammar, so runTestSuite() adds them once it is loaded, before the shaders from tests.json
+//
+
+// Small module the tests build on, the %main function is last so instructions can be added at the end of it
+const unitTestModule = `OpCapability Shader
+OpMemoryModel Logical GLSL450
+OpEntryPoint GLCompute %main "main"
+OpExecutionMode %main LocalSize 1 1 1
+%void = OpTypeVoid
+%fn = OpTypeFunction %void
+%uint = OpTypeInt 32 0
+%uint_1 = OpConstant %uint 1
+%main = OpFunction %void None %fn
+%label = OpLabel
+OpReturn
+OpFunctionEnd
+`;
+
+// @return the binary, the assert fails if the text has any errors
+function assembleForTest(assert, text, version, options) {
+    const result = assembleModule(text, version, options);
+    assert.deepEqual(result.errors.map(error => error.message), [], "assembles without errors");
+    return result.binary;
+}
+
+// @return index of the first instruction with the opname in the binary, and where in the binary it starts
+function findInstructionForTest(binary, opname) {
+    const instructions = parseModule(binary.buffer).instructions;
+    const index = instructions.findIndex(instruction => instruction.opname == opname);
+    return {"index": index, "offset": instructions[index].moduleOffset};
+}
+
+// @return the literal words of each OpConstant in the binary
+function getConstantWordsForTest(binary) {
+    const instructions = parseModule(binary.buffer).instructions.filter(instruction => instruction.opname == "OpConstant");
+    return instructions.map(instruction => Array.from(binary.subarray(instruction.moduleOffset + 3,
+        instruction.moduleOffset + instruction.length)));
+}
+
+// @return the instructions of the module as text, without the header comments
+function disassembleForTest(binary) {
+    const text = disassembleModule(parseModule(binary.buffer));
+    return text.split("\n").filter(line => line != "" && !line.startsWith(";"));
+}
+
+function parseWorkerTests() {
+    // Pages opened from file:// are not allowed to start workers, so decode on the main thread instead
+    const workerTest = (location.protocol != "file:") ? QUnit.test : QUnit.skip;
+    var saved;
+    var workers;
+    QUnit.module("Unit Tests: decoding in a Web Worker", {
+        "beforeEach": function() {
+            saved = {
+                "Worker": window.Worker,
+                "alert": window.alert,
+                "parseWorker": parseWorker,
+                "parseWorkerGrammar": parseWorkerGrammar,
+            };
+            workers = [];
+            window.Worker = createStandInWorker;
+            // The next module decoded starts its own worker
+            parseWorker = undefined;
+            parseWorkerGrammar = undefined;
+        },
+        "afterEach": function() {
+            cancelParseWorker();
+            parseWorkerOnEnd = undefined;
+            removeParseProgress();
+            window.Worker = saved.Worker;
+            window.alert = saved.alert;
+            parseWorker = saved.parseWorker;
+            parseWorkerGrammar = saved.parseWorkerGrammar;
+        },
+    });
+
+    // Keeps the messages the page posts, the test answers in place of the worker with reply()
+    function createStandInWorker(script) {
+        const worker = {
+            "script": script,
+            "posted": [],
+            "terminated": false,
+            "postMessage": function(message) {
+                worker.posted.push(message);
+            },
+            "terminate": function() {
+                worker.terminated = true;
+            },
+            "reply": function(message) {
+                worker.onmessage({"data": message});
+            },
+        };
+        workers.push(worker);
+        return worker;
+    }
+
+    workerTest("The grammar is sent once and the worker is kept for the next module", function(assert) {
+        const binary = assembleForTest(assert, unitTestModule);
+        var ended = 0;
+        decodeInWorker(binary, () => ended++);
+        assert.equal(workers.length, 1);
+        const worker = workers[0];
+        assert.equal(worker.script, "source/worker.js");
+        assert.deepEqual(worker.posted.map(message => message.type), ["init", "parse"]);
+        assert.equal(worker.posted[0].grammarPath, new URL(spirv.GrammarPath, document.baseURI).href,
+            "paths are made absolute as the worker resolves them from its own script");
+        assert.deepEqual(new Uint32Array(worker.posted[1].binary), binary, "the binary is sent");
+        assert.notStrictEqual(worker.posted[1].binary, session.binary, "a copy is sent, the page keeps its own");
+
+        worker.reply({"type": "progress", "instructions": 5, "words": 20, "totalWords": 40});
+        assert.equal(document.getElementById("parseProgressText").textContent, "decoded 5 instructions (20 / 40 words, 50%)");
+        worker.reply({"type": "done", "ir": parseModule(binary.buffer)});
+        assert.equal(ended, 1);
+        assert.notOk(document.getElementById("parseProgress"), "the progress is removed");
+        assert.equal(session.ir.instructions.length, 12, "the module is shown");
+
+        decodeInWorker(binary, () => ended++);
+        assert.equal(workers.length, 1, "no new worker for the same grammar");
+        assert.deepEqual(worker.posted.map(message => message.type), ["init", "parse", "parse"]);
+    });
+
+    workerTest("A module that fails is reported and the next one still decodes", function(assert) {
+        var alerts = [];
+        window.alert = message => alerts.push(message);
+        var ended = 0;
+        decodeInWorker(new Uint32Array([1, 2, 3, 4, 5]), () => ended++);
+        workers[0].reply({"type": "error", "message": "Magic Number doesn't match"});
+        assert.deepEqual(alerts, ["Oh no, something went wrong: Magic Number doesn't match"]);
+        assert.equal(ended, 1, "the page goes on to the next module");
+        assert.false(workers[0].terminated, "the grammar is fine, so the worker is kept");
+
+        // Only the grammar failing to load needs a new worker
+        decodeInWorker(new Uint32Array([1, 2, 3, 4, 5]), () => ended++);
+        workers[0].reply({"type": "error", "message": "Failed to load SPIR-V grammar file spirv.json", "grammar": true});
+        assert.true(workers[0].terminated);
+        decodeInWorker(assembleForTest(assert, unitTestModule), () => ended++);
+        assert.equal(workers.length, 2);
+        assert.equal(workers[1].posted[0].type, "init");
+    });
+
+    workerTest("Cancelling stops the worker", function(assert) {
+        var ended = 0;
+        decodeInWorker(assembleForTest(assert, unitTestModule), () => ended++);
+        document.querySelector("#parseProgress button").click();
+        assert.true(workers[0].terminated, "there is no way to stop parseModule() in the middle");
+        assert.equal(document.getElementById("parseProgressText").textContent, "decoding cancelled");
+        assert.equal(ended, 1);
+        assert.false(parseWorkerDecoding);
+    });
+
+    const realWorkerTest = (typeof Worker !== "undefined" && location.protocol != "file:") ? QUnit.test : QUnit.skip;
+    realWorkerTest("The worker decodes the same as the page", function(assert) {
+        const done = assert.async();
+        const binary = assembleForTest(assert, unitTestModule);
+        const worker = new saved.Worker("source/worker.js");
+        worker.onmessage = function(event) {
+            const message = event.data;
+            if (message.type == "progress") {
+                return;
+            }
+            worker.terminate();
+            assert.equal(message.type, "done", message.message);
+            assert.deepEqual(message.ir.instructions, parseModule(binary.buffer).instructions);
+            done();
+        };
+        worker.postMessage({
+            "type": "init",
+            "grammarPath": new URL(spirv.GrammarPath, document.baseURI).href,
+            "manifestPath": new URL(spirv.ManifestPath, document.baseURI).href,
+            "userGrammars": spirv.UserGrammars,
+        });
+        worker.postMessage({"type": "parse", "binary": binary.buffer});
+    });
+
+    // @param words Uint32Array of the module
+    function decodeInWorker(words, onEnd) {
+        parseBinaryStreamInWorker(words.buffer, "worker.spv", onEnd);
+    }
+}
+
+function displayWindowTests() {
+    // The disassembly is hidden behind the text input until a module is loaded, and hidden rows have no height
+    var savedDisplay;
+    QUnit.module("Unit Tests: rendering the rows in view", {
+        "beforeEach": function() {
+            savedDisplay = displayDiv.style.display;
+            displayDiv.style.display = "inline-block";
+        },
+        "afterEach": function() {
+            displayDiv.style.display = savedDisplay;
+        },
+    });
+
+    // Far more rows than fit in the view, all in the types section before %main
+    const constants = Array.from({"length": 2000}, (_, i) => `%uint_${i + 2} = OpConstant %uint ${i + 2}\n`);
+    const manyRowsModule = unitTestModule.replace("%main = OpFunction", constants.join("") + "%main = OpFunction");
+
+    // @return index of the OpReturn at the end of the module
+    function loadManyRows(assert) {
+        parseBinaryStream(assembleForTest(assert, manyRowsModule).buffer, "rows.spv");
+        return session.ir.instructions.length - 2;
+    }
+
+    function renderedRows() {
+        return document.querySelectorAll("#displayWindow .displayRow").length;
+    }
+
+    QUnit.test("Only the rows around the view are in the DOM", function(assert) {
+        const lastReturn = loadManyRows(assert);
+        assert.true(renderedRows() > 0);
+        assert.true(renderedRows() < session.displayRows.length);
+        assert.notOk(document.getElementById("instruction_" + lastReturn), "the end of the module is not rendered");
+        assert.equal(document.getElementById("displayList").style.height,
+            (session.visibleRows.length * displayRowHeight) + "px", "the list is as tall as every row");
+    });
+
+    QUnit.test("Clicking a section header collapses it", function(assert) {
+        loadManyRows(assert);
+        const rowCount = session.visibleRows.length;
+        const header = () => document.querySelector('.label-toggle[data-section="preFunction-modeSetting"]');
+        header().click();
+        assert.true(session.collapsedSections.has("preFunction-modeSetting"));
+        assert.equal(session.visibleRows.length, rowCount - 4, "the 4 instructions are taken out, the header is left");
+        assert.true(header().classList.contains("collapsed"), "rendered again");
+        assert.notOk(document.getElementById("instruction_0"));
+
+        header().click();
+        assert.equal(session.visibleRows.length, rowCount);
+        assert.ok(document.getElementById("instruction_0"));
+    });
+
+    QUnit.test("Revealing an instruction expands its sections and renders it", function(assert) {
+        const lastReturn = loadManyRows(assert);
+        collapseAllSections();
+        const instructionDiv = revealInstruction(lastReturn);
+        assert.ok(instructionDiv, "in the DOM");
+        assert.equal(instructionDiv.id, "instruction_" + lastReturn);
+        const sections = session.displayRows[session.instructionToRow[lastReturn]].sections;
+        assert.equal(sections.length, 2, "the function and the block");
+        assert.false(sections.some(key => session.collapsedSections.has(key)), "both are expanded");
+        assert.true(session.collapsedSections.has("preFunction-types"), "the sections around it stay collapsed");
+        assert.true(displayDiv.scrollTop > 0, "scrolled down to it");
+    });
+}
+
+function bigEndianTests() {
+    QUnit.module("Unit Tests: big endian modules");
+
+    // Written with a DataView so the bytes don't come from the byteSwap32() being checked
+    function toBigEndian(words) {
+        const view = new DataView(new ArrayBuffer(words.length * 4));
+        words.forEach((word, i) => view.setUint32(i * 4, word, false));
+        return view.buffer;
+    }
+
+    QUnit.test("Words are byte swapped", function(assert) {
+        assert.equal(byteSwap32(spirv.Meta.MagicNumber), 0x03022307);
+        assert.equal(byteSwap32(0x000000ff), 0xff000000, "the result is unsigned");
+        assert.equal(byteSwap32(byteSwap32(0x12345678)), 0x12345678);
+    });
+
+    QUnit.test("Decoded the same as the little endian module", function(assert) {
+        const words = assembleForTest(assert, unitTestModule);
+        const bigEndian = toBigEndian(words);
+        const bytes = new Uint8Array(bigEndian).slice();
+        const ir = parseModule(bigEndian);
+        assert.equal(ir.header.endianness, "big");
+        assert.equal(ir.header.magic, spirv.Meta.MagicNumber, "the header is read after swapping");
+        assert.equal(ir.header.bound, words[3]);
+        assert.deepEqual(ir.instructions, parseModule(words.buffer).instructions);
+        assert.deepEqual(new Uint8Array(bigEndian), bytes, "the binary passed in is left as is");
+    });
+
+    QUnit.test("Taken as a binary and checked in the byte order of the file", function(assert) {
+        const bigEndian = toBigEndian(assembleForTest(assert, unitTestModule));
+        assert.false(isTextFile(bigEndian, "module.spvasm"), "even with the extension of a text file");
+        const result = verifyRoundTrip(bigEndian);
+        assert.true(result.match, createRoundTripMessage(result));
+    });
+
+    QUnit.test("The byte order is in the header line of the disassembly", function(assert) {
+        const words = assembleForTest(assert, unitTestModule);
+        parseBinaryStream(toBigEndian(words), "big.spv");
+        assert.equal(document.getElementById("module-info").textContent.split(" (")[0], "SPIR-V 1.0 Big Endian");
+        parseBinaryStream(words.buffer, "little.spv");
+        assert.equal(document.getElementById("module-info").textContent.split(" (")[0], "SPIR-V 1.0 Little Endian");
+    });
+}
+
+function reportTests() {
+    QUnit.module("Unit Tests: exported HTML report");
+
+    // Names and strings from the module end up in the inlined data, so try to end the <script> early with them
+    const scriptName = "</script><img src=x onerror=alert(1)>";
+    const namedModule = unitTestModule.replace("%void = OpTypeVoid", `OpName %main "${scriptName}"\n%void = OpTypeVoid`);
+
+    QUnit.test("Maps are kept in the data", function(assert) {
+        const ir = parseModule(assembleForTest(assert, namedModule).buffer);
+        const data = JSON.parse(JSON.stringify(createReportData(ir), reportReplacer), reportReviver);
+        assert.true(data.ir.resultToInstruction instanceof Map);
+        assert.deepEqual(Array.from(data.ir.resultToInstruction), Array.from(ir.resultToInstruction));
+        assert.deepEqual(Array.from(data.ir.blocks), Array.from(ir.blocks));
+        assert.equal(data.ir.opNames.get(1), scriptName);
+        assert.equal(data.opcodes.OpFunction, spirv.Enums.Op.OpFunction, "enough of the grammar to render");
+    });
+
+    QUnit.test("Inlined scripts and data can't end their element early", function(assert) {
+        const ir = parseModule(assembleForTest(assert, namedModule).buffer);
+        const sources = reportSources.map(function(source, i) {
+            return (i == 0) ? "body { color: black; }" : `var source${i} = "</SCRIPT><b>${source}</b>";`;
+        });
+        const html = createReportHtml(sources, createReportData(ir), "<b>shader</b>.spv");
+        const report = new DOMParser().parseFromString(html, "text/html");
+
+        assert.equal(report.title, "SPIR-V Visualizer - <b>shader</b>.spv");
+        assert.equal(report.querySelectorAll("b, img").length, 0, "nothing from the module or file name became an element");
+        const scripts = report.querySelectorAll("script");
+        assert.equal(scripts.length, sources.length + 1, "a script for the data, each source but the stylesheet and the start");
+        assert.equal(scripts[0].id, "reportData");
+        assert.equal(JSON.parse(scripts[0].textContent, reportReviver).ir.opNames.get(1), scriptName);
+        assert.equal(scripts[1].textContent.trim(), 'var source1 = "<\\/SCRIPT><b>lib/jquery-3.5.1.min.js</b>";');
+        assert.equal(scripts[scripts.length - 1].textContent, "loadReport();");
+    });
+}
+
+function compositeConstantTests() {
+    QUnit.module("Unit Tests: composite, null and sampler constants");
+
+    const constantsModule = `OpCapability Shader
+OpCapability Kernel
+OpCapability LiteralSampler
+OpCapability Float64
+OpMemoryModel Logical GLSL450
+%float = OpTypeFloat 32
+%double = OpTypeFloat 64
+%int = OpTypeInt 32 1
+%uint = OpTypeInt 32 0
+%bool = OpTypeBool
+%v4float = OpTypeVector %float 4
+%v2double = OpTypeVector %double 2
+%v2int = OpTypeVector %int 2
+%v2bool = OpTypeVector %bool 2
+%uint_3 = OpConstant %uint 3
+%arr = OpTypeArray %v2int %uint_3
+%struct = OpTypeStruct %float %int %v2bool
+%nullStruct = OpTypeStruct %v4float %arr %bool
+%ptr = OpTypePointer Function %float
+%sampler = OpTypeSampler
+%float_0 = OpConstant %float 0
+%float_1 = OpConstant %float 1
+%double_2 = OpConstant %double 2.5
+%int_n2 = OpConstant %int -2
+%true = OpConstantTrue %bool
+%false = OpConstantFalse %bool
+%spec = OpSpecConstant %int 7
+%undef = OpUndef %int
+%red = OpConstantComposite %v4float %float_1 %float_0 %float_0 %float_1
+%dv = OpConstantComposite %v2double %double_2 %double_2
+%iv = OpSpecConstantComposite %v2int %spec %int_n2
+%bv = OpConstantComposite %v2bool %true %false
+%undefv = OpConstantComposite %v2int %undef %int_n2
+%a = OpConstantComposite %arr %iv %undefv %iv
+%s = OpConstantComposite %struct %float_1 %int_n2 %bv
+%n = OpConstantNull %nullStruct
+%np = OpConstantNull %ptr
+%clamp = OpConstantSampler %sampler ClampToEdge 1 Linear
+%repeat = OpConstantSampler %sampler Repeat 0 Nearest
+`;
+
+    // The names are kept as OpName, so the constants can be looked up by them
+    function decodeConstants(assert, text) {
+        return parseModule(assembleForTest(assert, text, undefined, {"emitOpNames": true}).buffer);
+    }
+
+    function getId(ir, name) {
+        return Array.from(ir.opNames).find(([id, opName]) => opName == name)[0];
+    }
+
+    function getText(ir, name) {
+        return ir.constants.get(getId(ir, name));
+    }
+
+    QUnit.test("Vectors are named the GLSL way", function(assert) {
+        const ir = decodeConstants(assert, constantsModule);
+        assert.equal(getText(ir, "red"), "vec4(1.0, 0.0, 0.0, 1.0)");
+        assert.equal(getText(ir, "dv"), "dvec2(2.5, 2.5)");
+        assert.equal(getText(ir, "iv"), "ivec2(spec(7), -2)", "spec constants show they can change");
+        assert.equal(getText(ir, "bv"), "bvec2(True, False)");
+    });
+
+    QUnit.test("Arrays and structs are built from their constituents", function(assert) {
+        const ir = decodeConstants(assert, constantsModule);
+        const undef = "%" + getId(ir, "undef");
+        assert.equal(getText(ir, "undefv"), `ivec2(${undef}, -2)`, "constituents without a value are left as the id");
+        assert.equal(getText(ir, "a"), `{ivec2(spec(7), -2), ivec2(${undef}, -2), ivec2(spec(7), -2)}`);
+        assert.equal(getText(ir, "s"), "{1.0, -2, bvec2(True, False)}");
+    });
+
+    QUnit.test("Null is zero all the way down", function(assert) {
+        const ir = decodeConstants(assert, constantsModule);
+        assert.equal(getText(ir, "n"), "{vec4(0.0, 0.0, 0.0, 0.0), {ivec2(0, 0), ivec2(0, 0), ivec2(0, 0)}, False}");
+        assert.equal(getText(ir, "np"), "Null", "pointers have no value");
+    });
+
+    QUnit.test("Samplers show their addressing and filter mode", function(assert) {
+        const ir = decodeConstants(assert, constantsModule);
+        assert.equal(getText(ir, "clamp"), "sampler(ClampToEdge, Normalized, Linear)");
+        assert.equal(getText(ir, "repeat"), "sampler(Repeat, Unnormalized, Nearest)");
+    });
+
+    QUnit.test("Only the first constituents of long composites are shown", function(assert) {
+        const uints = Array.from({"length": 20}, (_, i) => `%u${i} = OpConstant %uint ${i}\n`).join("");
+        const ids = Array.from({"length": 20}, (_, i) => "%u" + i).join(" ");
+        const ir = decodeConstants(assert, `OpCapability Shader
+OpMemoryModel Logical GLSL450
+%uint = OpTypeInt 32 0
+%uint_20 = OpConstant %uint 20
+%arr = OpTypeArray %uint %uint_20
+${uints}%long = OpConstantComposite %arr ${ids}
+`);
+        const first16 = Array.from({"length": 16}, (_, i) => i).join(", ");
+        assert.equal(getText(ir, "long"), `{${first16}, ...}`);
+    });
+
+    // Only in grammars with SPV_INTEL_long_composites
+    const continuedTest = (spirv.Enums.Op.OpConstantCompositeContinuedINTEL != undefined) ? QUnit.test : QUnit.skip;
+    continuedTest("Continued constituents are added to the composite before", function(assert) {
+        const ir = decodeConstants(assert, `OpCapability Shader
+OpCapability LongCompositesINTEL
+OpExtension "SPV_INTEL_long_composites"
+OpMemoryModel Logical GLSL450
+%float = OpTypeFloat 32
+%v4float = OpTypeVector %float 4
+%float_0 = OpConstant %float 0
+%float_1 = OpConstant %float 1
+%split = OpConstantComposite %v4float %float_1 %float_0
+OpConstantCompositeContinuedINTEL %float_0 %float_1
+`);
+        assert.equal(getText(ir, "split"), "vec4(1.0, 0.0, 0.0, 1.0)");
+    });
+
+    QUnit.test("The value is shown in the DAG node, apart from the operands", function(assert) {
+        parseBinaryStream(assembleForTest(assert, constantsModule, undefined, {"emitOpNames": true}).buffer, "constants.spv");
+        const red = session.ir.resultToInstruction.get(getId(session.ir, "red"));
+        clearDagData();
+        fillDagData(red, []);
+        assert.equal(liveDagData[0].value, "vec4(1.0, 0.0, 0.0, 1.0)");
+        assert.equal(liveDagData[0].text.length, 6, "a line for the operation, the type and each constituent");
+
+        const float1 = session.ir.resultToInstruction.get(getId(session.ir, "float_1"));
+        fillDagData(float1, [red]);
+        assert.equal(liveDagData[1].value, undefined, "OpConstant already has the value as an operand");
+        clearDagDiv();
+    });
+}
+
+function assemblerErrorTests() {
+    // The errors are shown over the text input, which is put back after each test
+    var savedText;
+    QUnit.module("Unit Tests: assembler errors", {
+        "beforeEach": function() {
+            savedText = inputDiv.value;
+        },
+        "afterEach": function() {
+            // Back to the text input, same as "Clear All"
+            closeAllModuleTabs();
+            toggleDisassemblyInput(true);
+            inputDiv.value = savedText;
+        },
+    });
+
+    // A mistake on most lines, the comment after each is where it is reported
+    const mistakes = `OpCapability Shader
+OpCapability NotACapability         ; 2:14
+OpMemoryModel Logical GLSL450
+%void = OpTypeVoid
+%void = OpTypeBool                  ; 5:1
+%fn = OpTypeFunction %void
+%uint = OpTypeInt 32                ; 7:21 the end of the line
+%x = OpFrobnicate %uint             ; 8:6
+%main = OpFunction %void None %fn 7 ; 9:35
+%label = OpLabel
+OpBranch %missing                   ; 11:10
+OpFunctionEnd
+OpEntryPoint GLCompute main "main"  ; 13:24
+`;
+
+    QUnit.test("Each error has the line, column, token and kind expected", function(assert) {
+        const result = assembleModule(mistakes);
+        assert.deepEqual(result.errors.map(error => [error.line, error.column, error.token, error.expected, error.message]), [
+            [2, 14, "NotACapability", "Capability", "Unknown Capability NotACapability"],
+            [5, 1, "%void", "IdResult", "%void is already defined"],
+            [7, 21, "", "LiteralInteger", "Missing operand, OpTypeInt needs a LiteralInteger"],
+            [8, 6, "OpFrobnicate", "opcode", "Unknown opcode OpFrobnicate"],
+            [9, 35, "7", undefined, "Unexpected 7, OpFunction has no more operands"],
+            [11, 10, "%missing", "IdRef", "%missing is never defined"],
+            [13, 24, "main", "IdRef", "Expected an id, found main"],
+        ]);
+    });
+
+    QUnit.test("The errors are listed over the text input instead of loading it", function(assert) {
+        inputDiv.value = mistakes;
+        assert.false(assembleAndLoad(mistakes));
+        const errorsDiv = document.getElementById("assemblerErrors");
+        assert.false(errorsDiv.classList.contains("hide"));
+        assert.equal(errorsDiv.querySelector(".diagnosticsTitle").textContent, "7 problem(s) found in the text");
+        const links = errorsDiv.querySelectorAll(".diagnosticLink");
+        assert.deepEqual(Array.from(links, link => link.textContent), ["2:14", "5:1", "7:21", "8:6", "9:35", "11:10", "13:24"]);
+
+        const selected = () => inputDiv.value.substring(inputDiv.selectionStart, inputDiv.selectionEnd);
+        assert.equal(selected(), "NotACapability", "the first error is selected");
+        links[3].click();
+        assert.equal(selected(), "OpFrobnicate");
+
+        inputDiv.dispatchEvent(new Event("input"));
+        assert.true(errorsDiv.classList.contains("hide"), "changing the text hides them");
+    });
+
+    QUnit.test("Warnings are shown once before loading anyway", function(assert) {
+        // OpGroupNonUniformElect is from SPIR-V 1.3
+        const newer = "; Version: 1.0\nOpCapability GroupNonUniform\n%bool = OpTypeBool\n" +
+            "%uint = OpTypeInt 32 0\n%uint_3 = OpConstant %uint 3\n%elect = OpGroupNonUniformElect %bool %uint_3\n";
+        inputDiv.value = newer;
+        assert.false(assembleAndLoad(newer));
+        assert.equal(document.querySelector("#assemblerErrors .diagnosticsTitle").textContent,
+            "2 warning(s), press enter again to load anyway");
+        assert.deepEqual(Array.from(document.querySelectorAll("#assemblerErrors .diagnosticLink"), link => link.textContent),
+            ["2:14", "6:10"], "the capability and the instruction");
+
+        const done = assert.async();
+        const loaded = assembleAndLoad(newer, "newer.spvasm", function() {
+            assert.equal(moduleTabs[moduleTabs.length - 1].name, "newer.spvasm");
+            done();
+        });
+        assert.true(loaded, "the second time it is loaded");
+    });
+}
+
+function decodeDiagnosticsTests() {
+    QUnit.module("Unit Tests: decode diagnostics");
+
+    QUnit.test("Word count of 0 is listed and decoding goes on", function(assert) {
+        const binary = assembleForTest(assert, unitTestModule.replace("OpMemoryModel", "!0\nOpMemoryModel"));
+        const ir = parseModule(binary.buffer);
+        assert.deepEqual(ir.diagnostics, [{"instruction": 1, "message": "Word count of 0"}]);
+        assert.equal(ir.instructions[ir.instructions.length - 1].opname, "OpFunctionEnd", "the rest of the module is decoded");
+    });
+
+    QUnit.test("Word count past the end of the module", function(assert) {
+        const binary = assembleForTest(assert, unitTestModule);
+        const lastWord = binary.length - 1;
+        binary[lastWord] = (3 << spirv.Meta.WordCountShift) | spirv.Enums.Op.OpFunctionEnd;
+        const ir = parseModule(binary.buffer);
+        const last = ir.instructions.length - 1;
+        assert.deepEqual(ir.diagnostics, [{"instruction": last, "message": "Word count of 3 runs past the end of the module"}]);
+        assert.deepEqual(ir.instructions[last].words, [binary[lastWord]], "only the words in the module are kept");
+    });
+
+    QUnit.test("Ids beyond the bound and unknown opcodes", function(assert) {
+        const binary = assembleForTest(assert, unitTestModule + "OpUnknown(4242, 1)\n");
+        const constant = findInstructionForTest(binary, "OpConstant");
+        binary[constant.offset + 1] = 999;
+        const ir = parseModule(binary.buffer);
+        assert.deepEqual(ir.diagnostics, [
+            {"instruction": constant.index, "message": "Result Type %999 is beyond the bound of " + binary[3]},
+            {"instruction": ir.instructions.length - 1, "message": "Unknown opcode 4242"},
+        ]);
+    });
+
+    QUnit.test("Nothing is kept from an instruction that fails to decode", function(assert) {
+        // Each fails after the opcode would have started recording it: an import without a null terminator,
+        // names and a function type beyond the bound, and a label with an extra word
+        const binary = assembleForTest(assert, `OpCapability Shader
+OpUnknown(11, 3) !5 !0x4c534c47
+OpMemoryModel Logical GLSL450
+OpEntryPoint GLCompute %3 "main"
+OpUnknown(5, 3) !999 !0x78
+%1 = OpTypeVoid
+%2 = OpTypeFunction %1
+%10 = OpTypeInt 32 0
+%3 = OpFunction %1 None %2
+%4 = OpLabel
+OpUnknown(248, 3) !6 !0
+OpReturn
+OpFunctionEnd
+OpUnknown(54, 5) !1 !7 !0 !999
+`, undefined, {"preserveNumericIds": true});
+        const ir = parseModule(binary.buffer);
+        assert.deepEqual(ir.diagnostics.map(diagnostic => ir.instructions[diagnostic.instruction].opname),
+            ["OpExtInstImport", "OpName", "OpLabel", "OpFunction"]);
+        assert.false(spirv.ResultToExtImport.has(5), "the import is not mapped");
+        assert.false(ir.opNames.has(999), "the name is not kept");
+        assert.false(Array.from(ir.sections.values()).includes("debug"), "the name doesn't start the debug section");
+
+        const label = findInstructionForTest(binary, "OpLabel").index;
+        assert.deepEqual(Array.from(ir.blocks.keys()), [label], "only the good label starts a block");
+        assert.equal(ir.instructions[label + 2].block, label, "OpReturn is still in the good block");
+        assert.equal(ir.blocks.get(label).end, label + 2);
+        assert.deepEqual(ir.functions, [{"start": label - 1, "end": label + 3}], "only the good function is kept");
+    });
+}
+
+function decodedModuleTests() {
+    QUnit.module("Unit Tests: decoded module");
+
+    // A function with a selection, so every block is either a header, in the construct or the merge
+    const selectionModule = `OpCapability Shader
+OpMemoryModel Logical GLSL450
+OpEntryPoint Fragment %main "main"
+OpExecutionMode %main OriginUpperLeft
+OpName %main "main"
+OpDecorate %cond SpecId 0
+%void = OpTypeVoid
+%bool = OpTypeBool
+%fn = OpTypeFunction %void
+%cond = OpSpecConstantTrue %bool
+%main = OpFunction %void None %fn
+%entry = OpLabel
+OpSelectionMerge %merge None
+OpBranchConditional %cond %then %merge
+%then = OpLabel
+OpBranch %merge
+%merge = OpLabel
+OpReturn
+OpFunctionEnd
+`;
+
+    QUnit.test("Header and sections before the first function", function(assert) {
+        const ir = parseModule(assembleForTest(assert, selectionModule).buffer);
+        assert.deepEqual(ir.header, {"magic": spirv.Meta.MagicNumber, "version": 0x00010000, "versionString": "1.0",
+            "generator": 0, "bound": 9, "schema": 0, "endianness": "little"});
+        assert.deepEqual(Array.from(ir.sections), [[0, "modeSetting"], [4, "debug"], [5, "annotations"], [6, "types"]]);
+        assert.deepEqual(Array.from(ir.opNames), [[1, "main"]]);
+    });
+
+    QUnit.test("Results, consumers and the instructions they come from", function(assert) {
+        const ir = parseModule(assembleForTest(assert, selectionModule).buffer);
+        // Ids are numbered in the order they are first used: %main is 1, %cond 2, %merge 7 and %then 8
+        assert.equal(ir.resultToInstruction.get(2), 9, "%cond");
+        assert.deepEqual(ir.idConsumers[2], [5, 13], "%cond is decorated and branched on");
+        assert.deepEqual(ir.idConsumers[7], [12, 13, 15], "every branch to %merge");
+
+        const branch = ir.instructions[13];
+        assert.equal(branch.opname, "OpBranchConditional");
+        assert.deepEqual(branch.operandIdList, [2, 8, 7]);
+        assert.deepEqual(branch.operandNameList, ["Condition", "True Label", "False Label"]);
+        assert.deepEqual(branch.parentInstructions, [9, 14, 16], "the instructions with each of the ids as result");
+    });
+
+    QUnit.test("Functions and blocks", function(assert) {
+        const ir = parseModule(assembleForTest(assert, selectionModule).buffer);
+        assert.deepEqual(ir.functions, [{"start": 10, "end": 18}]);
+        assert.deepEqual(Array.from(ir.blocks), [
+            [11, {"start": 11, "end": 13, "function": 10, "indent": 0}],
+            [14, {"start": 14, "end": 15, "function": 10, "indent": 1}],
+            [16, {"start": 16, "end": 17, "function": 10, "indent": 0}],
+        ], "the block inside the selection is indented");
+        assert.deepEqual(Array.from(ir.blockTypes), [
+            [11, [{"type": "selectionHeader", "header": 11}]],
+            [16, [{"type": "selectionMerge", "header": 11}, {"type": "return", "header": 16}]],
+        ]);
+        assert.equal(ir.instructions[15].block, 14);
+        assert.equal(ir.instructions[15].function, 10);
+    });
+
+    QUnit.test("The page and the binary are left as they were", function(assert) {
+        const binary = assembleForTest(assert, selectionModule);
+        const words = binary.slice();
+        const page = document.getElementById("mainModuleContainer").innerHTML;
+        parseModule(binary.buffer);
+        assert.deepEqual(binary, words);
+        assert.equal(document.getElementById("mainModuleContainer").innerHTML, page);
+    });
+}
+
+function smallConstantTests() {
+    QUnit.module("Unit Tests: 8 and 16-bit constants");
+
+    const types = `OpCapability Shader
+%half = OpTypeFloat 16
+%bfloat = OpTypeFloat 16 BFloat16KHR
+%e4m3 = OpTypeFloat 8 Float8E4M3EXT
+%e5m2 = OpTypeFloat 8 Float8E5M2EXT
+%char = OpTypeInt 8 1
+%uchar = OpTypeInt 8 0
+`;
+
+    QUnit.test("Assembled to the bits of the type", function(assert) {
+        const binary = assembleForTest(assert, types + `%1 = OpConstant %half 1.5
+%2 = OpConstant %half -0.0
+%3 = OpConstant %bfloat 1.5
+%4 = OpConstant %e4m3 448
+%5 = OpConstant %e5m2 -3
+%6 = OpConstant %char -5
+%7 = OpConstant %uchar 255
+`);
+        assert.deepEqual(getConstantWordsForTest(binary), [[0x3e00], [0x8000], [0x3fc0], [0x7e], [0xc2], [0xfffffffb], [0xff]]);
+    });
+
+    QUnit.test("Values the type can't hold are rounded to the nearest", function(assert) {
+        const binary = assembleForTest(assert, types + "%1 = OpConstant %half 0.1\n");
+        assert.deepEqual(getConstantWordsForTest(binary), [[0x2e66]]);
+        assert.equal(disassembleForTest(binary).pop(), "%7 = OpConstant %1 0.0999755859375");
+    });
+
+    QUnit.test("Decoded with the encoding of the type", function(assert) {
+        const binary = assembleForTest(assert, types + `%1 = OpConstant %half !0xbc00
+%2 = OpConstant %bfloat !0x4049
+%3 = OpConstant %e4m3 !0x38
+%4 = OpConstant %e5m2 !0x3c
+%5 = OpConstant %char !0xffffff80
+`);
+        assert.deepEqual(disassembleForTest(binary).slice(-5), [
+            "%7 = OpConstant %1 -1.0",
+            "%8 = OpConstant %2 3.140625",
+            "%9 = OpConstant %3 1.0",
+            "%10 = OpConstant %4 1.0",
+            "%11 = OpConstant %5 -128",
+        ]);
+    });
+}
+
+function numericLiteralTests() {
+    QUnit.module("Unit Tests: numeric literals");
+
+    const types = `OpCapability Shader
+OpCapability Int64
+OpCapability Float64
+%float = OpTypeFloat 32
+%double = OpTypeFloat 64
+%int = OpTypeInt 32 1
+%uint = OpTypeInt 32 0
+%long = OpTypeInt 64 1
+%ulong = OpTypeInt 64 0
+`;
+
+    QUnit.test("64-bit integers are split into two words, low word first", function(assert) {
+        const binary = assembleForTest(assert, types + `%1 = OpConstant %long -2
+%2 = OpConstant %ulong 0xffffffff00000001
+%3 = OpConstant %ulong 18446744073709551615
+`);
+        assert.deepEqual(getConstantWordsForTest(binary),
+            [[0xfffffffe, 0xffffffff], [0x00000001, 0xffffffff], [0xffffffff, 0xffffffff]]);
+        assert.deepEqual(disassembleForTest(binary).slice(-3), [
+            "%7 = OpConstant %5 -2",
+            "%8 = OpConstant %6 18446744069414584321",
+            "%9 = OpConstant %6 18446744073709551615",
+        ]);
+    });
+
+    QUnit.test("Hex floats", function(assert) {
+        const binary = assembleForTest(assert, types + `%1 = OpConstant %float 0x1.8p+1
+%2 = OpConstant %double -0x1p-1
+%3 = OpConstant %float 0x1.1p+128
+`);
+        assert.deepEqual(getConstantWordsForTest(binary), [[0x40400000], [0x00000000, 0xbfe00000], [0x7f880000]]);
+    });
+
+    QUnit.test("Negative zero, infinity and NaN", function(assert) {
+        const binary = assembleForTest(assert, types + `%1 = OpConstant %float -0.0
+%2 = OpConstant %float inf
+%3 = OpConstant %float -inf
+%4 = OpConstant %float nan
+%5 = OpConstant %double 0x1.8p+1024
+`);
+        assert.deepEqual(getConstantWordsForTest(binary),
+            [[0x80000000], [0x7f800000], [0xff800000], [0x7fc00000], [0x00000000, 0x7ff80000]]);
+        // Same as spirv-dis, values that aren't finite are written as hex floats so they can be assembled again
+        assert.deepEqual(disassembleForTest(binary).slice(-5), [
+            "%7 = OpConstant %1 -0.0",
+            "%8 = OpConstant %1 0x1p+128",
+            "%9 = OpConstant %1 -0x1p+128",
+            "%10 = OpConstant %1 0x1.8p+128",
+            "%11 = OpConstant %2 0x1.8p+1024",
+        ]);
+    });
+
+    QUnit.test("Values that don't fit the type are errors", function(assert) {
+        const result = assembleModule(types + `%1 = OpConstant %uint -1
+%2 = OpConstant %int 2147483648
+%3 = OpConstant %float 1.0.0
+`);
+        assert.deepEqual(result.errors.map(error => [error.line, error.message]), [
+            [10, "-1 is negative, but the type is unsigned"],
+            [11, "2147483648 does not fit in a 32 bit signed integer"],
+            [12, "Expected a float, found 1.0.0"],
+        ]);
+    });
+}
+
+function specConstantOpTests() {
+    QUnit.module("Unit Tests: OpSpecConstantOp");
+
+    // Numeric ids are kept, so the constants can be looked up by them
+    const module = `OpCapability Shader
+OpCapability Int64
+%1 = OpTypeInt 32 1
+%2 = OpTypeInt 32 0
+%3 = OpTypeInt 64 1
+%4 = OpTypeBool
+%5 = OpTypeVector %1 2
+%6 = OpTypeVector %1 3
+%7 = OpTypeFloat 32
+%10 = OpSpecConstant %1 4
+%11 = OpConstant %1 8
+%12 = OpConstant %1 -7
+%13 = OpConstant %1 2
+%14 = OpConstant %2 0
+%15 = OpSpecConstant %3 9000000000
+%16 = OpSpecConstantTrue %4
+%17 = OpSpecConstantComposite %5 %10 %11
+%18 = OpSpecConstantComposite %5 %13 %12
+%19 = OpSpecConstant %7 1.5
+`;
+
+    function evaluate(assert, expression) {
+        const binary = assembleForTest(assert, module + "%20 = OpSpecConstantOp " + expression + "\n", undefined,
+            {"preserveNumericIds": true});
+        return parseModule(binary.buffer).constants.get(20);
+    }
+
+    QUnit.test("Evaluated with the default values of the spec constants", function(assert) {
+        assert.equal(evaluate(assert, "%1 IAdd %10 %11"), "spec(IAdd(4, 8)) = 12");
+        assert.equal(evaluate(assert, "%4 SLessThan %12 %10"), "spec(SLessThan(-7, 4)) = True");
+        assert.equal(evaluate(assert, "%1 Select %16 %10 %11"), "spec(Select(True, 4, 8)) = 4");
+        assert.equal(evaluate(assert, "%7 FNegate %19"), "spec(FNegate(1.5)) = -1.5");
+    });
+
+    QUnit.test("Integer results wrap and round like the GPU would", function(assert) {
+        assert.equal(evaluate(assert, "%1 SDiv %12 %13"), "spec(SDiv(-7, 2)) = -3");
+        assert.equal(evaluate(assert, "%1 SMod %12 %13"), "spec(SMod(-7, 2)) = 1");
+        assert.equal(evaluate(assert, "%2 Not %14"), "spec(Not(0)) = 4294967295");
+        assert.equal(evaluate(assert, "%2 UConvert %12"), "spec(UConvert(-7)) = 4294967289");
+        assert.equal(evaluate(assert, "%3 IAdd %15 %15"), "spec(IAdd(9000000000, 9000000000)) = 18000000000");
+    });
+
+    QUnit.test("Vectors", function(assert) {
+        assert.equal(evaluate(assert, "%5 IAdd %17 %18"), "spec(IAdd(ivec2(4, 8), ivec2(2, -7))) = ivec2(6, 1)");
+        assert.equal(evaluate(assert, "%6 VectorShuffle %17 %18 3 0 2"),
+            "spec(VectorShuffle(ivec2(4, 8), ivec2(2, -7), 3, 0, 2)) = ivec3(-7, 4, 2)");
+        assert.equal(evaluate(assert, "%5 CompositeInsert %10 %18 1"), "spec(CompositeInsert(4, ivec2(2, -7), 1)) = ivec2(2, 4)");
+    });
+
+    QUnit.test("Undefined results are not given a value", function(assert) {
+        assert.equal(evaluate(assert, "%2 UDiv %14 %14"), "spec(UDiv(0, 0))");
+    });
+}
+
+function assemblerIdTests() {
+    QUnit.module("Unit Tests: assembler ids and names");
+
+    const module = `OpCapability Shader
+OpMemoryModel Logical GLSL450
+OpEntryPoint GLCompute %main "main"
+OpName %x "custom"
+%void = OpTypeVoid
+%3 = OpTypeFunction %void
+%x = OpTypeInt 32 0
+%main = OpFunction %void None %3
+%10 = OpLabel
+OpReturn
+OpFunctionEnd
+`;
+
+    QUnit.test("Ids are numbered in the order they are first used", function(assert) {
+        const binary = assembleForTest(assert, module);
+        assert.equal(binary[3], 6, "bound");
+        assert.deepEqual(disassembleForTest(binary).slice(2, 8), [
+            "OpEntryPoint GLCompute %1 \"main\"",
+            "OpName %2 \"custom\"",
+            "%3 = OpTypeVoid",
+            "%4 = OpTypeFunction %3",
+            "%2 = OpTypeInt 32 0",
+            "%1 = OpFunction %3 None %4",
+        ]);
+    });
+
+    QUnit.test("Numeric ids are kept and names get the ids left over", function(assert) {
+        const binary = assembleForTest(assert, module, undefined, {"preserveNumericIds": true});
+        assert.equal(binary[3], 11, "bound");
+        assert.deepEqual(disassembleForTest(binary).slice(4, 9), [
+            "%4 = OpTypeVoid",
+            "%3 = OpTypeFunction %4",
+            "%2 = OpTypeInt 32 0",
+            "%1 = OpFunction %4 None %3",
+            "%10 = OpLabel",
+        ]);
+    });
+
+    QUnit.test("OpName is added for each named id without one", function(assert) {
+        const binary = assembleForTest(assert, module, undefined, {"emitOpNames": true});
+        assert.deepEqual(disassembleForTest(binary).slice(2, 7), [
+            "OpEntryPoint GLCompute %1 \"main\"",
+            "OpName %2 \"custom\"",
+            "OpName %1 \"main\"",
+            "OpName %3 \"void\"",
+            "%3 = OpTypeVoid",
+        ]);
+    });
+
+    QUnit.test("OpName goes after raw words of instructions that come before it", function(assert) {
+        const text = module.replace("OpCapability Shader", "!0x00020011 !1").replace("OpName %x \"custom\"\n", "");
+        const binary = assembleForTest(assert, text, undefined, {"emitOpNames": true});
+        assert.deepEqual(disassembleForTest(binary).slice(0, 6), [
+            "OpCapability Shader",
+            "OpMemoryModel Logical GLSL450",
+            "OpEntryPoint GLCompute %1 \"main\"",
+            "OpName %1 \"main\"",
+            "OpName %2 \"void\"",
+            "OpName %4 \"x\"",
+        ]);
+    });
+
+    QUnit.test("Assembling leaves the imports of the decoded module alone", function(assert) {
+        const decoded = assembleForTest(assert, "OpCapability Shader\n%1 = OpExtInstImport \"GLSL.std.450\"\n");
+        parseModule(decoded.buffer);
+        assert.equal(spirv.ResultToExtImport.get(1), "GLSL.std.450");
+
+        assembleForTest(assert, `OpCapability Shader
+OpExtension "SPV_KHR_non_semantic_info"
+%1 = OpExtInstImport "NonSemantic.DebugPrintf"
+OpMemoryModel Logical GLSL450
+%format = OpString "%d"
+%void = OpTypeVoid
+%2 = OpExtInst %void %1 DebugPrintf %format
+`);
+        assert.deepEqual(Array.from(spirv.ResultToExtImport), [[1, "GLSL.std.450"]]);
+    });
+
+    QUnit.test("OpName is added to modules with more names than a function call can take", function(assert) {
+        const count = 40000;
+        var lines = ["OpCapability Shader", "OpMemoryModel Logical GLSL450", "%uint = OpTypeInt 32 0"];
+        for (let i = 0; i < count; i++) {
+            lines.push(`%value${i} = OpConstant %uint ${i}`);
+        }
+        const result = assembleModule(lines.join("\n"), undefined, {"emitOpNames": true});
+        assert.deepEqual(result.errors, []);
+        assert.equal(result.wordKinds.length, result.binary.length, "each word has its kind");
+
+        const ir = parseModule(result.binary.buffer);
+        assert.equal(ir.opNames.size, count + 1);
+        assert.equal(ir.opNames.get(ir.instructions[ir.instructions.length - 1].result), "value" + (count - 1));
+    });
+}
+
+function headerCommentTests() {
+    QUnit.module("Unit Tests: header comments and versions");
+
+    const module = `; SPIR-V
+; Version: 1.2
+; Generator: Khronos Glslang Reference Front End; 11
+; Bound: 40
+; Schema: 0
+OpCapability Shader
+OpMemoryModel Logical GLSL450
+OpEntryPoint GLCompute %main "main"
+%void = OpTypeVoid
+%fn = OpTypeFunction %void
+%main = OpFunction %void None %fn
+%label = OpLabel
+OpTerminateInvocation
+OpFunctionEnd
+`;
+
+    QUnit.test("Version and generator are read from the comments", function(assert) {
+        const binary = assembleForTest(assert, module);
+        assert.deepEqual(Array.from(binary.subarray(1, 3)), [0x00010200, 0x0008000b]);
+        assert.equal(binary[3], 5, "bound is from the ids used");
+    });
+
+    QUnit.test("Bound is kept when numeric ids are", function(assert) {
+        const binary = assembleForTest(assert, module, undefined, {"preserveNumericIds": true});
+        assert.equal(binary[3], 40);
+    });
+
+    QUnit.test("Instructions newer than the version are warned about", function(assert) {
+        const result = assembleModule(module);
+        assert.deepEqual(result.warnings.map(warning => [warning.line, warning.column, warning.message]),
+            [[13, 1, "OpTerminateInvocation needs SPIR-V 1.6, but the module is 1.2"]]);
+        assert.deepEqual(assembleModule(module, 0x00010600).warnings, [], "none once the version is new enough");
+    });
+
+    QUnit.test("Comments that can't be read are warned about and ignored", function(assert) {
+        const result = assembleModule("; Generator: Foo Bar; 2\n; Version: 1.x\nOpCapability Shader\n");
+        assert.deepEqual(result.warnings.map(warning => [warning.line, warning.column, warning.message]), [
+            [1, 14, "Unable to read the Generator header comment, Foo Bar; 2 is ignored"],
+            [2, 12, "Unable to read the Version header comment, 1.x is ignored"],
+        ]);
+        assert.deepEqual(Array.from(result.binary.subarray(1, 3)), [0x00010000, 0], "the defaults are used");
+    });
+}
+
+function rawWordTests() {
+    QUnit.module("Unit Tests: raw words and OpUnknown");
+
+    const module = `OpCapability Shader
+OpUnknown(4242, 3) !1 !0x2
+OpDecorate %int !0x2c
+%int = OpTypeInt 32 1
+!0x0002003d !1
+`;
+
+    QUnit.test("Assembled as is", function(assert) {
+        const binary = assembleForTest(assert, module);
+        assert.deepEqual(Array.from(binary.subarray(5)), [
+            0x00020011, 1,
+            0x00031092, 1, 2,
+            0x00030047, 1, 0x2c,
+            0x00040015, 1, 32, 1,
+            0x0002003d, 1,
+        ]);
+    });
+
+    QUnit.test("Instructions that can't be decoded are disassembled as raw words", function(assert) {
+        const binary = assembleForTest(assert, module);
+        assert.deepEqual(disassembleForTest(binary), [
+            "OpCapability Shader",
+            "OpUnknown(4242, 3) !0x00000001 !0x00000002 ; Unknown opcode 4242",
+            "!0x00030047 !0x00000001 !0x0000002c ; Unknown Decoration value 44",
+            "%1 = OpTypeInt 32 1",
+            "!0x0002003d !0x00000001 ; Word count of 2 is too small to hold the result",
+        ]);
+        const roundTrip = verifyRoundTrip(binary.buffer);
+        assert.true(roundTrip.match, createRoundTripMessage(roundTrip));
+    });
+
+    QUnit.test("Mistakes are errors", function(assert) {
+        const result = assembleModule("OpUnknown(1,2) !1 !2\nOpUnknown(x,2)\n!foo\nOpCapability !0x1ffffffff\n");
+        assert.deepEqual(result.errors.map(error => [error.line, error.column, error.message]), [
+            [1, 1, "Word count of 2, but the instruction has 3 words"],
+            [2, 1, "Expected OpUnknown(opcode, wordcount), found OpUnknown(x,2)"],
+            [3, 1, "Expected a raw word (ex. !0x1234), found !foo"],
+            [4, 14, "Expected a raw word (ex. !0x1234), found !0x1ffffffff"],
+        ]);
+        const resultId = assembleModule("%1 = OpUnknown(5000, 3) !1 !5\n");
+        assert.deepEqual(resultId.errors.map(error => error.message),
+            ["OpUnknown can not have a result, it is one of the raw words"]);
+    });
+}
+
+function textBinaryTests() {
+    QUnit.module("Unit Tests: text encoded binaries");
+
+    // Header and OpCapability Shader
+    const words = [0x07230203, 0x00010000, 0, 1, 0, 0x00020011, 1];
+    const bytes = Array.from(new Uint8Array(new Uint32Array(words).buffer));
+    const hex = (value, digits) => "0x" + value.toString(16).padStart(digits, "0");
+
+    function decode(assert, text, format) {
+        const result = decodeTextBinary(text);
+        assert.equal(result.format, format);
+        assert.equal(result.error, undefined, "no error");
+        assert.deepEqual(Array.from(result.words), words);
+    }
+
+    QUnit.test("C arrays", function(assert) {
+        decode(assert, "// glslang --vn\nconst uint32_t spv[] = {\n    " + words.map(word => hex(word, 8)).join(", ") + "\n};\n",
+            "C uint32_t array");
+        decode(assert, "unsigned char spv[] = {\n  " + bytes.map(byte => hex(byte, 2)).join(", ") +
+            "\n};\nunsigned int spv_len = 28;\n", "C byte array");
+    });
+
+    QUnit.test("Rust arrays", function(assert) {
+        decode(assert, "const SPV: &[u32] = &[0x0723_0203u32, 0x0001_0000, 0, 1, 0, 0x0002_0011, 1];", "Rust u32 array");
+        decode(assert, "const SPV: &[u8] = &[" + bytes.join(", ") + "];", "Rust u8 array");
+    });
+
+    QUnit.test("Word and byte lists", function(assert) {
+        decode(assert, words.map(word => hex(word, 8)).join(" "), "word list");
+        decode(assert, bytes.map(byte => hex(byte, 2)).join(",\n"), "byte list");
+    });
+
+    QUnit.test("Base64", function(assert) {
+        const base64 = btoa(String.fromCharCode(...bytes));
+        decode(assert, base64.substring(0, 16) + "\n" + base64.substring(16), "base64");
+    });
+
+    QUnit.test("Byte lists of a big endian module are kept in the order of the file", function(assert) {
+        const bigEndian = [0x07, 0x23, 0x02, 0x03, 0x00, 0x01, 0x00, 0x00];
+        const result = decodeTextBinary(bigEndian.join(" "));
+        assert.equal(result.format, "byte list");
+        assert.deepEqual(Array.from(new Uint8Array(result.words.buffer)), bigEndian);
+    });
+
+    QUnit.test("Assembly is not taken as a binary", function(assert) {
+        assert.equal(decodeTextBinary("OpCapability Shader\nOpMemoryModel Logical GLSL450\n"), undefined);
+        assert.equal(decodeTextBinary("1 2 3"), undefined, "a list without the magic number");
+    });
+
+    QUnit.test("Mistakes are errors", function(assert) {
+        let result = decodeTextBinary("0x07230203, 0x00010000, 0xfoo");
+        assert.deepEqual(result.error,
+            {"offset": 24, "token": "0xfoo", "message": "Expected a word in the word list, found 0xfoo"});
+        result = decodeTextBinary("3 2 35 7 0");
+        assert.equal(result.error.message, "5 bytes in the byte list is not a multiple of 4");
+    });
+}
+
+function stringLiteralTests() {
+    QUnit.module("Unit Tests: string literals");
+
+    // Raw, so the backslashes are the same as in the text input
+    const escaped = String.raw`OpCapability Shader
+OpMemoryModel Logical GLSL450
+%1 = OpString "C:\\include\\"
+%2 = OpString "say \"hi\"; bye"
+`;
+
+    QUnit.test("A backslash escapes the character after it", function(assert) {
+        const ir = parseModule(assembleForTest(assert, escaped).buffer);
+        const strings = ir.instructions.filter(instruction => instruction.opname == "OpString");
+        assert.deepEqual(strings.map(instruction => instruction.operands[0].value), ["C:\\include\\", "say \"hi\"; bye"]);
+    });
+
+    QUnit.test("Quotes and backslashes are escaped when disassembled", function(assert) {
+        assert.deepEqual(disassembleForTest(assembleForTest(assert, escaped)), escaped.trim().split("\n"));
+    });
+
+    QUnit.test("A string goes on to its closing quote", function(assert) {
+        const binary = assembleForTest(assert, `OpCapability Shader
+OpMemoryModel Logical GLSL450
+%1 = OpString "first line
+second line" ; "not a string"
+`);
+        assert.equal(parseModule(binary.buffer).instructions[2].operands[0].value, "first line\nsecond line");
+
+        const result = assembleModule("OpCapability Shader\nOpSourceExtension \"GL_ext\nOpMemoryModel Logical GLSL450\n");
+        assert.deepEqual(result.errors.map(error => [error.line, error.column, error.message]),
+            [[2, 19, "String has no closing quote"]]);
+    });
+}
+
+function roundTripTests() {
+    // The button reveals the instruction that differs, which needs the disassembly shown
+    var savedDisplay;
+    QUnit.module("Unit Tests: round trip", {
+        "beforeEach": function() {
+            savedDisplay = displayDiv.style.display;
+        },
+        "afterEach": function() {
+            displayDiv.style.display = savedDisplay;
+            document.getElementById("alertBox").style.display = "none";
+        },
+    });
+
+    // Made word by word, so the binary being checked doesn't come from the assembler being checked
+    function createBinary(instructions) {
+        var words = [spirv.Meta.MagicNumber, 0x00010300, 0, 8, 0];
+        for (const [opname, ...operands] of instructions) {
+            const operandWords =
+                operands.flatMap(operand => (typeof operand == "string") ? encodeStringLiteral(operand) : [operand]);
+            words.push(((operandWords.length + 1) << spirv.Meta.WordCountShift) | spirv.Enums.Op[opname], ...operandWords);
+        }
+        return new Uint32Array(words).buffer;
+    }
+
+    const source = '#version 450\n#include "common.h"\n// shaders are in C:\\shaders\\\n';
+    const strings = createBinary([
+        ["OpCapability", 1],  // Shader
+        ["OpExtension", "SPV_KHR_non_semantic_info"],
+        ["OpExtInstImport", 1, "NonSemantic.DebugPrintf"],
+        ["OpMemoryModel", 0, 1],  // Logical GLSL450
+        ["OpString", 2, 'value = "%d"\n'],
+        ["OpString", 3, "C:\\shaders\\common.h"],
+        ["OpSource", 2, 450, 3, source],  // GLSL
+        ["OpName", 2, "\"quoted\""],
+    ]);
+
+    QUnit.test("Strings with quotes, backslashes and new lines", function(assert) {
+        const result = verifyRoundTrip(strings);
+        assert.true(result.match, createRoundTripMessage(result));
+        assert.deepEqual(result.errors, []);
+        assert.true(result.text.includes('%2 = OpString "value = \\"%d\\"\n"'), "the printf string is escaped");
+        assert.true(result.text.includes('OpName %2 "\\"quoted\\""'), "the name is escaped");
+    });
+
+    QUnit.test("The first word that differs is reported", function(assert) {
+        const ir = parseModule(strings);
+        ir.instructions[5].operands[0].value = "D:\\shaders\\common.h";
+        const result = verifyRoundTrip(strings, ir);
+        const stringWord = ir.instructions[5].moduleOffset + 2;
+        assert.false(result.match);
+        assert.deepEqual(result.difference, {
+            "word": stringWord,
+            "expected": new Uint32Array(strings)[stringWord],
+            "found": 0x735c3a44,  // "D:\s"
+            "instruction": 5,
+            "opname": "OpString",
+            "kind": "LiteralString",
+        });
+        assert.equal(createRoundTripMessage(result), `Round trip differs at word ${stringWord} (instruction 5 OpString, ` +
+            "LiteralString), it is 0x735c3a43 but assembled to 0x735c3a44");
+    });
+
+    QUnit.test("Words of the header have no instruction", function(assert) {
+        // Only the major and minor version are in the "; Version:" comment
+        const binary = new Uint32Array(strings.slice(0));
+        binary[1] = 0x00010301;
+        const result = verifyRoundTrip(binary.buffer);
+        assert.deepEqual(result.difference, {"word": 1, "expected": 0x00010301, "found": 0x00010300, "instruction": undefined,
+            "opname": undefined, "kind": "Version"});
+        assert.equal(createRoundTripMessage(result),
+            "Round trip differs at word 1 (Version), it is 0x00010301 but assembled to 0x00010300");
+    });
+
+    QUnit.test("The button checks the module shown and reveals where it differs", function(assert) {
+        // 0 is not an id, so the assembler numbers it
+        const binary = createBinary([
+            ["OpCapability", 1],  // Shader
+            ["OpMemoryModel", 0, 1],  // Logical GLSL450
+            ["OpName", 0, "zero"],
+        ]);
+        displayDiv.style.display = "inline-block";
+        parseBinaryStream(binary, "zero.spv");
+        collapseAllSections();
+        document.getElementById("verifyRoundTrip").click();
+        assert.equal(document.getElementById("alertBox").textContent,
+            "Round trip differs at word 11 (instruction 2 OpName, IdRef), it is 0x00000000 but assembled to 0x00000001");
+        assert.ok(document.getElementById("instruction_2"), "the instruction is revealed");
+
+        parseBinaryStream(strings, "strings.spv");
+        document.getElementById("verifyRoundTrip").click();
+        assert.equal(document.getElementById("alertBox").textContent, "Round trip matches the binary");
+    });
+}
+
+function userGrammarTests() {
+    // Merging changes the grammar used by everything after, so it is put back the way it was after each test
+    var savedGrammar;
+    var savedOpcodes;
+    QUnit.module("Unit Tests: user grammars", {
+        "beforeEach": function() {
+            const copySets = sets => new Map(Array.from(sets, ([name, set]) => [name, new Map(set)]));
+            savedGrammar = {
+                "Instructions": new Map(spirv.Instructions),
+                "Operands": new Map(spirv.Operands),
+                "OpcodeToName": Object.assign({}, spirv.OpcodeToName),
+                "NameToOpcode": new Map(spirv.NameToOpcode),
+                "OpcodesWithResultType": spirv.OpcodesWithResultType.slice(),
+                "OpcodesWithResult": spirv.OpcodesWithResult.slice(),
+                "ExtInstructions": copySets(spirv.ExtInstructions),
+                "ExtOperands": copySets(spirv.ExtOperands),
+                "UserGrammars": spirv.UserGrammars.slice(),
+            };
+            savedOpcodes = Object.assign({}, spirv.Enums.Op);
+        },
+        "afterEach": function() {
+            Object.assign(spirv, savedGrammar);
+            spirv.Enums.Op = savedOpcodes;
+        },
+    });
+
+    function merge(file, json) {
+        spirv.mergeGrammar(file, json, spirv.getUserGrammarName(file));
+    }
+
+    const extInstModule = `OpCapability Shader
+%1 = OpExtInstImport "GLSL.std.450"
+OpMemoryModel Logical GLSL450
+%float = OpTypeFloat 32
+%float_1 = OpConstant %float 1
+%2 = OpExtInst %float %1 AcmeSquare %float_1
+%3 = OpExtInst %float %1 Sqrt %float_1
+`;
+
+    QUnit.test("Patches the extended instruction set already loaded", function(assert) {
+        // The file name is lower case, but the set is loaded as GLSL.std.450
+        merge("grammar/user/extinst.glsl.std.450.grammar.json",
+            {"instructions": [{"opname": "AcmeSquare", "opcode": 9000, "operands": [{"kind": "IdRef", "name": "'x'"}]}]});
+        assert.false(spirv.ExtInstructions.has("glsl.std.450"), "no second set is made for the lower case name");
+        assert.equal(spirv.UserGrammars[spirv.UserGrammars.length - 1].name, "glsl.std.450");
+        const binary = assembleForTest(assert, extInstModule);
+        assert.deepEqual(disassembleForTest(binary).slice(-2), [
+            "%4 = OpExtInst %2 %1 AcmeSquare %3",
+            "%5 = OpExtInst %2 %1 Sqrt %3",
+        ], "the instructions of the set are kept");
+    });
+
+    QUnit.test("Adds an extended instruction set", function(assert) {
+        merge("extinst.acme.tools.grammar.json", {"instructions": [{"opname": "AcmeDoThing", "opcode": 1, "operands": [
+            {"kind": "IdRef", "name": "'Value'"}, {"kind": "LiteralInteger", "name": "'Count'"}]}]});
+        const binary = assembleForTest(assert, extInstModule.replace("GLSL.std.450\"", "Acme.Tools\"")
+            .replace(/%[23] = .*\n/g, "") + "%2 = OpExtInst %float %1 AcmeDoThing %float_1 12\n");
+        assert.equal(disassembleForTest(binary).pop(), "%4 = OpExtInst %2 %1 AcmeDoThing %3 12");
+    });
+
+    QUnit.test("Patches the core grammar", function(assert) {
+        merge("grammar/user/acme.core.json", {
+            "instructions": [{"opname": "OpAcmeFoo", "opcode": 6000, "operands": [
+                {"kind": "IdResultType"}, {"kind": "IdResult"}, {"kind": "IdRef", "name": "'Value'"}]}],
+            "operand_kinds": [{"category": "ValueEnum", "kind": "Capability",
+                "enumerants": [{"enumerant": "AcmeCap", "value": 9000, "version": "None"}]}],
+        });
+        assert.true(spirv.Operands.get("Capability").enumerants.some(enumerant => enumerant.enumerant == "Shader"),
+            "enumerants already in the grammar are kept");
+        const binary = assembleForTest(assert, `OpCapability Shader
+OpCapability AcmeCap
+%int = OpTypeInt 32 1
+%int_5 = OpConstant %int 5
+%foo = OpAcmeFoo %int %int_5
+`);
+        assert.deepEqual(disassembleForTest(binary), [
+            "OpCapability Shader",
+            "OpCapability AcmeCap",
+            "%1 = OpTypeInt 32 1",
+            "%2 = OpConstant %1 5",
+            "%3 = OpAcmeFoo %1 %2",
+        ]);
+    });
+
+    QUnit.test("Files with nothing to merge are errors", function(assert) {
+        // assert() would stop the tests with an alert
+        const pageAlert = window.alert;
+        window.alert = function() {};
+        try {
+            assert.throws(function() {
+                merge("notes.json", {"notes": []});
+            }, /notes.json has no "instructions" or "operand_kinds" to merge into the grammar/);
+        } finally {
+            window.alert = pageAlert;
+        }
+    });
+}
+
+function fileLoadingTests() {
+    // Loading a file changes the whole page, so it is cleared after each test the same as "Clear All" does
+    var savedText;
+    QUnit.module("Unit Tests: loading files", {
+        "beforeEach": function() {
+            savedText = inputDiv.value;
+        },
+        "afterEach": function() {
+            document.getElementById("clearAll").click();
+            inputDiv.value = savedText;
+        },
+    });
+
+    const encode = json => new TextEncoder().encode(JSON.stringify(json)).buffer;
+
+    QUnit.test("Only JSON that looks like a grammar is a grammar file", function(assert) {
+        const extGrammar = {"copyright": ["..."], "revision": 1, "instructions": []};
+        assert.true(isGrammarFile(encode(extGrammar), "extinst.acme.grammar.json"), "a SPIRV-Headers grammar file");
+        const patch = {"operand_kinds": [{"category": "ValueEnum", "kind": "Capability", "enumerants": []}]};
+        assert.true(isGrammarFile(encode(patch), "acme.core.json"), "a core grammar patch");
+
+        assert.false(isGrammarFile(encode({"files": ["shader.spv"]}), "tests.json"), "other JSON");
+        assert.false(isGrammarFile(encode({"instructions": [{"name": "not an instruction"}]}), "steps.json"),
+            "instructions that are not SPIR-V instructions");
+        assert.false(isGrammarFile(new TextEncoder().encode("{").buffer, "broken.json"), "not JSON at all");
+        assert.false(isGrammarFile(encode(extGrammar), "grammar.txt"), "not a .json file");
+    });
+
+    QUnit.test("Text is told apart from binaries", function(assert) {
+        const binary = assembleForTest(assert, unitTestModule);
+        const bigEndian = binary.map(byteSwap32);
+        const text = new TextEncoder().encode(unitTestModule).buffer;
+        assert.false(isTextFile(binary.buffer, "compute.spvasm"), "the magic number wins over the extension");
+        assert.false(isTextFile(bigEndian.buffer, "compute.spvasm"), "in either byte order");
+        assert.true(isTextFile(text, "compute.spvasm"));
+        assert.true(isTextFile(text, "compute"), "text without an extension");
+        assert.true(isTextFile(new Uint8Array([0x4f, 0x70, 0, 0]).buffer, "broken.txt"), "anything with a text extension");
+        assert.false(isTextFile(new Uint8Array([0x4f, 0x70, 0, 0]).buffer, "broken"), "a null byte without one");
+    });
+
+    QUnit.test("A text file is assembled and loaded as a module", function(assert) {
+        const done = assert.async();
+        loadFile(new File([unitTestModule], "compute.spvasm"), function() {
+            assert.deepEqual(moduleTabs.map(tab => tab.name), ["compute.spvasm"]);
+            assert.deepEqual(new Uint32Array(session.binary), assembleForTest(assert, unitTestModule));
+            done();
+        });
+    });
+
+    QUnit.test("A text file with mistakes is left in the text input to be fixed", function(assert) {
+        const done = assert.async();
+        const text = unitTestModule.replace("OpReturn", "OpRetrun");
+        // There is nothing else to wait on when the text is not loaded
+        const pageAssembleAndLoad = window.assembleAndLoad;
+        window.assembleAndLoad = function() {
+            window.assembleAndLoad = pageAssembleAndLoad;
+            assert.false(pageAssembleAndLoad.apply(this, arguments));
+            assert.equal(inputDiv.value, text);
+            assert.equal(textInputFilename, "typo.spvasm", "the name is kept for when it is fixed");
+            assert.equal(document.querySelector("#assemblerErrors .diagnosticLink").textContent, "11:1");
+            assert.deepEqual(moduleTabs, []);
+            done();
+        };
+        loadFile(new File([text], "typo.spvasm"), () => assert.ok(false, "the text is not loaded"));
+    });
+}
+
+function unknownExtInstSetTests() {
+    QUnit.module("Unit Tests: sets without a grammar");
+
+    // @return words of the string, null terminated and padded
+    function stringWords(text) {
+        var bytes = new Uint8Array(Math.ceil((text.length + 1) / 4) * 4);
+        bytes.set(new TextEncoder().encode(text));
+        return Array.from(new Uint32Array(bytes.buffer));
+    }
+    function instructionWords(opcode, operands) {
+        return [((operands.length + 1) << 16) | opcode].concat(operands);
+    }
+
+    QUnit.test("The words after the instruction of a NonSemantic set are all ids", function(assert) {
+        // Made by hand, the assembler is tested on its own below
+        const importName = stringWords("NonSemantic.Acme.Profile");
+        const words = [0x07230203, 0x00010000, 0, 7, 0].concat(
+            instructionWords(spirv.Enums.Op.OpCapability, [1]),
+            instructionWords(spirv.Enums.Op.OpExtInstImport, [1].concat(importName)),
+            instructionWords(spirv.Enums.Op.OpMemoryModel, [0, 1]),
+            instructionWords(spirv.Enums.Op.OpTypeVoid, [2]),
+            instructionWords(spirv.Enums.Op.OpTypeInt, [3, 32, 0]),
+            instructionWords(spirv.Enums.Op.OpConstant, [3, 4, 42]),
+            instructionWords(spirv.Enums.Op.OpExtInst, [2, 5, 1, 9, 4, 3, 2]));
+        const ir = parseModule(new Uint32Array(words).buffer);
+        const extInst = ir.instructions.length - 1;
+        assert.deepEqual(ir.instructions[extInst].operands, [
+            {"type": "id", "value": 1},
+            {"type": "literal", "value": 9},
+            {"type": "id", "value": 4},
+            {"type": "id", "value": 3},
+            {"type": "id", "value": 2},
+        ]);
+        assert.equal(spirv.ResultToExtImport.get(1), "NonSemantic.Acme.Profile", "kept under the import name");
+        assert.true(ir.idConsumers[4].includes(extInst), "the constant is used by it");
+        assert.true(ir.idConsumers[3].includes(extInst), "so is the type");
+        assert.deepEqual(ir.diagnostics, []);
+    });
+
+    // %8 uses a constant, %9 only has numbers and %10 has a number as big as the bound
+    const vendorModule = `OpCapability Shader
+OpExtension "SPV_KHR_non_semantic_info"
+%1 = OpExtInstImport "NonSemantic.Acme.Profile"
+%2 = OpExtInstImport "Acme.Vendor"
+OpMemoryModel Logical GLSL450
+%3 = OpTypeVoid
+%4 = OpTypeInt 32 0
+%5 = OpConstant %4 42
+%8 = OpExtInst %3 %1 7 %5 %4
+%9 = OpExtInst %4 %2 3 0 2
+%10 = OpExtInst %4 %2 4 %5 11
+`;
+
+    QUnit.test("Other sets keep a number that can't be an id", function(assert) {
+        const binary = assembleForTest(assert, vendorModule, undefined, {"preserveNumericIds": true});
+        const ir = parseModule(binary.buffer);
+        const operandsOf = result => ir.instructions[ir.resultToInstruction.get(result)].operands.slice(2);
+        assert.deepEqual(operandsOf(8), [{"type": "id", "value": 5}, {"type": "id", "value": 4}]);
+        assert.deepEqual(operandsOf(9), [{"type": "literal", "value": 0}, {"type": "id", "value": 2}],
+            "0 is never an id, but 2 could be");
+        assert.deepEqual(operandsOf(10), [{"type": "id", "value": 5}, {"type": "literal", "value": 11}], "past the bound");
+        assert.deepEqual(ir.idConsumers[5].map(index => ir.instructions[index].result), [8, 10]);
+    });
+
+    QUnit.test("The assembler only takes ids for a NonSemantic set", function(assert) {
+        const result = assembleModule(vendorModule + "%11 = OpExtInst %3 %1 7 42\n", undefined, {"preserveNumericIds": true});
+        assert.deepEqual(result.errors.map(error => [error.line, error.token]), [[12, "42"]]);
+    });
+
+    QUnit.test("The ids can be clicked for the DAG", function(assert) {
+        const done = assert.async();
+        const savedDisplay = displayDiv.style.display;
+        assert.true(assembleAndLoad(vendorModule, "vendor.spvasm", function() {
+            displayDiv.style.display = "inline-block";
+            renderDisplayWindow(true);
+            // The ids are given new numbers when assembled
+            const instructions = session.ir.instructions;
+            const extInst = instructions.findIndex(instruction => instruction.opname == "OpExtInst");
+            const constant = instructions.findIndex(instruction => instruction.opname == "OpConstant");
+            const constantId = instructions[constant].result;
+            const row = document.getElementById("instruction_" + extInst);
+            assert.equal(row.querySelectorAll(".operand.id").length, 3, "the set and both ids are links");
+            row.querySelector(".operand.id" + constantId).click();
+            assert.deepEqual(session.dagSelection, {"type": "operand", "instruction": extInst, "id": constantId});
+            assert.true(liveDagData.some(node => node.id == constant), "the constant is in the DAG");
+
+            displayDiv.style.display = savedDisplay;
+            document.getElementById("clearAll").click();
+            done();
+        }));
+    });
+}
+
+function grammarSnapshotTests() {
+    var saved;
+    QUnit.module("Unit Tests: grammar snapshots", {
+        "beforeEach": function() {
+            saved = {"grammarSnapshots": grammarSnapshots, "GrammarName": spirv.GrammarName};
+            grammarSnapshots = [
+                {"name": "loaded", "version": "1.6"},
+                {"name": "older", "version": "1.3"},
+                {"name": "no version"},
+                {"name": "next", "version": "1.7"},
+                {"name": "after next", "version": "1.8"},
+            ];
+            spirv.GrammarName = "loaded";
+        },
+        "afterEach": function() {
+            grammarSnapshots = saved.grammarSnapshots;
+            spirv.GrammarName = saved.GrammarName;
+            document.getElementById("clearAll").click();
+        },
+    });
+
+    // Only the header, nothing after it is read if there is a newer snapshot
+    // @param minorVersions How many minor versions newer than the grammar the module is
+    function createHeader(minorVersions, littleEndian) {
+        const header = new DataView(new ArrayBuffer(20));
+        header.setUint32(0, spirv.Meta.MagicNumber, littleEndian);
+        header.setUint32(4, spirv.Meta.Version + (minorVersions << 8), littleEndian);
+        header.setUint32(12, 1, littleEndian);
+        return header.buffer;
+    }
+
+    QUnit.test("A newer snapshot is only looked for when the grammar is too old for the module", function(assert) {
+        const findName = data => (findNewerGrammarSnapshot(data) || {}).name;
+        assert.strictEqual(findName(createHeader(0, true)), undefined, "the grammar can decode it");
+        assert.strictEqual(findName(createHeader(-1, true)), undefined);
+        assert.equal(findName(createHeader(1, true)), "next", "the first one new enough");
+        assert.equal(findName(createHeader(1, false)), "next", "big endian");
+        assert.equal(findName(createHeader(2, true)), "after next");
+        assert.strictEqual(findName(createHeader(3, true)), undefined, "none are new enough");
+        assert.strictEqual(findName(new ArrayBuffer(4)), undefined, "too small to have a version");
+
+        // What the list says of the snapshot loaded is not trusted, its grammar already didn't have the version
+        spirv.GrammarName = "next";
+        assert.equal(findName(createHeader(1, true)), "after next");
+    });
+
+    QUnit.test("The snapshot is picked in the URL of the page", function(assert) {
+        const url = new URL(getGrammarSnapshotUrl("after next"));
+        assert.equal(url.searchParams.get("grammar"), "after next");
+        assert.equal(url.origin + url.pathname, location.origin + location.pathname, "the same page");
+
+        const select = document.getElementById("grammarSnapshot");
+        const savedOptions = select.innerHTML;
+        const savedLoadSpirv = window.loadSpirv;
+        var loaded;
+        window.loadSpirv = function() {
+            loaded = Array.from(arguments);
+        };
+        grammarSnapshots[1].path = "grammar/snapshots/older/";
+        grammarSnapshots[1].manifest = "grammar/snapshots/older/extinst.manifest.json";
+        loadGrammarSnapshot("older");
+        const options = Array.from(select.options).map(option => option.textContent);
+        window.loadSpirv = savedLoadSpirv;
+        select.innerHTML = savedOptions;
+
+        assert.deepEqual(loaded.slice(0, 3),
+            ["grammar/snapshots/older/", "grammar/snapshots/older/extinst.manifest.json", "older"]);
+        assert.deepEqual(options,
+            ["loaded (SPIR-V 1.6)", "older (SPIR-V 1.3)", "no version", "next (SPIR-V 1.7)", "after next (SPIR-V 1.8)"]);
+    });
+
+    QUnit.test("A module newer than the grammar links to the snapshot for it", function(assert) {
+        const done = assert.async();
+        const tabs = moduleTabs.length;
+        fileSelected(createHeader(1, true), "future.spv", function() {
+            const link = document.querySelector("#fileSelectName a");
+            assert.equal(link.textContent, "load the page with grammar next");
+            assert.equal(new URL(link.href).searchParams.get("grammar"), "next");
+            assert.true(document.getElementById("fileSelectName").textContent.includes("newer than grammar loaded"));
+            assert.strictEqual(session.ir, undefined, "not decoded");
+            assert.equal(moduleTabs.length, tabs, "no tab for it");
+            done();
+        });
+    });
+
+    QUnit.test("The snapshot a module was decoded with is kept with it", function(assert) {
+        const done = assert.async();
+        const binary = assembleForTest(assert, unitTestModule);
+        fileSelected(binary.buffer, "compute.spv", function() {
+            assert.equal(session.grammar, "loaded");
+            assert.true(document.getElementById("module-info").textContent.endsWith(" decoded with grammar loaded"));
+            done();
+        });
+    });
+}
+
+function sessionResetTests() {
+    var savedInputText;
+    QUnit.module("Unit Tests: each module starts a new session", {
+        "beforeEach": function() {
+            savedInputText = inputDiv.value;
+        },
+        "afterEach": function() {
+            document.getElementById("clearAll").click();
+            inputDiv.value = savedInputText;
+        },
+    });
+
+    // %1 is the import here but a type in the module after
+    const importModule = `OpCapability Shader
+%1 = OpExtInstImport "GLSL.std.450"
+OpMemoryModel Logical GLSL450
+OpEntryPoint Fragment %main "main"
+OpExecutionMode %main OriginUpperLeft
+%void = OpTypeVoid
+%fn = OpTypeFunction %void
+%float = OpTypeFloat 32
+%half = OpConstant %float 0.5
+%main = OpFunction %void None %fn
+%label = OpLabel
+%root = OpExtInst %float %1 Sqrt %half
+OpReturn
+OpFunctionEnd
+`;
+    const nextModule = `OpCapability Shader
+OpMemoryModel Logical GLSL450
+%1 = OpTypeInt 32 1
+%2 = OpConstant %1 -3
+%3 = OpTypeVector %1 2
+%4 = OpConstantComposite %3 %2 %2
+`;
+
+    // @param onLoaded Called with the session once the module is shown
+    function loadText(assert, text, filename, onLoaded) {
+        assert.true(assembleAndLoad(text, filename, () => onLoaded(session)), filename + " assembles");
+    }
+
+    QUnit.test("Nothing of the module before is left for the next one", function(assert) {
+        const done = assert.async();
+        loadText(assert, importModule, "import.spvasm", function(first) {
+            $("#insertConstants").click();
+            $("#opNames").click();
+            const sqrt = first.ir.instructions.findIndex(instruction => instruction.opname == "OpExtInst");
+            displayDagOpcode("OpExtInst", sqrt);
+            assert.notDeepEqual(first.dagColorMap, {}, "the dag is drawn");
+            d3.select(".tooltip").style("opacity", 1);
+
+            loadText(assert, nextModule, "next.spvasm", function(next) {
+                assert.notStrictEqual(next, first);
+                assert.deepEqual(Array.from(spirv.ResultToExtImport), [], "%1 isn't an import anymore");
+                assert.false(document.getElementById("insertConstants").checked);
+                assert.false(document.getElementById("opNames").checked);
+                assert.false(next.insertConstants || next.opNames);
+                assert.strictEqual(next.dagSelection, undefined);
+                assert.deepEqual(next.dagColorMap, {});
+                assert.equal(document.getElementById("dagSvg").childElementCount, 0, "the dag is cleared");
+                assert.equal(d3.select(".tooltip").style("opacity"), "0");
+                assert.equal(first.dagSelection.type, "opcode", "the tab before keeps its own dag");
+                done();
+            });
+        });
+    });
+
+    QUnit.test("A module loaded after others is shown the same as in a fresh page", function(assert) {
+        const done = assert.async();
+        loadText(assert, nextModule, "next.spvasm", function() {
+            const freshText = displayDiv.innerHTML;
+            assert.true(freshText.includes("OpConstantComposite"), "the rows are rendered");
+            document.getElementById("clearAll").click();
+            loadText(assert, importModule, "import.spvasm", function() {
+                $("#insertConstants").click();
+                toggleSection("function-" + session.ir.functions[0].id);
+                loadText(assert, nextModule, "next.spvasm", function(next) {
+                    assert.equal(displayDiv.innerHTML, freshText);
+                    assert.deepEqual(Array.from(next.collapsedSections), []);
+                    done();
+                });
+            });
+        });
+    });
+}
+
+function fileQueueTests() {
+    var saved;
+    QUnit.module("Unit Tests: file queue and tabs", {
+        "beforeEach": function() {
+            saved = {"loadFile": window.loadFile, "loadNextFile": window.loadNextFile, "inputText": inputDiv.value};
+        },
+        "afterEach": function() {
+            window.loadFile = saved.loadFile;
+            window.loadNextFile = saved.loadNextFile;
+            document.getElementById("clearAll").click();
+            document.getElementById("alertBox").style.display = "none";
+            inputDiv.value = saved.inputText;
+        },
+    });
+
+    const secondModule = unitTestModule.replace("%main = OpFunction", "%uint_2 = OpConstant %uint 2\n%main = OpFunction");
+
+    // @param onEmpty Called once the last file in the queue is loaded
+    function loadFilesForTest(files, onEmpty) {
+        window.loadNextFile = function() {
+            saved.loadNextFile();
+            if (fileQueue.length == 0) {
+                onEmpty();
+            }
+        };
+        loadFiles(files);
+    }
+
+    QUnit.test("Files are loaded one at a time with the grammar files first", function(assert) {
+        const done = assert.async();
+        var loaded = [];
+        window.loadFile = function(file, onLoaded) {
+            loaded.push(file.name);
+            // Merging it would change the grammar for the tests after
+            if (file.name == "extinst.acme.grammar.json") {
+                onLoaded();
+            } else {
+                saved.loadFile(file, onLoaded);
+            }
+        };
+        const grammar = {"copyright": [], "instructions": [{"opname": "AcmeThing", "opcode": 1, "operands": []}]};
+        loadFilesForTest([
+            new File([assembleForTest(assert, unitTestModule)], "first.spv"),
+            new File(['{"files": []}'], "tests.json"),
+            new File([JSON.stringify(grammar)], "extinst.acme.grammar.json"),
+            new File([secondModule], "second.spvasm"),
+        ], function() {
+            assert.deepEqual(loaded, ["extinst.acme.grammar.json", "first.spv", "tests.json", "second.spvasm"]);
+            assert.deepEqual(moduleTabs.map(tab => tab.name), ["first.spv", "second.spvasm"], "a tab for each module");
+            assert.equal(activeTab, 1, "the last one is shown");
+            assert.equal(document.getElementById("moduleTabs").textContent.replace(/\u00d7/g, " "), "first.spv second.spvasm ");
+            done();
+        });
+    });
+
+    QUnit.test("A text file with mistakes holds the files after it until it is fixed", function(assert) {
+        const done = assert.async();
+        const pageAssembleAndLoad = window.assembleAndLoad;
+        window.assembleAndLoad = function() {
+            window.assembleAndLoad = pageAssembleAndLoad;
+            const loaded = pageAssembleAndLoad.apply(this, arguments);
+            // The queue is paused once this returns
+            setTimeout(function() {
+                assert.true(fileQueuePaused);
+                assert.deepEqual(fileQueue.map(file => file.name), ["typo.spvasm", "after.spvasm"]);
+                inputDiv.value = unitTestModule;
+                $(inputDiv).trigger($.Event("keypress", {"which": 13}));
+            });
+            return loaded;
+        };
+        loadFilesForTest([
+            new File([unitTestModule.replace("OpReturn", "OpRetrun")], "typo.spvasm"),
+            new File([secondModule], "after.spvasm"),
+        ], function() {
+            assert.false(fileQueuePaused);
+            assert.deepEqual(moduleTabs.map(tab => tab.name), ["typo.spvasm", "after.spvasm"], "loaded in order once fixed");
+            done();
+        });
+    });
+
+    QUnit.test("Each tab keeps its own module and settings", function(assert) {
+        const done = assert.async();
+        loadFilesForTest([
+            new File([unitTestModule], "first.spvasm"),
+            new File([secondModule], "second.spvasm"),
+        ], function() {
+            const [first, second] = moduleTabs;
+            const firstIr = first.ir;
+            $('.moduleTab[data-tab="0"]').click();
+            assert.strictEqual(session, first);
+            $("#opNames").click();
+            toggleSection("function-8");
+
+            $('.moduleTab[data-tab="1"]').click();
+            assert.strictEqual(session, second);
+            assert.false(document.getElementById("opNames").checked);
+            assert.deepEqual(Array.from(session.collapsedSections), []);
+
+            $('.moduleTab[data-tab="0"]').click();
+            assert.strictEqual(session.ir, firstIr, "not decoded again");
+            assert.true(document.getElementById("opNames").checked);
+            assert.deepEqual(Array.from(session.collapsedSections), ["function-8"]);
+            assert.ok(document.querySelector('.label-toggle.collapsed[data-section="function-8"]'), "shown collapsed");
+            done();
+        });
+    });
+
+    QUnit.test("Closing the last tab goes back to the text input", function(assert) {
+        const done = assert.async();
+        loadFilesForTest([
+            new File([unitTestModule], "first.spvasm"),
+            new File([secondModule], "second.spvasm"),
+        ], function() {
+            $('.closeTab[data-tab="1"]').click();
+            assert.deepEqual(moduleTabs.map(tab => tab.name), ["first.spvasm"]);
+            assert.equal(activeTab, 0, "the tab next to it is shown");
+            assert.equal(session.name, "first.spvasm");
+
+            $('.closeTab[data-tab="0"]').click();
+            assert.deepEqual(moduleTabs, []);
+            assert.equal(displayDiv.style.display, "none");
+            assert.equal(inputDiv.style.display, "inline-block");
+            assert.true(document.getElementById("moduleTabs").classList.contains("hide"));
+            done();
+        });
+    });
+}
+
+function requirementsTests() {
+    QUnit.module("Unit Tests: capabilities and extensions");
+
+    function analyze(assert, text, version) {
+        return parseModule(assembleForTest(assert, text, version).buffer).requirements;
+    }
+
+    const bfloat16 = `OpCapability Shader
+OpCapability BFloat16TypeKHR
+OpExtension "SPV_KHR_bfloat16"
+OpMemoryModel Logical GLSL450
+%bfloat = OpTypeFloat 16 BFloat16KHR
+`;
+
+    QUnit.test("Nothing is reported when the module declares what it needs", function(assert) {
+        const requirements = analyze(assert, bfloat16);
+        assert.equal(requirements.versionString, "1.0");
+        assert.deepEqual(requirements.capabilities, ["BFloat16TypeKHR", "Shader"]);
+        assert.deepEqual(requirements.extensions, ["SPV_KHR_bfloat16"]);
+        assert.deepEqual(requirements.problems, []);
+    });
+
+    QUnit.test("Missing capabilities and extensions", function(assert) {
+        // The extension is still needed by the capability that isn't declared
+        let requirements = analyze(assert, bfloat16.replace("OpCapability BFloat16TypeKHR\n", ""));
+        assert.deepEqual(requirements.extensions, ["SPV_KHR_bfloat16"]);
+        assert.deepEqual(requirements.problems, [{
+            "type": "missingCapability",
+            "message": "Capability BFloat16TypeKHR is needed but not declared",
+            "instructions": [{"instruction": 3, "name": "BFloat16KHR"}],
+        }]);
+        requirements = analyze(assert, bfloat16.replace("OpExtension \"SPV_KHR_bfloat16\"\n", ""));
+        assert.deepEqual(requirements.problems, [{
+            "type": "missingExtension",
+            "message": "Extension SPV_KHR_bfloat16 is needed but not declared",
+            "instructions": [{"instruction": 1, "name": "BFloat16TypeKHR"}],
+        }]);
+    });
+
+    QUnit.test("Declarations that are not needed and the version needed", function(assert) {
+        // Extensions not in the grammar (ex. in-house ones) can't be checked, so are left alone
+        const requirements = analyze(assert, `OpCapability Shader
+OpCapability Float64
+OpCapability GroupNonUniform
+OpExtension "SPV_KHR_storage_buffer_storage_class"
+OpExtension "SPV_ACME_private"
+OpMemoryModel Logical GLSL450
+OpEntryPoint GLCompute %main "main"
+OpExecutionMode %main LocalSize 1 1 1
+%void = OpTypeVoid
+%fn = OpTypeFunction %void
+%long = OpTypeInt 64 1
+%uint = OpTypeInt 32 0
+%bool = OpTypeBool
+%uint_3 = OpConstant %uint 3
+%main = OpFunction %void None %fn
+%label = OpLabel
+%elect = OpGroupNonUniformElect %bool %uint_3
+OpReturn
+OpFunctionEnd
+`, 0x00010000);
+        assert.equal(requirements.versionString, "1.3");
+        assert.deepEqual(requirements.capabilities, ["GroupNonUniform", "Int64", "Shader"]);
+        assert.deepEqual(requirements.problems.map(problem => [problem.type, problem.message, problem.instructions]), [
+            ["missingCapability", "Capability Int64 is needed but not declared", [{"instruction": 10, "name": "OpTypeInt 64"}]],
+            ["unusedCapability", "OpCapability Float64 is declared but not needed", [{"instruction": 1, "name": "OpCapability"}]],
+            ["unusedExtension", "OpExtension SPV_KHR_storage_buffer_storage_class is declared but not needed",
+                [{"instruction": 3, "name": "OpExtension"}]],
+            ["version", "SPIR-V 1.3 is needed but the module is 1.0",
+                [{"instruction": 2, "name": "GroupNonUniform"}, {"instruction": 16, "name": "OpGroupNonUniformElect"}]],
+        ]);
+    });
+}
+
+function grammarLoadingTests() {
+    // The grammar files are served by a stand-in for spirv.getJson(), so the grammar of the page is not touched
+    var savedLoading;
+    QUnit.module("Unit Tests: loading the grammar", {
+        "beforeEach": function() {
+            savedLoading = {
+                "getJson": spirv.getJson,
+                "onReady": spirv.onReady,
+                "ManifestPath": spirv.ManifestPath,
+                "GrammarPath": spirv.GrammarPath,
+                "ExtInstructions": spirv.ExtInstructions,
+                "ExtOperands": spirv.ExtOperands,
+                "jsonRefCount": jsonRefCount,
+                "jsonRefTotal": jsonRefTotal,
+            };
+        },
+        "afterEach": function() {
+            spirv.getJson = savedLoading.getJson;
+            spirv.onReady = savedLoading.onReady;
+            spirv.ManifestPath = savedLoading.ManifestPath;
+            spirv.GrammarPath = savedLoading.GrammarPath;
+            spirv.ExtInstructions = savedLoading.ExtInstructions;
+            spirv.ExtOperands = savedLoading.ExtOperands;
+            jsonRefCount = savedLoading.jsonRefCount;
+            jsonRefTotal = savedLoading.jsonRefTotal;
+        },
+    });
+
+    // Sets from newer SPIRV-Headers than the one the page has, each only with what is needed to load
+    const grammarFiles = {
+        "new/extinst.manifest.json": {"extinst": [
+            {"file": "extinst.arm.motion-engine.100.grammar.json", "name": "Arm.MotionEngine.100"},
+            {"file": "extinst.spv-amd-gcn-shader.grammar.json", "name": "SPV_AMD_gcn_shader"},
+            {"file": "extinst.nonsemantic.vkspreflection.grammar.json", "name": "NonSemantic.VkspReflection"},
+        ]},
+        "new/extinst.arm.motion-engine.100.grammar.json": {"instructions": [
+            {"opname": "MIN_SAD", "opcode": 0, "operands": [{"kind": "IdRef", "name": "Search Window"}]},
+        ]},
+        "new/extinst.spv-amd-gcn-shader.grammar.json": {"instructions": [
+            {"opname": "CubeFaceIndexAMD", "opcode": 1, "operands": [{"kind": "IdRef", "name": "P"}]},
+            {"opname": "TimeAMD", "opcode": 3},
+        ]},
+    };
+
+    // Loads the manifest as the page does once the core grammar is loaded
+    // @return urls asked for, in order
+    function loadManifest(assert) {
+        var requested = [];
+        spirv.getJson = function(url, callback, onError) {
+            requested.push(url);
+            if (grammarFiles[url]) {
+                callback(JSON.parse(JSON.stringify(grammarFiles[url])));
+            } else {
+                onError();
+            }
+        };
+        spirv.onReady = assert.async();
+        spirv.ManifestPath = "new/extinst.manifest.json";
+        spirv.GrammarPath = "new/";
+        spirv.ExtInstructions = new Map();
+        spirv.ExtOperands = new Map();
+        jsonRefCount = 0;
+        jsonRefTotal = 1;
+        loadExtInstImport();
+        return requested;
+    }
+
+    QUnit.test("Every set in the manifest is loaded under its import name", function(assert) {
+        const requested = loadManifest(assert);
+        assert.deepEqual(requested, [
+            "new/extinst.manifest.json",
+            "new/extinst.arm.motion-engine.100.grammar.json",
+            "new/extinst.spv-amd-gcn-shader.grammar.json",
+            "new/extinst.nonsemantic.vkspreflection.grammar.json",
+        ]);
+        assert.equal(jsonRefTotal, 4, "counted from the manifest");
+        assert.equal(jsonRefCount, 4, "a missing grammar file is counted as loaded");
+        assert.deepEqual(Array.from(spirv.ExtInstructions.keys()), ["Arm.MotionEngine.100", "SPV_AMD_gcn_shader"]);
+        assert.equal(spirv.ExtInstructions.get("SPV_AMD_gcn_shader").get(3).opname, "TimeAMD");
+    });
+
+    QUnit.test("Import names are matched to the set loaded for them", function(assert) {
+        loadManifest(assert);
+        assert.equal(spirv.getExtInstSetName("SPV_AMD_gcn_shader"), "SPV_AMD_gcn_shader");
+        assert.equal(spirv.getExtInstSetName("Arm.MotionEngine.100.2"), "Arm.MotionEngine.100", "without the version");
+        assert.equal(spirv.getExtInstSetName("arm.motionengine.100"), "Arm.MotionEngine.100", "as named by a user grammar");
+        assert.strictEqual(spirv.getExtInstSetName("SPV_AMD_gcn"), undefined, "not only the start of the name");
+        assert.strictEqual(spirv.getExtInstSetName("NonSemantic.VkspReflection"), undefined, "its grammar failed to load");
+
+        var extImports = new Map();
+        spirv.setResultToExtImportMap("SPV_AMD_gcn_shader", 4, extImports);
+        spirv.setResultToExtImportMap("NonSemantic.VkspReflection", 9, extImports);
+        assert.deepEqual(Array.from(extImports), [[4, "SPV_AMD_gcn_shader"], [9, "NonSemantic.VkspReflection"]]);
+        assert.equal(spirv.getExtInstructions(4, extImports).get(1).opname, "CubeFaceIndexAMD");
+        assert.strictEqual(spirv.getExtInstructions(9, extImports), undefined);
+    });
+
+    QUnit.test("A manifest that fails to load leaves the core grammar", function(assert) {
+        var requested = [];
+        spirv.getJson = function(url, callback, onError) {
+            requested.push(url);
+            onError();
+        };
+        var ready = 0;
+        spirv.onReady = function() {
+            ready++;
+        };
+        spirv.ManifestPath = "missing/extinst.manifest.json";
+        // Only the manifest is left to load
+        jsonRefCount = 0;
+        jsonRefTotal = 1;
+        loadExtInstImport();
+        assert.deepEqual(requested, ["missing/extinst.manifest.json"], "no set grammars are asked for");
+        assert.equal(ready, 1, "the page goes on to prompt for a module");
+    });
+}
+
+function runUnitTests() {
+    decodedModuleTests();
+    parseWorkerTests();
+    displayWindowTests();
+    bigEndianTests();
+    reportTests();
+    compositeConstantTests();
+    assemblerErrorTests();
+    decodeDiagnosticsTests();
+    smallConstantTests();
+    numericLiteralTests();
+    specConstantOpTests();
+    assemblerIdTests();
+    headerCommentTests();
+    rawWordTests();
+    textBinaryTests();
+    stringLiteralTests();
+    roundTripTests();
+    userGrammarTests();
+    grammarLoadingTests();
+    fileLoadingTests();
+    fileQueueTests();
+    sessionResetTests();
+    unknownExtInstSetTests();
+    grammarSnapshotTests();
+    requirementsTests();
+}